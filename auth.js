@@ -1,6 +1,12 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const axios = require('axios');
+const QRCode = require('qrcode');
 const { Pool } = require('pg');
+const totp = require('./totp');
+const oidc = require('./oidc');
+const { normalizeTableName, normalizedTableNameSql } = require('./table-names');
 
 // Configuración del pool usando las mismas variables que server.js
 const pool = new Pool({
@@ -16,6 +22,711 @@ const pool = new Pool({
 
 const JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
 
+// Duración del access token (JWT) y de la sesión de servidor que lo respalda
+const ACCESS_TOKEN_TTL = '12h';
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+// Token intermedio entre la contraseña y el segundo factor
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+// Token que confirma una operación previsualizada (p. ej. actualizaciones masivas)
+const CONFIRMATION_TOKEN_TTL = '10m';
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Rio Negro - Rio Data';
+
+// Límites de intentos por endpoint. "ip" y "account" se cuentan por separado;
+// al superar "max" dentro de la ventana se bloquea la clave con duración progresiva.
+// countAll: cuenta cada solicitud (no solo las fallidas), para evitar floods.
+const THROTTLE_POLICIES = {
+  login: {
+    ip: { max: 20, windowMs: 15 * 60 * 1000 },
+    account: { max: 5, windowMs: 15 * 60 * 1000 }
+  },
+  login_2fa: {
+    ip: { max: 20, windowMs: 15 * 60 * 1000 },
+    account: { max: 5, windowMs: 15 * 60 * 1000 }
+  },
+  password_change: {
+    ip: { max: 20, windowMs: 15 * 60 * 1000 },
+    account: { max: 5, windowMs: 15 * 60 * 1000 }
+  },
+  register: {
+    countAll: true,
+    ip: { max: 5, windowMs: 60 * 60 * 1000 }
+  },
+  password_reset: {
+    countAll: true,
+    ip: { max: 10, windowMs: 60 * 60 * 1000 },
+    account: { max: 3, windowMs: 60 * 60 * 1000 }
+  },
+  email_verification: {
+    countAll: true,
+    ip: { max: 10, windowMs: 60 * 60 * 1000 },
+    account: { max: 3, windowMs: 60 * 60 * 1000 }
+  }
+};
+
+// Operaciones permitidas por rol sobre las tablas de datos
+const ROLE_OPERATIONS = {
+  admin: ['read', 'create', 'update', 'delete', 'export'],
+  supervisor: ['read', 'create', 'update', 'delete', 'export'],
+  carga: ['read', 'create', 'update', 'export'],
+  consulta: ['read', 'export'],
+  empleado: ['read', 'create', 'update', 'delete', 'export']
+};
+const TABLE_OPERATIONS = ['read', 'create', 'update', 'delete', 'export'];
+
+// Roles con acceso a todas las tablas; el resto necesita permisos por
+// categoría o por tabla (empleado se mantiene por compatibilidad)
+const GLOBAL_SCOPE_ROLES = ['admin', 'empleado'];
+
+// Roles de mayor a menor privilegio (p. ej. para elegir entre varios roles
+// del proveedor OIDC). empleado va antes que supervisor por su alcance global.
+const ROLE_PRIORITY = ['admin', 'empleado', 'supervisor', 'carga', 'consulta'];
+
+exports.ROLES = Object.keys(ROLE_OPERATIONS);
+exports.ROLE_OPERATIONS = ROLE_OPERATIONS;
+exports.TABLE_OPERATIONS = TABLE_OPERATIONS;
+
+// Vigencia del link de verificación de email enviado al registrarse
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Vigencia del link de invitación enviado por un administrador
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Días de anticipación con que se avisa el vencimiento de una cuenta
+const EXPIRY_WARNING_DAYS = parseInt(process.env.EXPIRY_WARNING_DAYS) || 7;
+exports.EXPIRY_WARNING_DAYS = EXPIRY_WARNING_DAYS;
+
+// Single sign-on (OIDC): rol asignado según claims del proveedor.
+// OIDC_ROLE_MAP es un JSON { "valor del claim": "rol" }, p. ej. {"riodata-admin": "admin"}
+const OIDC_ROLE_CLAIM = process.env.OIDC_ROLE_CLAIM || 'roles';
+const OIDC_DEFAULT_ROLE = process.env.OIDC_DEFAULT_ROLE || 'consulta';
+const OIDC_DEFAULT_EXPIRY_DAYS = parseInt(process.env.OIDC_DEFAULT_EXPIRY_DAYS) || 365;
+const OIDC_LOGIN_REQUEST_TTL_MS = 10 * 60 * 1000;
+const OIDC_LOGIN_CODE_TTL_MS = 2 * 60 * 1000;
+
+// Estados del flujo de registro: verificación de email -> aprobación de un admin
+const REGISTRATION_STATES = {
+  pendiente_verificacion: "Debe verificar su email antes de ingresar. Revise su casilla de correo.",
+  pendiente_aprobacion: "Su registro está pendiente de aprobación por un administrador.",
+  rechazado: "Su solicitud de registro fue rechazada. Contacte al administrador.",
+  invitado: "Debe aceptar la invitación enviada a su email para definir su contraseña."
+};
+// Política de contraseñas compartida por registro, reset y cambio de contraseña
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_BYTES = 72; // bcrypt ignora lo que excede 72 bytes
+const BCRYPT_COST = 12;
+
+// Bloqueo progresivo por intentos fallidos
+const LOCKOUT_BASE_MS = 5 * 60 * 1000;
+const LOCKOUT_MAX_MS = 24 * 60 * 60 * 1000;
+
+// Registrador de auditoría inyectado desde server.js
+let auditLogger = null;
+
+exports.setAuditLogger = function(logger) {
+  auditLogger = logger;
+};
+
+// Registrar en auditoría una acción de autenticación sobre un usuario
+async function logAuthAudit(req, user, action, newValues = null, oldValues = null) {
+  if (!auditLogger) return;
+
+  await auditLogger({
+    userEmail: user.email,
+    userId: user.id,
+    userName: user.nombre_apellido || user.email,
+    action: action,
+    tableName: 'users',
+    recordId: user.id,
+    oldValues: oldValues,
+    newValues: newValues,
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+    sessionInfo: {
+      timestamp: new Date().toISOString(),
+      method: req.method,
+      url: req.originalUrl
+    }
+  });
+}
+
+// Validar contraseña nueva contra la política. Devuelve el mensaje de error o null.
+function validatePassword(password, confirmPassword) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `La contraseña debe tener al menos ${PASSWORD_MIN_LENGTH} caracteres.`;
+  }
+
+  if (Buffer.byteLength(password, 'utf8') > PASSWORD_MAX_BYTES) {
+    return `La contraseña no puede superar los ${PASSWORD_MAX_BYTES} caracteres.`;
+  }
+
+  if (confirmPassword !== undefined && password !== confirmPassword) {
+    return "Las contraseñas no coinciden.";
+  }
+
+  return null;
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_COST);
+}
+
+exports.validatePassword = validatePassword;
+exports.hashPassword = hashPassword;
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Hash SHA-256 para guardar refresh tokens (nunca se guardan en texto plano)
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Firmar access token asociado a una sesión
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { 
+      id: user.id, 
+      email: user.email, 
+      rol: user.rol,
+      nombre_apellido: user.nombre_apellido,
+      sid: sessionId
+    }, 
+    JWT_SECRET, 
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Crear sesión de servidor y devolver el par access/refresh token
+async function createSession(user, req) {
+  const sessionId = crypto.randomUUID();
+  const refreshSecret = crypto.randomBytes(32).toString('hex');
+  const refreshToken = `${sessionId}.${refreshSecret}`;
+  const ipAddress = req.ip || req.headers['x-forwarded-for']?.split(',')[0]?.trim() || null;
+
+  await pool.query(`
+    INSERT INTO user_sessions (
+      id, user_id, refresh_token_hash, ip_address, user_agent, expires_at
+    ) VALUES ($1, $2, $3, $4, $5, $6)
+  `, [
+    sessionId,
+    user.id,
+    hashToken(refreshToken),
+    ipAddress,
+    req.headers['user-agent'] || null,
+    new Date(Date.now() + SESSION_TTL_MS)
+  ]);
+
+  return {
+    sessionId,
+    token: signAccessToken(user, sessionId),
+    refreshToken
+  };
+}
+
+// Revocar una sesión puntual
+async function revokeSession(sessionId, reason) {
+  const result = await pool.query(`
+    UPDATE user_sessions 
+    SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2 
+    WHERE id = $1 AND revoked_at IS NULL
+    RETURNING id
+  `, [sessionId, reason]);
+  return result.rowCount;
+}
+
+// Revocar todas las sesiones activas de un usuario (opcionalmente excepto una)
+async function revokeUserSessions(userId, reason, exceptSessionId = null) {
+  const result = await pool.query(`
+    UPDATE user_sessions 
+    SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2 
+    WHERE user_id = $1 
+    AND revoked_at IS NULL 
+    AND ($3::uuid IS NULL OR id <> $3::uuid)
+    RETURNING id
+  `, [userId, reason, exceptSessionId]);
+
+  if (result.rowCount > 0) {
+    console.log(`🔒 ${result.rowCount} sesiones revocadas para usuario ${userId} (${reason})`);
+  }
+  return result.rowCount;
+}
+
+exports.revokeSession = revokeSession;
+exports.revokeUserSessions = revokeUserSessions;
+
+// Sesiones activas (no revocadas ni expiradas), de un usuario o de todos
+exports.listActiveSessions = async function(userId = null) {
+  const result = await pool.query(`
+    SELECT 
+      s.id, s.user_id, s.ip_address, s.user_agent, s.created_at, s.last_activity, s.expires_at,
+      u.email, u.nombre_apellido, u.rol
+    FROM user_sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.revoked_at IS NULL 
+    AND s.expires_at > CURRENT_TIMESTAMP
+    AND ($1::int IS NULL OR s.user_id = $1)
+    ORDER BY s.last_activity DESC
+  `, [userId]);
+  return result.rows;
+};
+
+// Sesión activa por id (para verificar a quién pertenece antes de cerrarla)
+exports.getActiveSession = async function(sessionId) {
+  if (!UUID_REGEX.test(sessionId)) return null;
+
+  const result = await pool.query(`
+    SELECT s.id, s.user_id, s.ip_address, s.user_agent, s.created_at, s.last_activity, u.email
+    FROM user_sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.id = $1::uuid AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP
+  `, [sessionId]);
+  return result.rows[0] || null;
+};
+
+// Enviar una notificación por email a través del webhook de n8n.
+// El campo "action" indica a n8n qué plantilla de email usar.
+async function sendNotification(data) {
+  if (!process.env.N8N_WEBHOOK_URL) {
+    console.error('❌ N8N_WEBHOOK_URL no configurada en variables de entorno');
+    return false;
+  }
+
+  try {
+    await axios.post(process.env.N8N_WEBHOOK_URL, {
+      ...data,
+      timestamp: new Date().toISOString(),
+      source: 'sistema-gestion-rionegro'
+    }, {
+      timeout: 10000,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'RioNegro-System/1.0'
+      }
+    });
+    console.log(`📧 Notificación '${data.action}' enviada a ${data.email}`);
+    return true;
+  } catch (error) {
+    // No fallar la operación si el webhook falla
+    console.error(`❌ Error enviando notificación '${data.action}':`, error.message);
+    return false;
+  }
+}
+
+exports.sendNotification = sendNotification;
+
+// URL base del frontend para construir links enviados por email
+function getBaseUrl(req) {
+  return process.env.FRONTEND_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+// Generar link de verificación de email y enviarlo
+async function sendEmailVerification(user, req) {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  const expirationTime = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+
+  await pool.query(
+    `DELETE FROM password_reset_tokens WHERE user_id = $1 AND purpose = 'email_verification'`,
+    [user.id]
+  );
+  await pool.query(`
+    INSERT INTO password_reset_tokens (user_id, token, expires_at, created_at, purpose) 
+    VALUES ($1, $2, $3, NOW(), 'email_verification')
+  `, [user.id, verificationToken, expirationTime]);
+
+  await sendNotification({
+    action: 'email_verification',
+    email: user.email,
+    nombre: user.nombre_apellido || user.email.split('@')[0],
+    verificationLink: `${getBaseUrl(req)}/register.html?verify=${verificationToken}`,
+    expirationTime: expirationTime.toISOString()
+  });
+}
+
+// Generar link de invitación (un solo uso) y enviarlo.
+// Reemplaza cualquier invitación anterior del mismo usuario.
+async function sendInvitation(user, req, invitedBy) {
+  const invitationToken = crypto.randomBytes(32).toString('hex');
+  const expirationTime = new Date(Date.now() + INVITATION_TTL_MS);
+
+  await pool.query(
+    `DELETE FROM password_reset_tokens WHERE user_id = $1 AND purpose = 'invitation'`,
+    [user.id]
+  );
+  await pool.query(`
+    INSERT INTO password_reset_tokens (user_id, token, expires_at, created_at, purpose) 
+    VALUES ($1, $2, $3, NOW(), 'invitation')
+  `, [user.id, invitationToken, expirationTime]);
+
+  await sendNotification({
+    action: 'user_invitation',
+    email: user.email,
+    nombre: user.nombre_apellido || user.email.split('@')[0],
+    invitadoPor: invitedBy?.nombre_apellido || invitedBy?.email,
+    rol: user.rol,
+    fechaVencimiento: user.fecha_vencimiento,
+    invitationLink: `${getBaseUrl(req)}/?invite=${invitationToken}`,
+    expirationTime: expirationTime.toISOString()
+  });
+
+  return expirationTime;
+}
+
+exports.sendInvitation = sendInvitation;
+
+// ========== PROTECCIÓN CONTRA FUERZA BRUTA ==========
+
+// Claves a controlar para una solicitud: IP y cuenta (email)
+function getThrottleKeys(req, scope) {
+  const policy = THROTTLE_POLICIES[scope];
+  const keys = [];
+
+  if (policy.ip && req.ip) {
+    keys.push({ type: 'ip', value: req.ip, limits: policy.ip });
+  }
+
+  if (policy.account) {
+    // En rutas autenticadas la cuenta es la de la sesión
+    let account = req.user?.email || req.body?.email;
+
+    // En el segundo paso del login la cuenta viene en el challenge
+    if (!account && req.body?.challengeToken) {
+      account = verifyChallengeToken(req.body.challengeToken, '2fa_login')?.email;
+    }
+
+    if (account && typeof account === 'string') {
+      keys.push({ type: 'account', value: account.toLowerCase().trim(), limits: policy.account });
+    }
+  }
+
+  return keys;
+}
+
+// Devuelve el bloqueo vigente más largo entre las claves, o null
+async function getActiveLockout(scope, keys) {
+  if (keys.length === 0) return null;
+
+  const result = await pool.query(`
+    SELECT key_type, locked_until 
+    FROM auth_throttle 
+    WHERE scope = $1 
+    AND (key_type, key_value) IN (SELECT * FROM unnest($2::text[], $3::text[]))
+    AND locked_until > CURRENT_TIMESTAMP
+    ORDER BY locked_until DESC
+    LIMIT 1
+  `, [scope, keys.map(k => k.type), keys.map(k => k.value)]);
+
+  return result.rows[0] || null;
+}
+
+// Sumar un intento; si se supera el máximo, bloquear con duración progresiva.
+// El conteo es un único UPDATE atómico que no suma sobre una clave bloqueada,
+// así que solicitudes en paralelo no pueden pasar el límite.
+// Devuelve el bloqueo vigente si el intento no está permitido, o null.
+async function registerThrottleHit(scope, key) {
+  const windowInterval = `${key.limits.windowMs} milliseconds`;
+
+  const result = await pool.query(`
+    INSERT INTO auth_throttle (scope, key_type, key_value, failures, window_start)
+    VALUES ($1, $2, $3, 1, CURRENT_TIMESTAMP)
+    ON CONFLICT (scope, key_type, key_value) DO UPDATE SET
+      failures = CASE 
+        WHEN auth_throttle.window_start < CURRENT_TIMESTAMP - $4::interval THEN 1 
+        ELSE auth_throttle.failures + 1 
+      END,
+      window_start = CASE 
+        WHEN auth_throttle.window_start < CURRENT_TIMESTAMP - $4::interval THEN CURRENT_TIMESTAMP 
+        ELSE auth_throttle.window_start 
+      END,
+      -- El nivel de bloqueo se olvida tras 24h sin bloqueos
+      lockout_level = CASE 
+        WHEN auth_throttle.locked_until < CURRENT_TIMESTAMP - INTERVAL '24 hours' THEN 0 
+        ELSE auth_throttle.lockout_level 
+      END,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE auth_throttle.locked_until IS NULL OR auth_throttle.locked_until <= CURRENT_TIMESTAMP
+    RETURNING failures, lockout_level
+  `, [scope, key.type, key.value, windowInterval]);
+
+  // Sin filas: la clave ya estaba bloqueada
+  if (result.rows.length === 0) {
+    return getActiveLockout(scope, [key]);
+  }
+
+  const { failures, lockout_level } = result.rows[0];
+  if (failures <= key.limits.max) {
+    return null;
+  }
+
+  const lockoutMs = Math.min(LOCKOUT_BASE_MS * (2 ** lockout_level), LOCKOUT_MAX_MS);
+
+  // Si otra solicitud en paralelo ya bloqueó la clave no se vuelve a subir el nivel
+  const locked = await pool.query(`
+    UPDATE auth_throttle 
+    SET locked_until = CURRENT_TIMESTAMP + $4::interval,
+        lockout_level = lockout_level + 1,
+        failures = 0,
+        window_start = CURRENT_TIMESTAMP
+    WHERE scope = $1 AND key_type = $2 AND key_value = $3
+    AND (locked_until IS NULL OR locked_until <= CURRENT_TIMESTAMP)
+  `, [scope, key.type, key.value, `${lockoutMs} milliseconds`]);
+
+  if (locked.rowCount > 0) {
+    console.warn(`🚫 Bloqueo ${scope} para ${key.type} ${key.value}: ${Math.round(lockoutMs / 60000)} min`);
+  }
+
+  return getActiveLockout(scope, [key]);
+}
+
+// Descontar un intento contado antes de atender la solicitud que no resultó fallido
+async function releaseThrottleHit(scope, key) {
+  await pool.query(`
+    UPDATE auth_throttle 
+    SET failures = GREATEST(failures - 1, 0), updated_at = CURRENT_TIMESTAMP
+    WHERE scope = $1 AND key_type = $2 AND key_value = $3
+    AND (locked_until IS NULL OR locked_until <= CURRENT_TIMESTAMP)
+  `, [scope, key.type, key.value]);
+}
+
+// Limpiar contadores de cuenta de los pasos de login tras un login completo
+async function clearAccountThrottle(keys) {
+  const loginScopes = Object.keys(THROTTLE_POLICIES).filter(scope => !THROTTLE_POLICIES[scope].countAll);
+  const accountKeys = keys.filter(k => k.type === 'account');
+
+  for (const key of accountKeys) {
+    await pool.query(
+      `DELETE FROM auth_throttle WHERE key_type = 'account' AND key_value = $1 AND scope = ANY($2)`,
+      [key.value, loginScopes]
+    );
+  }
+}
+
+// Middleware de limitación de intentos para endpoints de autenticación.
+// Cada intento se cuenta antes de atender la solicitud, para que los intentos
+// en paralelo no esquiven el bloqueo. En endpoints de login solo quedan
+// contadas las respuestas 401 o marcadas con res.locals.authFailed (el resto se
+// descuenta) y un login exitoso limpia
+// el contador de la cuenta; en el resto queda contada cada solicitud.
+exports.rateLimit = function(scope) {
+  const policy = THROTTLE_POLICIES[scope];
+  if (!policy) {
+    throw new Error(`Política de límite de intentos desconocida: ${scope}`);
+  }
+
+  return async function(req, res, next) {
+    const keys = getThrottleKeys(req, scope);
+
+    try {
+      let lockout = await getActiveLockout(scope, keys);
+      const counted = [];
+
+      for (const key of keys) {
+        if (lockout) break;
+        lockout = await registerThrottleHit(scope, key);
+        if (!lockout) counted.push(key);
+      }
+
+      if (lockout) {
+        if (!policy.countAll) {
+          await Promise.all(counted.map(key => releaseThrottleHit(scope, key)));
+        }
+
+        const retryAfter = Math.max(1, Math.ceil((new Date(lockout.locked_until) - Date.now()) / 1000));
+        res.set('Retry-After', String(retryAfter));
+        console.warn(`🚫 Solicitud bloqueada (${scope}) por ${lockout.key_type}`);
+        return res.status(429).json({
+          success: false,
+          message: `Demasiados intentos. Intente nuevamente en ${Math.ceil(retryAfter / 60)} minutos.`,
+          retryAfter
+        });
+      }
+
+      if (!policy.countAll) {
+        res.on('finish', () => {
+          if (res.statusCode === 401 || res.locals.authFailed) return;
+
+          const track = Promise.all(counted.map(key => releaseThrottleHit(scope, key)))
+            .then(() => res.statusCode < 300 && res.locals.authCompleted ? clearAccountThrottle(keys) : null);
+
+          track.catch(err => console.error('Error registrando intento de autenticación:', err));
+        });
+      }
+    } catch (err) {
+      // Si falla el control de intentos no se bloquea el acceso
+      console.error('Error verificando límite de intentos:', err);
+    }
+
+    next();
+  };
+};
+
+// Desbloquear una cuenta (todas las políticas) - uso administrativo
+exports.unlockAccount = async function(email) {
+  const result = await pool.query(
+    `DELETE FROM auth_throttle WHERE key_type = 'account' AND key_value = $1`,
+    [email.toLowerCase().trim()]
+  );
+  return result.rowCount;
+};
+
+// Desbloquear una IP (todas las políticas) - uso administrativo
+exports.unlockIp = async function(ip) {
+  const result = await pool.query(
+    `DELETE FROM auth_throttle WHERE key_type = 'ip' AND key_value = $1`,
+    [ip]
+  );
+  return result.rowCount;
+};
+
+// Bloqueos vigentes - uso administrativo
+exports.getActiveLockouts = async function() {
+  const result = await pool.query(`
+    SELECT scope, key_type, key_value, lockout_level, locked_until, updated_at
+    FROM auth_throttle 
+    WHERE locked_until > CURRENT_TIMESTAMP
+    ORDER BY locked_until DESC
+  `);
+  return result.rows;
+};
+
+// Eliminar contadores sin actividad en los últimos 7 días
+exports.purgeStaleThrottles = async function() {
+  try {
+    const result = await pool.query(`
+      DELETE FROM auth_throttle 
+      WHERE updated_at < CURRENT_TIMESTAMP - INTERVAL '7 days'
+      AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+    `);
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error eliminando contadores de intentos:', error);
+    return 0;
+  }
+};
+
+// Completar el login: crear sesión y responder con tokens y datos del usuario
+async function sendLoginSuccess(user, req, res, extra = {}) {
+  // Actualizar fecha de último acceso
+  await updateLastAccess(user.id);
+
+  // Crear sesión de servidor y generar tokens
+  const session = await createSession(user, req);
+  res.locals.authCompleted = true;
+
+  console.log('✅ Login exitoso para:', user.email);
+
+  res.json({ 
+    success: true, 
+    token: session.token, 
+    refreshToken: session.refreshToken,
+    user: { 
+      id: user.id, 
+      email: user.email, 
+      nombre_apellido: user.nombre_apellido,
+      telefono: user.telefono,
+      rol: user.rol,
+      fecha_ultimo_acceso: new Date().toISOString()
+    },
+    ...extra
+  });
+}
+
+// Token de corta duración que solo sirve para completar el segundo factor
+function signChallengeToken(user, purpose) {
+  return jwt.sign(
+    { id: user.id, email: user.email, purpose },
+    JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+  );
+}
+
+function verifyChallengeToken(challengeToken, purpose) {
+  try {
+    const decoded = jwt.verify(challengeToken, JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Quien pidió la previsualización: usuario o API key (las API keys no tienen id de usuario)
+function getTokenSubject(user) {
+  return user.apiKey ? `api_key:${user.apiKey.id}` : `user:${user.id}`;
+}
+
+// Token de confirmación de una operación en dos pasos (previsualizar y aplicar).
+// Lleva la operación previsualizada, así el segundo paso aplica exactamente lo
+// que se mostró, y solo lo puede usar quien la pidió.
+function signConfirmationToken(user, operation) {
+  return jwt.sign(
+    { sub: getTokenSubject(user), purpose: 'confirm_operation', operation },
+    JWT_SECRET,
+    { expiresIn: CONFIRMATION_TOKEN_TTL }
+  );
+}
+
+// Devuelve la operación del token, o null si es inválido, venció o es de otro usuario
+function verifyConfirmationToken(token, user) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.purpose !== 'confirm_operation' || decoded.sub !== getTokenSubject(user)) return null;
+    return decoded.operation;
+  } catch (err) {
+    return null;
+  }
+}
+
+exports.signConfirmationToken = signConfirmationToken;
+exports.verifyConfirmationToken = verifyConfirmationToken;
+exports.CONFIRMATION_TOKEN_TTL = CONFIRMATION_TOKEN_TTL;
+
+// Guardar nuevos códigos de recuperación (reemplaza los anteriores)
+async function replaceRecoveryCodes(userId) {
+  const codes = totp.generateRecoveryCodes();
+
+  await pool.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  for (const code of codes) {
+    await pool.query(
+      'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashToken(code)]
+    );
+  }
+
+  return codes;
+}
+
+// Verificar un código TOTP o de recuperación; marca el código como usado
+async function verifySecondFactor(user, code) {
+  const normalized = String(code || '').trim().toLowerCase();
+
+  // Código de recuperación (formato xxxxx-xxxxx)
+  if (/^[0-9a-f]{5}-[0-9a-f]{5}$/.test(normalized)) {
+    const result = await pool.query(`
+      UPDATE user_recovery_codes 
+      SET used_at = CURRENT_TIMESTAMP 
+      WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+      RETURNING id
+    `, [user.id, hashToken(normalized)]);
+    return result.rows.length > 0 ? 'recovery_code' : null;
+  }
+
+  if (!user.totp_secret) return null;
+
+  const lastStep = user.totp_last_step !== null && user.totp_last_step !== undefined 
+    ? Number(user.totp_last_step) 
+    : null;
+  const step = totp.verifyCode(totp.decryptSecret(user.totp_secret), normalized, lastStep);
+  if (step === null) return null;
+
+  // Guardar el paso usado para impedir reutilizar el mismo código. La condición
+  // hace que de dos solicitudes en paralelo con el mismo código solo pase una.
+  const result = await pool.query(`
+    UPDATE users SET totp_last_step = $1 
+    WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+  `, [step, user.id]);
+  return result.rowCount > 0 ? 'totp' : null;
+}
+
 // Función auxiliar para actualizar último acceso
 async function updateLastAccess(userId) {
   try {
@@ -26,105 +737,693 @@ async function updateLastAccess(userId) {
   } catch (error) {
     console.error('Error actualizando último acceso:', error);
   }
-}
+}
+
+// Función auxiliar para verificar y actualizar estado activo
+// (solo desactiva por vencimiento; no reactiva usuarios desactivados por un admin)
+async function checkAndUpdateActiveStatus(userId) {
+  try {
+    const result = await pool.query(
+      `UPDATE users 
+       SET activo = CASE 
+         WHEN fecha_vencimiento > CURRENT_TIMESTAMP THEN activo 
+         ELSE false 
+       END 
+       WHERE id = $1 
+       RETURNING activo`,
+      [userId]
+    );
+    return result.rows[0]?.activo || false;
+  } catch (error) {
+    console.error('Error verificando estado activo:', error);
+    return false;
+  }
+}
+
+// Controles comunes a todo login una vez identificado el usuario (contraseña o SSO):
+// estado del registro, activo/vencimiento y segundo factor
+async function continueLogin(user, req, res) {
+  // Registros sin verificar, pendientes de aprobación o rechazados
+  if (user.estado_registro && user.estado_registro !== 'aprobado') {
+    return res.status(403).json({ 
+      success: false, 
+      estadoRegistro: user.estado_registro,
+      message: REGISTRATION_STATES[user.estado_registro] || "Usuario inactivo. Contacte al administrador." 
+    });
+  }
+
+  // Verificar y actualizar estado activo
+  const isActive = await checkAndUpdateActiveStatus(user.id);
+  
+  if (!isActive) {
+    return res.status(401).json({ 
+      success: false, 
+      message: "Usuario inactivo. Contacte al administrador." 
+    });
+  }
+
+  // Segundo factor: si está activado, el login continúa en /api/login/2fa
+  if (user.totp_enabled) {
+    return res.json({
+      success: true,
+      requires2FA: true,
+      challengeToken: signChallengeToken(user, '2fa_login'),
+      message: "Ingrese el código de su aplicación de autenticación."
+    });
+  }
+
+  // 2FA obligatorio para administradores: deben configurarlo antes de ingresar
+  if (user.rol === 'admin') {
+    return res.json({
+      success: true,
+      requires2FASetup: true,
+      challengeToken: signChallengeToken(user, '2fa_setup'),
+      message: "Los administradores deben configurar la verificación en dos pasos."
+    });
+  }
+
+  await sendLoginSuccess(user, req, res);
+}
+
+exports.login = async function(req, res) {
+  const { email, password } = req.body;
+  
+  if (!email || !password) {
+    return res.status(400).json({ 
+      success: false, 
+      message: "Email y contraseña requeridos." 
+    });
+  }
+
+  try {
+    // Buscar usuario por email
+    const userRes = await pool.query(
+      'SELECT * FROM users WHERE email = $1',
+      [email.toLowerCase().trim()]
+    );
+
+    if (userRes.rows.length === 0) {
+      return res.status(401).json({ 
+        success: false, 
+        message: "Usuario o contraseña incorrectos." 
+      });
+    }
+
+    const user = userRes.rows[0];
+
+    // Verificar contraseña
+    const valid = await bcrypt.compare(password, user.password_hash);
+    if (!valid) {
+      return res.status(401).json({ 
+        success: false, 
+        message: "Usuario o contraseña incorrectos." 
+      });
+    }
+
+    await continueLogin(user, req, res);
+
+  } catch (err) {
+    console.error('Error en login:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: "Error interno del servidor." 
+    });
+  }
+};
+
+// ========== SINGLE SIGN-ON (OIDC) ==========
+
+// Rol según los claims del proveedor; null si ningún valor está mapeado
+function mapOidcRole(claims) {
+  let roleMap = {};
+  try {
+    roleMap = JSON.parse(process.env.OIDC_ROLE_MAP || '{}');
+  } catch (error) {
+    console.error('❌ OIDC_ROLE_MAP no es un JSON válido:', error.message);
+  }
+
+  const claimValue = claims[OIDC_ROLE_CLAIM];
+  const values = Array.isArray(claimValue) ? claimValue : (claimValue ? [claimValue] : []);
+  const mapped = values.map(value => roleMap[value]).filter(rol => exports.ROLES.includes(rol));
+
+  // Si hay varios, gana el de mayor privilegio
+  return ROLE_PRIORITY.find(rol => mapped.includes(rol)) || null;
+}
+
+// Buscar (o crear) el usuario local que corresponde a la identidad del proveedor
+async function provisionOidcUser(claims, req) {
+  const email = claims.email?.toLowerCase().trim();
+  const mappedRole = mapOidcRole(claims);
+
+  let userRes = await pool.query(
+    'SELECT * FROM users WHERE oidc_issuer = $1 AND oidc_subject = $2',
+    [claims.iss, claims.sub]
+  );
+
+  // Sin identidad vinculada solo se usa el email si el proveedor afirma haberlo
+  // verificado: si el claim falta, cualquiera podría tomar una cuenta local
+  if (userRes.rows.length === 0 && email && claims.email_verified !== true) {
+    const error = new Error(`El proveedor no verificó el email ${email}`);
+    error.userMessage = 'El proveedor de identidad no confirmó que su email esté verificado.';
+    throw error;
+  }
+
+  // Vincular una cuenta existente por email verificado por el proveedor
+  if (userRes.rows.length === 0 && email) {
+    userRes = await pool.query(`
+      UPDATE users 
+      SET oidc_issuer = $2, oidc_subject = $3 
+      WHERE email = $1 AND oidc_subject IS NULL
+      RETURNING *
+    `, [email, claims.iss, claims.sub]);
+
+    if (userRes.rows.length > 0) {
+      await logAuthAudit(req, userRes.rows[0], 'OIDC_ACCOUNT_LINKED', { oidc_issuer: claims.iss, oidc_subject: claims.sub });
+    }
+  }
+
+  let user = userRes.rows[0];
+
+  if (!user) {
+    if (!email) {
+      throw new Error('El proveedor no informó el email del usuario');
+    }
+
+    const nombre = claims.name || 
+      [claims.given_name, claims.family_name].filter(Boolean).join(' ') || 
+      email.split('@')[0];
+
+    // Alta automática: sin contraseña local utilizable, con vencimiento por defecto
+    const result = await pool.query(`
+      INSERT INTO users (
+        nombre_apellido, 
+        email, 
+        password_hash, 
+        rol,
+        fecha_vencimiento,
+        activo,
+        estado_registro,
+        email_verificado,
+        oidc_issuer,
+        oidc_subject
+      ) VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(days => $5::int), true, 'aprobado', true, $6, $7)
+      RETURNING *
+    `, [
+      nombre,
+      email,
+      await hashPassword(crypto.randomBytes(32).toString('hex')),
+      mappedRole || OIDC_DEFAULT_ROLE,
+      OIDC_DEFAULT_EXPIRY_DAYS,
+      claims.iss,
+      claims.sub
+    ]);
+    user = result.rows[0];
+
+    console.log(`👤 Usuario creado por SSO: ${user.email} (${user.rol})`);
+    await logAuthAudit(req, user, 'OIDC_USER_PROVISIONED', {
+      email: user.email,
+      nombre_apellido: user.nombre_apellido,
+      rol: user.rol,
+      fecha_vencimiento: user.fecha_vencimiento,
+      oidc_issuer: claims.iss
+    });
+    return user;
+  }
+
+  // El proveedor es la fuente del rol cuando el claim está mapeado
+  if (mappedRole && mappedRole !== user.rol) {
+    const result = await pool.query('UPDATE users SET rol = $1 WHERE id = $2 RETURNING *', [mappedRole, user.id]);
+    await revokeUserSessions(user.id, 'cambio_de_rol');
+    await logAuthAudit(req, user, 'OIDC_ROLE_UPDATED', { rol: mappedRole }, { rol: user.rol });
+    user = result.rows[0];
+  }
+
+  return user;
+}
+
+// Configuración pública para mostrar (o no) el botón de SSO
+exports.oidcConfig = function(req, res) {
+  res.json({
+    success: true,
+    enabled: oidc.isEnabled(),
+    label: process.env.OIDC_BUTTON_LABEL || 'Ingresar con cuenta provincial'
+  });
+};
+
+// Paso 1: redirigir al proveedor con state, nonce y PKCE
+exports.oidcStart = async function(req, res) {
+  if (!oidc.isEnabled()) {
+    return res.status(404).json({ 
+      success: false, 
+      message: "El inicio de sesión con proveedor de identidad no está habilitado." 
+    });
+  }
+
+  try {
+    await pool.query('DELETE FROM oidc_login_requests WHERE expires_at < CURRENT_TIMESTAMP');
+
+    const authRequest = oidc.createAuthRequest();
+    const redirectUri = oidc.getRedirectUri(getBaseUrl(req));
+
+    await pool.query(`
+      INSERT INTO oidc_login_requests (state, nonce, code_verifier, redirect_uri, expires_at)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [authRequest.state, authRequest.nonce, authRequest.codeVerifier, redirectUri,
+        new Date(Date.now() + OIDC_LOGIN_REQUEST_TTL_MS)]);
+
+    res.redirect(await oidc.buildAuthorizationUrl(authRequest, redirectUri));
+  } catch (err) {
+    console.error('❌ Error iniciando login OIDC:', err.message);
+    res.redirect(`${getBaseUrl(req)}/#oidc_error=${encodeURIComponent('No se pudo contactar al proveedor de identidad.')}`);
+  }
+};
+
+// Paso 2: el proveedor vuelve con el código. Se valida el id_token, se
+// provisiona el usuario y se redirige al frontend con un código de un solo uso
+// (los tokens de sesión nunca viajan en la URL).
+exports.oidcCallback = async function(req, res) {
+  const { code, state, error, error_description } = req.query;
+  const fail = message => res.redirect(`${getBaseUrl(req)}/#oidc_error=${encodeURIComponent(message)}`);
+
+  if (error) {
+    console.error('❌ El proveedor OIDC devolvió un error:', error, error_description);
+    return fail(error_description || 'El proveedor de identidad rechazó el inicio de sesión.');
+  }
+
+  if (!code || !state) {
+    return fail('Respuesta del proveedor de identidad incompleta.');
+  }
+
+  try {
+    const requestRes = await pool.query(`
+      UPDATE oidc_login_requests 
+      SET state_used_at = CURRENT_TIMESTAMP 
+      WHERE state = $1 AND state_used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      RETURNING nonce, code_verifier, redirect_uri
+    `, [state]);
+
+    if (requestRes.rows.length === 0) {
+      return fail('El inicio de sesión expiró o ya fue utilizado. Intente nuevamente.');
+    }
+
+    const loginRequest = requestRes.rows[0];
+    const claims = await oidc.exchangeCode(code, loginRequest.code_verifier, loginRequest.nonce, loginRequest.redirect_uri);
+    const user = await provisionOidcUser(claims, req);
+
+    const loginCode = crypto.randomBytes(32).toString('hex');
+    await pool.query(`
+      UPDATE oidc_login_requests 
+      SET user_id = $2, login_code_hash = $3, expires_at = $4 
+      WHERE state = $1
+    `, [state, user.id, hashToken(loginCode), new Date(Date.now() + OIDC_LOGIN_CODE_TTL_MS)]);
+
+    res.redirect(`${getBaseUrl(req)}/#oidc_code=${loginCode}`);
+  } catch (err) {
+    console.error('❌ Error en callback OIDC:', err.message);
+    fail(err.userMessage || 'No se pudo completar el inicio de sesión con el proveedor de identidad.');
+  }
+};
+
+// Paso 3: el frontend canjea el código de un solo uso. Se aplican los mismos
+// controles que en el login con contraseña (estado, activo, vencimiento, 2FA).
+exports.oidcComplete = async function(req, res) {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ 
+      success: false, 
+      message: "Código de inicio de sesión requerido." 
+    });
+  }
+
+  try {
+    const requestRes = await pool.query(`
+      DELETE FROM oidc_login_requests 
+      WHERE login_code_hash = $1 AND expires_at > CURRENT_TIMESTAMP
+      RETURNING user_id
+    `, [hashToken(code)]);
+
+    if (requestRes.rows.length === 0) {
+      return res.status(401).json({ 
+        success: false, 
+        message: "El inicio de sesión expiró. Intente nuevamente." 
+      });
+    }
+
+    const userRes = await pool.query('SELECT * FROM users WHERE id = $1', [requestRes.rows[0].user_id]);
+    if (userRes.rows.length === 0) {
+      return res.status(401).json({ 
+        success: false, 
+        message: "Usuario no encontrado." 
+      });
+    }
+
+    await continueLogin(userRes.rows[0], req, res);
+  } catch (err) {
+    console.error('Error completando login OIDC:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: "Error interno del servidor." 
+    });
+  }
+};
+
+// Segundo paso del login para usuarios con 2FA activado
+exports.loginSecondFactor = async function(req, res) {
+  const { challengeToken, code } = req.body;
+
+  if (!challengeToken || !code) {
+    return res.status(400).json({ 
+      success: false, 
+      message: "Código de verificación requerido." 
+    });
+  }
+
+  const challenge = verifyChallengeToken(challengeToken, '2fa_login');
+  if (!challenge) {
+    return res.status(401).json({ 
+      success: false, 
+      message: "La verificación expiró. Por favor inicia sesión nuevamente." 
+    });
+  }
+
+  try {
+    const userRes = await pool.query('SELECT * FROM users WHERE id = $1', [challenge.id]);
+    const user = userRes.rows[0];
+
+    if (!user || !user.totp_enabled) {
+      return res.status(401).json({ 
+        success: false, 
+        message: "La verificación expiró. Por favor inicia sesión nuevamente." 
+      });
+    }
+
+    const method = await verifySecondFactor(user, code);
+    if (!method) {
+      return res.status(401).json({ 
+        success: false, 
+        message: "Código de verificación incorrecto." 
+      });
+    }
+
+    const isActive = await checkAndUpdateActiveStatus(user.id);
+    if (!isActive) {
+      return res.status(401).json({ 
+        success: false, 
+        message: "Usuario inactivo. Contacte al administrador." 
+      });
+    }
+
+    if (method === 'recovery_code') {
+      await logAuthAudit(req, user, '2FA_RECOVERY_CODE_USED', { recovery_code_used: true });
+    }
+
+    await sendLoginSuccess(user, req, res);
+
+  } catch (err) {
+    console.error('Error en verificación 2FA:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: "Error interno del servidor." 
+    });
+  }
+};
+
+// Permite operar con un usuario logueado o con el challenge de configuración
+// obligatoria de 2FA que recibe un administrador en el login
+exports.requireAuthOrSetupChallenge = async function(req, res, next) {
+  const challengeToken = req.body?.challengeToken;
+
+  if (!challengeToken) {
+    return exports.requireAuth(req, res, () => exports.requireUser(req, res, next));
+  }
+
+  const challenge = verifyChallengeToken(challengeToken, '2fa_setup');
+  if (!challenge) {
+    return res.status(401).json({ 
+      success: false, 
+      message: "La verificación expiró. Por favor inicia sesión nuevamente." 
+    });
+  }
+
+  req.user = { id: challenge.id, email: challenge.email };
+  req.setupChallenge = true;
+  next();
+};
+
+// Estado de 2FA del usuario actual
+exports.twoFactorStatus = async function(req, res) {
+  try {
+    const result = await pool.query(`
+      SELECT 
+        u.totp_enabled,
+        (SELECT COUNT(*) FROM user_recovery_codes rc 
+         WHERE rc.user_id = u.id AND rc.used_at IS NULL) AS recovery_codes_remaining
+      FROM users u 
+      WHERE u.id = $1
+    `, [req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Usuario no encontrado." 
+      });
+    }
+
+    res.json({
+      success: true,
+      enabled: result.rows[0].totp_enabled,
+      required: req.user.rol === 'admin',
+      recoveryCodesRemaining: parseInt(result.rows[0].recovery_codes_remaining)
+    });
+  } catch (err) {
+    console.error('Error obteniendo estado 2FA:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: "Error interno del servidor." 
+    });
+  }
+};
+
+// Iniciar configuración de 2FA: genera secreto y QR (queda pendiente hasta activar)
+exports.twoFactorSetup = async function(req, res) {
+  try {
+    const userRes = await pool.query(
+      'SELECT id, email, totp_enabled FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    const user = userRes.rows[0];
+
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Usuario no encontrado." 
+      });
+    }
+
+    if (user.totp_enabled) {
+      return res.status(409).json({ 
+        success: false, 
+        message: "La verificación en dos pasos ya está activada." 
+      });
+    }
+
+    const secret = totp.generateSecret();
+    const otpauthUrl = totp.buildOtpauthUrl(secret, user.email, TOTP_ISSUER);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    await pool.query(
+      'UPDATE users SET totp_secret = $1, totp_last_step = NULL WHERE id = $2',
+      [totp.encryptSecret(secret), user.id]
+    );
+
+    console.log('🔐 Configuración 2FA iniciada para:', user.email);
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl,
+      qrCode
+    });
+  } catch (err) {
+    console.error('Error iniciando configuración 2FA:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: "Error interno del servidor." 
+    });
+  }
+};
+
+// Confirmar configuración de 2FA con un primer código válido
+exports.twoFactorActivate = async function(req, res) {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ 
+      success: false, 
+      message: "Código de verificación requerido." 
+    });
+  }
 
-// Función auxiliar para verificar y actualizar estado activo
-async function checkAndUpdateActiveStatus(userId) {
   try {
-    const result = await pool.query(
-      `UPDATE users 
-       SET activo = CASE 
-         WHEN fecha_vencimiento > CURRENT_TIMESTAMP THEN true 
-         ELSE false 
-       END 
-       WHERE id = $1 
-       RETURNING activo`,
-      [userId]
+    const userRes = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.id]);
+    const user = userRes.rows[0];
+
+    if (!user || !user.totp_secret) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "Primero debe iniciar la configuración de 2FA." 
+      });
+    }
+
+    if (user.totp_enabled) {
+      return res.status(409).json({ 
+        success: false, 
+        message: "La verificación en dos pasos ya está activada." 
+      });
+    }
+
+    const step = totp.verifyCode(totp.decryptSecret(user.totp_secret), code);
+    if (step === null) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "Código de verificación incorrecto." 
+      });
+    }
+
+    await pool.query(
+      'UPDATE users SET totp_enabled = true, totp_last_step = $1 WHERE id = $2',
+      [step, user.id]
     );
-    return result.rows[0]?.activo || false;
-  } catch (error) {
-    console.error('Error verificando estado activo:', error);
-    return false;
+    const recoveryCodes = await replaceRecoveryCodes(user.id);
+
+    await logAuthAudit(req, user, '2FA_ENABLED', { totp_enabled: true });
+    console.log('✅ 2FA activado para:', user.email);
+
+    // Configuración obligatoria durante el login: completar el inicio de sesión
+    if (req.setupChallenge) {
+      const isActive = await checkAndUpdateActiveStatus(user.id);
+      if (!isActive) {
+        return res.status(401).json({ 
+          success: false, 
+          message: "Usuario inactivo. Contacte al administrador." 
+        });
+      }
+      return sendLoginSuccess(user, req, res, { recoveryCodes });
+    }
+
+    res.json({
+      success: true,
+      message: "Verificación en dos pasos activada.",
+      recoveryCodes
+    });
+  } catch (err) {
+    console.error('Error activando 2FA:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: "Error interno del servidor." 
+    });
   }
-}
+};
 
-exports.login = async function(req, res) {
-  const { email, password } = req.body;
-  
-  if (!email || !password) {
+// Desactivar 2FA (no permitido para administradores)
+exports.twoFactorDisable = async function(req, res) {
+  const { password, code } = req.body;
+
+  if (!password || !code) {
     return res.status(400).json({ 
       success: false, 
-      message: "Email y contraseña requeridos." 
+      message: "Contraseña y código de verificación requeridos." 
     });
   }
 
   try {
-    // Buscar usuario por email
-    const userRes = await pool.query(
-      'SELECT * FROM users WHERE email = $1',
-      [email.toLowerCase().trim()]
-    );
+    const userRes = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.id]);
+    const user = userRes.rows[0];
 
-    if (userRes.rows.length === 0) {
-      return res.status(401).json({ 
+    if (!user || !user.totp_enabled) {
+      return res.status(400).json({ 
         success: false, 
-        message: "Usuario o contraseña incorrectos." 
+        message: "La verificación en dos pasos no está activada." 
       });
     }
 
-    const user = userRes.rows[0];
-
-    // Verificar contraseña
-    const valid = await bcrypt.compare(password, user.password_hash);
-    if (!valid) {
-      return res.status(401).json({ 
+    if (user.rol === 'admin') {
+      return res.status(403).json({ 
         success: false, 
-        message: "Usuario o contraseña incorrectos." 
+        message: "La verificación en dos pasos es obligatoria para administradores." 
       });
     }
 
-    // Verificar y actualizar estado activo
-    const isActive = await checkAndUpdateActiveStatus(user.id);
-    
-    if (!isActive) {
+    const validPassword = await bcrypt.compare(password, user.password_hash);
+    if (!validPassword || !(await verifySecondFactor(user, code))) {
       return res.status(401).json({ 
         success: false, 
-        message: "Usuario inactivo. Contacte al administrador." 
+        message: "Contraseña o código incorrectos." 
       });
     }
 
-    // Actualizar fecha de último acceso
-    await updateLastAccess(user.id);
+    await pool.query(`
+      UPDATE users 
+      SET totp_enabled = false, totp_secret = NULL, totp_last_step = NULL 
+      WHERE id = $1
+    `, [user.id]);
+    await pool.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [user.id]);
 
-    // Generar token JWT
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        email: user.email, 
-        rol: user.rol,
-        nombre_apellido: user.nombre_apellido
-      }, 
-      JWT_SECRET, 
-      { expiresIn: '12h' }
-    );
+    await logAuthAudit(req, user, '2FA_DISABLED', { totp_enabled: false });
+    console.log('🔓 2FA desactivado para:', user.email);
+
+    res.json({
+      success: true,
+      message: "Verificación en dos pasos desactivada."
+    });
+  } catch (err) {
+    console.error('Error desactivando 2FA:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: "Error interno del servidor." 
+    });
+  }
+};
 
-    console.log('✅ Login exitoso para:', user.email);
+// Regenerar códigos de recuperación (invalida los anteriores)
+exports.twoFactorRegenerateRecoveryCodes = async function(req, res) {
+  const { code } = req.body;
 
-    res.json({ 
-      success: true, 
-      token, 
-      user: { 
-        id: user.id, 
-        email: user.email, 
-        nombre_apellido: user.nombre_apellido,
-        telefono: user.telefono,
-        rol: user.rol,
-        fecha_ultimo_acceso: new Date().toISOString()
-      } 
+  if (!code) {
+    return res.status(400).json({ 
+      success: false, 
+      message: "Código de verificación requerido." 
     });
+  }
+
+  try {
+    const userRes = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.id]);
+    const user = userRes.rows[0];
+
+    if (!user || !user.totp_enabled) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "La verificación en dos pasos no está activada." 
+      });
+    }
+
+    if (!(await verifySecondFactor(user, code))) {
+      return res.status(401).json({ 
+        success: false, 
+        message: "Código de verificación incorrecto." 
+      });
+    }
 
+    const recoveryCodes = await replaceRecoveryCodes(user.id);
+    await logAuthAudit(req, user, '2FA_RECOVERY_CODES_REGENERATED', { recovery_codes: recoveryCodes.length });
+
+    res.json({
+      success: true,
+      recoveryCodes
+    });
   } catch (err) {
-    console.error('Error en login:', err);
+    console.error('Error regenerando códigos de recuperación:', err);
     res.status(500).json({ 
       success: false, 
       message: "Error interno del servidor." 
@@ -132,6 +1431,22 @@ exports.login = async function(req, res) {
   }
 };
 
+// Restablecer 2FA de un usuario que perdió su dispositivo (uso administrativo)
+exports.resetTwoFactor = async function(userId) {
+  const result = await pool.query(`
+    UPDATE users 
+    SET totp_enabled = false, totp_secret = NULL, totp_last_step = NULL 
+    WHERE id = $1
+    RETURNING id, email, nombre_apellido, rol
+  `, [userId]);
+
+  if (result.rows.length === 0) return null;
+
+  await pool.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  await revokeUserSessions(userId, '2fa_restablecido');
+  return result.rows[0];
+};
+
 exports.register = async function(req, res) {
   const { nombre_apellido, telefono, email, password, confirmPassword } = req.body;
   
@@ -143,17 +1458,11 @@ exports.register = async function(req, res) {
     });
   }
 
-  if (password !== confirmPassword) {
-    return res.status(400).json({ 
-      success: false, 
-      message: "Las contraseñas no coinciden." 
-    });
-  }
-
-  if (password.length < 8) {
+  const passwordError = validatePassword(password, confirmPassword);
+  if (passwordError) {
     return res.status(400).json({ 
       success: false, 
-      message: "La contraseña debe tener al menos 8 caracteres." 
+      message: passwordError 
     });
   }
 
@@ -181,18 +1490,21 @@ exports.register = async function(req, res) {
     }
 
     // Generar hash de la contraseña
-    const hash = await bcrypt.hash(password, 12);
+    const hash = await hashPassword(password);
     
-    // Insertar nuevo usuario
+    // Insertar nuevo usuario: inactivo hasta verificar email y ser aprobado
     const result = await pool.query(`
       INSERT INTO users (
         nombre_apellido, 
         telefono, 
         email, 
         password_hash, 
-        rol
-      ) VALUES ($1, $2, $3, $4, $5) 
-      RETURNING id, nombre_apellido, telefono, email, rol, fecha_creacion, activo
+        rol,
+        activo,
+        estado_registro,
+        email_verificado
+      ) VALUES ($1, $2, $3, $4, $5, false, 'pendiente_verificacion', false) 
+      RETURNING id, nombre_apellido, telefono, email, rol, fecha_creacion, activo, estado_registro
     `, [
       nombre_apellido.trim(),
       telefono?.trim() || null,
@@ -203,9 +1515,16 @@ exports.register = async function(req, res) {
 
     const newUser = result.rows[0];
 
+    await sendEmailVerification(newUser, req);
+    await logAuthAudit(req, newUser, 'REGISTRATION_REQUESTED', {
+      email: newUser.email,
+      nombre_apellido: newUser.nombre_apellido,
+      estado_registro: newUser.estado_registro
+    });
+
     res.status(201).json({ 
       success: true, 
-      message: "Usuario registrado exitosamente.",
+      message: "Registro recibido. Revise su email para verificar la cuenta; luego un administrador aprobará el acceso.",
       user: {
         id: newUser.id,
         nombre_apellido: newUser.nombre_apellido,
@@ -213,7 +1532,8 @@ exports.register = async function(req, res) {
         email: newUser.email,
         rol: newUser.rol,
         fecha_creacion: newUser.fecha_creacion,
-        activo: newUser.activo
+        activo: newUser.activo,
+        estado_registro: newUser.estado_registro
       }
     });
 
@@ -232,22 +1552,269 @@ exports.register = async function(req, res) {
       message: "Error interno del servidor." 
     });
   }
-};
-
-exports.logout = function(req, res) {
-  res.json({ 
-    success: true, 
-    message: "Sesión cerrada correctamente." 
-  });
-};
+};
+
+// Confirmar la propiedad del email con el link enviado al registrarse
+exports.verifyEmail = async function(req, res) {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ 
+      success: false, 
+      message: "Token de verificación requerido." 
+    });
+  }
+
+  try {
+    const tokenResult = await pool.query(`
+      SELECT u.id, u.email, u.nombre_apellido, u.estado_registro
+      FROM password_reset_tokens prt
+      JOIN users u ON prt.user_id = u.id
+      WHERE prt.token = $1 
+      AND prt.purpose = 'email_verification'
+      AND prt.expires_at > NOW() 
+      AND prt.used_at IS NULL
+    `, [token]);
+
+    if (tokenResult.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Link de verificación inválido, expirado o ya usado."
+      });
+    }
+
+    const user = tokenResult.rows[0];
+
+    await pool.query(`
+      UPDATE users 
+      SET email_verificado = true,
+          estado_registro = CASE 
+            WHEN estado_registro = 'pendiente_verificacion' THEN 'pendiente_aprobacion' 
+            ELSE estado_registro 
+          END
+      WHERE id = $1
+    `, [user.id]);
+
+    await pool.query(
+      'UPDATE password_reset_tokens SET used_at = NOW() WHERE token = $1',
+      [token]
+    );
+
+    await logAuthAudit(req, user, 'EMAIL_VERIFIED', { email_verificado: true });
+    console.log(`✅ Email verificado: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: "Email verificado. Su registro quedó pendiente de aprobación por un administrador."
+    });
+  } catch (err) {
+    console.error('Error verificando email:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: "Error interno del servidor." 
+    });
+  }
+};
+
+// Reenviar el link de verificación (respuesta neutra para no revelar emails)
+exports.resendEmailVerification = async function(req, res) {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ 
+      success: false, 
+      message: "Email es requerido." 
+    });
+  }
+
+  try {
+    const userRes = await pool.query(`
+      SELECT id, email, nombre_apellido 
+      FROM users 
+      WHERE email = $1 AND estado_registro = 'pendiente_verificacion'
+    `, [email.toLowerCase().trim()]);
+
+    if (userRes.rows.length > 0) {
+      await sendEmailVerification(userRes.rows[0], req);
+    }
+
+    res.json({
+      success: true,
+      message: "Si hay un registro pendiente de verificación para ese email, recibirá un nuevo link."
+    });
+  } catch (err) {
+    console.error('Error reenviando verificación:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: "Error interno del servidor." 
+    });
+  }
+};
+
+exports.logout = async function(req, res) {
+  try {
+    await revokeSession(req.user.sid, 'logout');
+    console.log('👋 Sesión cerrada para:', req.user.email);
+
+    res.json({ 
+      success: true, 
+      message: "Sesión cerrada correctamente." 
+    });
+  } catch (err) {
+    console.error('Error en logout:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: "Error interno del servidor." 
+    });
+  }
+};
+
+// Renovar access token con rotación del refresh token
+exports.refreshToken = async function(req, res) {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken || typeof refreshToken !== 'string' || !UUID_REGEX.test(refreshToken.split('.')[0])) {
+    return res.status(400).json({ 
+      success: false, 
+      message: "Refresh token requerido." 
+    });
+  }
+
+  try {
+    const sessionId = refreshToken.split('.')[0];
+    const tokenHash = hashToken(refreshToken);
+
+    const sessionRes = await pool.query(`
+      SELECT 
+        s.id, 
+        s.refresh_token_hash, 
+        s.previous_refresh_token_hash,
+        u.id AS user_id, 
+        u.email, 
+        u.nombre_apellido, 
+        u.rol, 
+        u.activo
+      FROM user_sessions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.id = $1::uuid 
+      AND s.revoked_at IS NULL 
+      AND s.expires_at > CURRENT_TIMESTAMP
+    `, [sessionId]);
+
+    if (sessionRes.rows.length === 0) {
+      return res.status(401).json({ 
+        success: false, 
+        message: "Sesión inválida o expirada. Por favor inicia sesión nuevamente." 
+      });
+    }
+
+    const session = sessionRes.rows[0];
+
+    // Un refresh token ya rotado se está reutilizando: posible robo, revocar la sesión
+    if (session.previous_refresh_token_hash === tokenHash) {
+      await revokeSession(session.id, 'refresh_token_reutilizado');
+      console.warn('⚠️ Reutilización de refresh token detectada para:', session.email);
+      return res.status(401).json({ 
+        success: false, 
+        message: "Sesión revocada por seguridad. Por favor inicia sesión nuevamente." 
+      });
+    }
+
+    if (session.refresh_token_hash !== tokenHash) {
+      return res.status(401).json({ 
+        success: false, 
+        message: "Refresh token inválido." 
+      });
+    }
+
+    // Verificar que el usuario sigue activo
+    const isActive = session.activo && await checkAndUpdateActiveStatus(session.user_id);
+    if (!isActive) {
+      await revokeSession(session.id, 'usuario_inactivo');
+      return res.status(401).json({ 
+        success: false, 
+        message: "Usuario inactivo. Contacte al administrador." 
+      });
+    }
+
+    // Rotar refresh token: solo si sigue siendo el vigente, para que de dos
+    // renovaciones en paralelo con el mismo token solo gane una
+    const newRefreshToken = `${session.id}.${crypto.randomBytes(32).toString('hex')}`;
+    const rotated = await pool.query(`
+      UPDATE user_sessions 
+      SET refresh_token_hash = $2, 
+          previous_refresh_token_hash = refresh_token_hash,
+          last_activity = CURRENT_TIMESTAMP
+      WHERE id = $1 AND refresh_token_hash = $3 AND revoked_at IS NULL
+    `, [session.id, hashToken(newRefreshToken), tokenHash]);
+
+    // Otra solicitud ya rotó este token: se trata como reutilización
+    if (rotated.rowCount === 0) {
+      await revokeSession(session.id, 'refresh_token_reutilizado');
+      console.warn('⚠️ Reutilización de refresh token detectada para:', session.email);
+      return res.status(401).json({ 
+        success: false, 
+        message: "Sesión revocada por seguridad. Por favor inicia sesión nuevamente." 
+      });
+    }
+
+    await updateLastAccess(session.user_id);
+
+    const user = {
+      id: session.user_id,
+      email: session.email,
+      rol: session.rol,
+      nombre_apellido: session.nombre_apellido
+    };
+
+    console.log('🔄 Token renovado para:', user.email);
+
+    res.json({
+      success: true,
+      token: signAccessToken(user, session.id),
+      refreshToken: newRefreshToken,
+      message: 'Token renovado exitosamente'
+    });
+
+  } catch (err) {
+    console.error('Error renovando token:', err);
+    res.status(500).json({ 
+      success: false, 
+      message: "Error interno del servidor." 
+    });
+  }
+};
+
+// 🔧 MIDDLEWARE DE AUTENTICACIÓN CORREGIDO
+exports.requireAuth = async function(req, res, next) {
+  // Clientes automatizados: API key en el header X-API-Key o "Authorization: ApiKey ..."
+  const apiKey = getApiKeyFromRequest(req);
+  if (apiKey) {
+    try {
+      const principal = await authenticateApiKey(apiKey, req);
+      if (!principal) {
+        return res.status(401).json({ 
+          success: false, 
+          message: "API key inválida, revocada o expirada." 
+        });
+      }
+
+      console.log('✅ API key válida:', principal.apiKey.name);
+      req.user = principal;
+      return next();
+    } catch (err) {
+      console.error('❌ Error verificando API key:', err.message);
+      return res.status(401).json({ 
+        success: false, 
+        message: "Error de autenticación." 
+      });
+    }
+  }
 
-// 🔧 MIDDLEWARE DE AUTENTICACIÓN CORREGIDO
-exports.requireAuth = function(req, res, next) {
-  // Intentar obtener el token de diferentes formas
+  // Usuarios: JWT solo desde el header Authorization (nunca por query ni body,
+  // para que no quede en logs ni en el historial del navegador)
   let token = null;
-  
-  // 1. Desde el header Authorization (con mayúscula)
-  const authHeader = req.headers['authorization'] || req.headers['Authorization'];
+  const authHeader = req.headers['authorization'];
   if (authHeader) {
     if (authHeader.startsWith('Bearer ')) {
       token = authHeader.slice(7); // Remover "Bearer "
@@ -256,22 +1823,7 @@ exports.requireAuth = function(req, res, next) {
     }
   }
   
-  // 2. Desde el query parameter (fallback)
-  if (!token && req.query.token) {
-    token = req.query.token;
-  }
-  
-  // 3. Desde el body (fallback)
-  if (!token && req.body.token) {
-    token = req.body.token;
-  }
-  
   console.log('🔐 Verificando token de autenticación...');
-  console.log('📋 Headers recibidos:', {
-    authorization: req.headers['authorization'],
-    Authorization: req.headers['Authorization'],
-    'content-type': req.headers['content-type']
-  });
   console.log('🎟️ Token encontrado:', token ? 'SÍ' : 'NO');
   
   if (!token) {
@@ -282,11 +1834,9 @@ exports.requireAuth = function(req, res, next) {
     });
   }
   
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    console.log('✅ Token válido para usuario:', decoded.email);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch (err) {
     console.error('❌ Error verificando token:', err.message);
     
@@ -307,6 +1857,61 @@ exports.requireAuth = function(req, res, next) {
       });
     }
   }
+
+  // Verificar que la sesión de servidor sigue vigente y el usuario activo
+  if (!decoded.sid || !UUID_REGEX.test(decoded.sid)) {
+    return res.status(401).json({ 
+      success: false, 
+      message: "Sesión inválida. Por favor inicia sesión nuevamente." 
+    });
+  }
+
+  try {
+    const sessionRes = await pool.query(`
+      UPDATE user_sessions s 
+      SET last_activity = CURRENT_TIMESTAMP
+      FROM users u
+      WHERE s.id = $1::uuid 
+      AND s.user_id = u.id
+      AND s.revoked_at IS NULL 
+      AND s.expires_at > CURRENT_TIMESTAMP
+      AND u.activo = true
+      AND (u.fecha_vencimiento IS NULL OR u.fecha_vencimiento > CURRENT_TIMESTAMP)
+      RETURNING s.id, u.nombre_apellido
+    `, [decoded.sid]);
+
+    if (sessionRes.rows.length === 0) {
+      console.error('❌ Sesión revocada o expirada:', decoded.sid);
+      return res.status(401).json({ 
+        success: false, 
+        message: "Sesión revocada o expirada. Por favor inicia sesión nuevamente." 
+      });
+    }
+
+    // El nombre puede haber cambiado después de emitido el token (auditoría)
+    decoded.nombre_apellido = sessionRes.rows[0].nombre_apellido;
+  } catch (err) {
+    console.error('❌ Error verificando sesión:', err.message);
+    return res.status(401).json({ 
+      success: false, 
+      message: "Error de autenticación." 
+    });
+  }
+
+  console.log('✅ Token válido para usuario:', decoded.email);
+  req.user = decoded;
+  next();
+};
+
+// Rutas que operan sobre la cuenta del usuario (perfil, 2FA, logout) no admiten API keys
+exports.requireUser = function(req, res, next) {
+  if (!req.user || req.user.apiKey) {
+    return res.status(403).json({ 
+      success: false, 
+      message: "Esta operación requiere una sesión de usuario." 
+    });
+  }
+  next();
 };
 
 exports.requireAdmin = function(req, res, next) {
@@ -321,6 +1926,195 @@ exports.requireAdmin = function(req, res, next) {
   next();
 };
 
+// ========== PERMISOS POR TABLA Y CATEGORÍA ==========
+
+// Verificar si un usuario puede realizar una operación sobre una tabla.
+// Los nombres guardados ('public.x' o 'x') se comparan en forma canónica.
+async function hasTablePermission(user, tableName, operation) {
+  tableName = normalizeTableName(tableName);
+
+  if (user.apiKey) {
+    return user.apiKey.tables.includes(tableName) && user.apiKey.operations.includes(operation);
+  }
+
+  const roleOperations = ROLE_OPERATIONS[user.rol] || [];
+  if (!roleOperations.includes(operation)) return false;
+  if (GLOBAL_SCOPE_ROLES.includes(user.rol)) return true;
+
+  const result = await pool.query(`
+    SELECT 1 
+    FROM table_permissions p
+    WHERE p.user_id = $1 
+    AND $3 = ANY(p.operations)
+    AND (
+      ${normalizedTableNameSql('p.table_name')} = $2 
+      OR p.category_name IN (
+        SELECT category_name FROM table_categories 
+        WHERE ${normalizedTableNameSql('table_name')} = $2 AND is_active = true
+      )
+    )
+    LIMIT 1
+  `, [user.id, tableName, operation]);
+
+  return result.rows.length > 0;
+}
+
+exports.hasTablePermission = hasTablePermission;
+
+// Middleware: exige permiso para la operación sobre la tabla de la ruta
+exports.requireTablePermission = function(operation, getTableName = req => req.params.tableName) {
+  return async function(req, res, next) {
+    const tableName = getTableName(req);
+
+    try {
+      if (!tableName || !(await hasTablePermission(req.user, tableName, operation))) {
+        console.log(`❌ Permiso '${operation}' denegado sobre ${tableName} para:`, req.user?.email);
+        return res.status(403).json({ 
+          success: false, 
+          message: `No tiene permiso para '${operation}' sobre la tabla '${tableName}'.` 
+        });
+      }
+      next();
+    } catch (err) {
+      console.error('Error verificando permisos:', err);
+      res.status(500).json({ 
+        success: false, 
+        message: "Error interno del servidor." 
+      });
+    }
+  };
+};
+
+// Tablas legibles por el usuario: null significa "todas"
+exports.getReadableTables = async function(user) {
+  if (user.apiKey) {
+    return new Set(user.apiKey.operations.includes('read') ? user.apiKey.tables : []);
+  }
+
+  const roleOperations = ROLE_OPERATIONS[user.rol] || [];
+  if (!roleOperations.includes('read')) return new Set();
+  if (GLOBAL_SCOPE_ROLES.includes(user.rol)) return null;
+
+  const result = await pool.query(`
+    SELECT p.table_name 
+    FROM table_permissions p
+    WHERE p.user_id = $1 AND p.table_name IS NOT NULL AND 'read' = ANY(p.operations)
+    UNION
+    SELECT tc.table_name 
+    FROM table_permissions p
+    JOIN table_categories tc ON tc.category_name = p.category_name AND tc.is_active = true
+    WHERE p.user_id = $1 AND 'read' = ANY(p.operations)
+  `, [user.id]);
+
+  return new Set(result.rows.map(row => normalizeTableName(row.table_name)));
+};
+
+// Permisos explícitos de un usuario
+exports.getUserPermissions = async function(userId) {
+  const result = await pool.query(`
+    SELECT p.id, p.category_name, p.table_name, p.operations, p.created_at, g.email AS granted_by_email
+    FROM table_permissions p
+    LEFT JOIN users g ON g.id = p.granted_by
+    WHERE p.user_id = $1
+    ORDER BY p.category_name NULLS LAST, p.table_name
+  `, [userId]);
+  return result.rows;
+};
+
+// ========== API KEYS ==========
+
+const API_KEY_PREFIX = 'rnk';
+
+// Formato: rnk_<prefijo>_<secreto>. El prefijo permite buscar la key sin
+// recorrer la tabla; el secreto completo se compara contra el hash guardado.
+function getApiKeyFromRequest(req) {
+  const header = req.headers['x-api-key'];
+  if (header) return header;
+
+  const authHeader = req.headers['authorization'];
+  if (authHeader && authHeader.startsWith('ApiKey ')) {
+    return authHeader.slice(7);
+  }
+  return null;
+}
+
+async function authenticateApiKey(rawKey, req) {
+  const [prefix, keyPrefix] = rawKey.split('_');
+  if (prefix !== API_KEY_PREFIX || !keyPrefix) return null;
+
+  const result = await pool.query(`
+    SELECT id, name, key_hash, tables, operations, created_by
+    FROM api_keys 
+    WHERE key_prefix = $1 
+    AND revoked_at IS NULL 
+    AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+  `, [keyPrefix]);
+
+  const apiKey = result.rows[0];
+  if (!apiKey) return null;
+
+  const expected = Buffer.from(apiKey.key_hash, 'hex');
+  const actual = Buffer.from(hashToken(rawKey), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+  await pool.query(
+    'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $2 WHERE id = $1',
+    [apiKey.id, req.ip]
+  );
+
+  // Principal equivalente a req.user: la auditoría queda a nombre de la key
+  return {
+    id: null,
+    email: `api-key:${apiKey.name}`,
+    nombre_apellido: `API key ${apiKey.name}`,
+    rol: 'api_key',
+    apiKey: {
+      id: apiKey.id,
+      name: apiKey.name,
+      tables: apiKey.tables.map(normalizeTableName),
+      operations: apiKey.operations,
+      createdBy: apiKey.created_by
+    }
+  };
+}
+
+// Crear una API key. La key en claro se devuelve una única vez.
+exports.createApiKey = async function({ name, tables, operations, expiresAt, createdBy }) {
+  const keyPrefix = crypto.randomBytes(4).toString('hex');
+  const rawKey = `${API_KEY_PREFIX}_${keyPrefix}_${crypto.randomBytes(32).toString('hex')}`;
+
+  const result = await pool.query(`
+    INSERT INTO api_keys (name, key_prefix, key_hash, tables, operations, expires_at, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING id, name, key_prefix, tables, operations, expires_at, created_at
+  `, [name, keyPrefix, hashToken(rawKey), tables, operations, expiresAt, createdBy]);
+
+  return { apiKey: result.rows[0], key: rawKey };
+};
+
+exports.listApiKeys = async function() {
+  const result = await pool.query(`
+    SELECT 
+      k.id, k.name, k.key_prefix, k.tables, k.operations, k.expires_at, 
+      k.last_used_at, k.last_used_ip, k.created_at, k.revoked_at,
+      u.email AS created_by_email
+    FROM api_keys k
+    LEFT JOIN users u ON u.id = k.created_by
+    ORDER BY k.revoked_at NULLS FIRST, k.created_at DESC
+  `);
+  return result.rows;
+};
+
+exports.revokeApiKey = async function(id) {
+  const result = await pool.query(`
+    UPDATE api_keys 
+    SET revoked_at = CURRENT_TIMESTAMP 
+    WHERE id = $1 AND revoked_at IS NULL
+    RETURNING id, name, key_prefix, tables, operations, expires_at, revoked_at
+  `, [id]);
+  return result.rows[0] || null;
+};
+
 exports.passwordResetConfirm = async (req, res) => {
   const { token, password, confirmPassword } = req.body;
 
@@ -331,17 +2125,11 @@ exports.passwordResetConfirm = async (req, res) => {
     });
   }
 
-  if (password !== confirmPassword) {
+  const passwordError = validatePassword(password, confirmPassword);
+  if (passwordError) {
     return res.status(400).json({ 
       success: false, 
-      message: "Las contraseñas no coinciden" 
-    });
-  }
-
-  if (password.length < 8) {
-    return res.status(400).json({ 
-      success: false, 
-      message: "La contraseña debe tener al menos 8 caracteres" 
+      message: passwordError 
     });
   }
 
@@ -351,7 +2139,8 @@ exports.passwordResetConfirm = async (req, res) => {
       SELECT prt.user_id, u.email 
       FROM password_reset_tokens prt
       JOIN users u ON prt.user_id = u.id
-      WHERE prt.token = $1 AND prt.expires_at > NOW() AND prt.used_at IS NULL
+      WHERE prt.token = $1 AND prt.purpose = 'password_reset' 
+      AND prt.expires_at > NOW() AND prt.used_at IS NULL
     `, [token]);
 
     if (tokenResult.rows.length === 0) {
@@ -365,8 +2154,7 @@ exports.passwordResetConfirm = async (req, res) => {
     const userEmail = tokenResult.rows[0].email;
 
     // Hashear nueva contraseña
-    const bcrypt = require('bcrypt');
-    const hashedPassword = await bcrypt.hash(password, 10);
+    const hashedPassword = await hashPassword(password);
 
     // Actualizar hash de contraseña del usuario - CORREGIDO
     await pool.query(`
@@ -382,11 +2170,14 @@ exports.passwordResetConfirm = async (req, res) => {
       WHERE token = $1
     `, [token]);
 
+    // Cerrar todas las sesiones abiertas con la contraseña anterior
+    await revokeUserSessions(userId, 'password_reset');
+
     console.log(`✅ Contraseña restablecida para usuario: ${userEmail}`);
 
     // Registrar en auditoría
-    if (typeof logAuditAction === 'function') {
-      await logAuditAction({
+    if (auditLogger) {
+      await auditLogger({
         userEmail: userEmail,
         userId: userId,
         userName: userEmail,
@@ -415,6 +2206,228 @@ exports.passwordResetConfirm = async (req, res) => {
   }
 };
 
+// Aceptar una invitación: el invitado define su contraseña y la cuenta queda activa
+exports.acceptInvitation = async function(req, res) {
+  const { token, password, confirmPassword } = req.body;
+
+  if (!token || !password || !confirmPassword) {
+    return res.status(400).json({
+      success: false,
+      message: "Todos los campos son requeridos"
+    });
+  }
+
+  const passwordError = validatePassword(password, confirmPassword);
+  if (passwordError) {
+    return res.status(400).json({
+      success: false,
+      message: passwordError
+    });
+  }
+
+  try {
+    const tokenResult = await pool.query(`
+      SELECT u.id, u.email, u.nombre_apellido, u.rol, u.fecha_vencimiento
+      FROM password_reset_tokens prt
+      JOIN users u ON prt.user_id = u.id
+      WHERE prt.token = $1 
+      AND prt.purpose = 'invitation'
+      AND prt.expires_at > NOW() 
+      AND prt.used_at IS NULL
+      AND u.estado_registro = 'invitado'
+    `, [token]);
+
+    if (tokenResult.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Invitación inválida, expirada o ya usada"
+      });
+    }
+
+    const user = tokenResult.rows[0];
+    const hashedPassword = await hashPassword(password);
+
+    await pool.query(`
+      UPDATE users 
+      SET password_hash = $1,
+          activo = true,
+          estado_registro = 'aprobado',
+          email_verificado = true
+      WHERE id = $2
+    `, [hashedPassword, user.id]);
+
+    await pool.query(
+      'UPDATE password_reset_tokens SET used_at = NOW() WHERE token = $1',
+      [token]
+    );
+
+    await logAuthAudit(req, user, 'INVITATION_ACCEPTED', {
+      estado_registro: 'aprobado',
+      activo: true
+    });
+    console.log(`✅ Invitación aceptada: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: "Cuenta activada. Ya puede ingresar con su nueva contraseña."
+    });
+  } catch (error) {
+    console.error("Error aceptando invitación:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error interno del servidor"
+    });
+  }
+};
+
+// Actualizar datos personales del usuario autenticado
+exports.updateProfile = async function(req, res) {
+  const { nombre_apellido, telefono } = req.body;
+
+  if (nombre_apellido === undefined && telefono === undefined) {
+    return res.status(400).json({
+      success: false,
+      message: "No hay datos para actualizar"
+    });
+  }
+
+  if (nombre_apellido !== undefined && (typeof nombre_apellido !== 'string' || !nombre_apellido.trim())) {
+    return res.status(400).json({
+      success: false,
+      message: "El nombre y apellido no puede estar vacío"
+    });
+  }
+
+  if (telefono !== undefined && telefono !== null && typeof telefono !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: "Teléfono inválido"
+    });
+  }
+
+  try {
+    const currentResult = await pool.query(
+      'SELECT id, email, nombre_apellido, telefono FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    if (currentResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Usuario no encontrado"
+      });
+    }
+
+    const current = currentResult.rows[0];
+    const result = await pool.query(`
+      UPDATE users 
+      SET nombre_apellido = $1, telefono = $2 
+      WHERE id = $3
+      RETURNING id, nombre_apellido, telefono, email, rol, fecha_creacion, fecha_ultimo_acceso, fecha_vencimiento, activo
+    `, [
+      nombre_apellido !== undefined ? nombre_apellido.trim() : current.nombre_apellido,
+      telefono !== undefined ? (telefono?.trim() || null) : current.telefono,
+      req.user.id
+    ]);
+    const user = result.rows[0];
+
+    await logAuthAudit(req, user, 'PROFILE_UPDATED',
+      { nombre_apellido: user.nombre_apellido, telefono: user.telefono },
+      { nombre_apellido: current.nombre_apellido, telefono: current.telefono }
+    );
+
+    // El access token lleva el nombre: se emite uno nuevo para la misma sesión
+    res.json({
+      success: true,
+      message: "Perfil actualizado",
+      user: user,
+      token: signAccessToken(user, req.user.sid)
+    });
+  } catch (error) {
+    console.error("Error actualizando perfil:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error interno del servidor"
+    });
+  }
+};
+
+// Cambiar contraseña con la contraseña actual como prueba.
+// Cierra las demás sesiones del usuario y mantiene la actual.
+exports.changePassword = async function(req, res) {
+  const { currentPassword, newPassword, confirmPassword } = req.body;
+
+  if (!currentPassword || !newPassword || !confirmPassword) {
+    return res.status(400).json({
+      success: false,
+      message: "Todos los campos son requeridos"
+    });
+  }
+
+  const passwordError = validatePassword(newPassword, confirmPassword);
+  if (passwordError) {
+    return res.status(400).json({
+      success: false,
+      message: passwordError
+    });
+  }
+
+  try {
+    const userResult = await pool.query(
+      'SELECT id, email, nombre_apellido, password_hash FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Usuario no encontrado"
+      });
+    }
+
+    const user = userResult.rows[0];
+    const validPassword = await bcrypt.compare(currentPassword, user.password_hash);
+    // 400 y no 401: el cliente interpreta 401 como sesión vencida
+    if (!validPassword) {
+      res.locals.authFailed = true;
+      return res.status(400).json({
+        success: false,
+        message: "La contraseña actual es incorrecta"
+      });
+    }
+
+    if (await bcrypt.compare(newPassword, user.password_hash)) {
+      return res.status(400).json({
+        success: false,
+        message: "La nueva contraseña debe ser distinta de la actual"
+      });
+    }
+
+    const hashedPassword = await hashPassword(newPassword);
+    await pool.query('UPDATE users SET password_hash = $1 WHERE id = $2', [hashedPassword, user.id]);
+
+    const revoked = await revokeUserSessions(user.id, 'password_changed', req.user.sid);
+
+    console.log(`✅ Contraseña cambiada por el usuario: ${user.email}`);
+
+    await logAuthAudit(req, user, 'PASSWORD_CHANGED', {
+      password_changed: true,
+      other_sessions_revoked: revoked
+    });
+
+    res.json({
+      success: true,
+      message: "Contraseña actualizada. Se cerraron las demás sesiones abiertas."
+    });
+  } catch (error) {
+    console.error("Error cambiando contraseña:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error interno del servidor"
+    });
+  }
+};
+
 // Función para limpiar usuarios vencidos (puede ejecutarse periódicamente)
 exports.cleanExpiredUsers = async function() {
   try {
@@ -428,9 +2441,10 @@ exports.cleanExpiredUsers = async function() {
 
     if (result.rows.length > 0) {
       console.log(`🔄 Usuarios desactivados por vencimiento: ${result.rows.length}`);
-      result.rows.forEach(user => {
+      for (const user of result.rows) {
         console.log(`- ${user.nombre_apellido} (${user.email})`);
-      });
+        await revokeUserSessions(user.id, 'usuario_vencido');
+      }
     }
 
     return result.rows.length;
@@ -440,6 +2454,133 @@ exports.cleanExpiredUsers = async function() {
   }
 };
 
+// Fijar o extender el vencimiento de uno o varios usuarios.
+// Con extendDays se suma al vencimiento actual (o a hoy si ya venció).
+// Si reactivate es true, los usuarios desactivados por vencimiento vuelven a quedar activos
+// (solo los que tenían un vencimiento ya cumplido: sin vencimiento, la baja fue manual).
+exports.updateUserExpiry = async function(userIds, { fechaVencimiento = null, extendDays = null, reactivate = true }) {
+  const oldResult = await pool.query(`
+    SELECT id, email, nombre_apellido, activo, fecha_vencimiento 
+    FROM users 
+    WHERE id = ANY($1::int[])
+  `, [userIds]);
+
+  const result = await pool.query(`
+    UPDATE users u
+    SET fecha_vencimiento = nuevo.fecha,
+        activo = CASE 
+          WHEN $4 AND u.estado_registro = 'aprobado' 
+               AND u.fecha_vencimiento <= CURRENT_TIMESTAMP 
+          THEN true 
+          ELSE u.activo 
+        END
+    FROM (
+      SELECT id, COALESCE(
+        $2::timestamp,
+        GREATEST(COALESCE(fecha_vencimiento, CURRENT_TIMESTAMP), CURRENT_TIMESTAMP) + make_interval(days => $3::int)
+      ) AS fecha
+      FROM users 
+      WHERE id = ANY($1::int[])
+    ) nuevo
+    WHERE u.id = nuevo.id
+    RETURNING u.id, u.email, u.nombre_apellido, u.activo, u.fecha_vencimiento
+  `, [userIds, fechaVencimiento, extendDays, reactivate]);
+
+  const oldById = new Map(oldResult.rows.map(row => [row.id, row]));
+  return result.rows.map(user => ({ old: oldById.get(user.id), user }));
+};
+
+// Usuarios activos cuya cuenta vence dentro de los próximos "days" días
+exports.getExpiringUsers = async function(days = EXPIRY_WARNING_DAYS) {
+  const result = await pool.query(`
+    SELECT id, email, nombre_apellido, rol, fecha_vencimiento, aviso_vencimiento_para
+    FROM users 
+    WHERE activo = true 
+    AND fecha_vencimiento > CURRENT_TIMESTAMP 
+    AND fecha_vencimiento <= CURRENT_TIMESTAMP + make_interval(days => $1::int)
+    ORDER BY fecha_vencimiento ASC
+  `, [days]);
+  return result.rows;
+};
+
+// Avisar por email a los usuarios próximos a vencer y enviar un resumen a los admins.
+// Cada vencimiento se avisa una sola vez.
+exports.sendExpiryWarnings = async function(req = null) {
+  try {
+    const expiring = (await exports.getExpiringUsers(EXPIRY_WARNING_DAYS))
+      .filter(user => user.aviso_vencimiento_para?.getTime() !== user.fecha_vencimiento.getTime());
+
+    if (expiring.length === 0) return 0;
+
+    const loginLink = `${req ? getBaseUrl(req) : (process.env.FRONTEND_URL || '')}/login`;
+
+    for (const user of expiring) {
+      const diasRestantes = Math.ceil((new Date(user.fecha_vencimiento) - Date.now()) / (24 * 60 * 60 * 1000));
+
+      const sent = await sendNotification({
+        action: 'account_expiry_warning',
+        email: user.email,
+        nombre: user.nombre_apellido || user.email.split('@')[0],
+        fechaVencimiento: user.fecha_vencimiento,
+        diasRestantes: diasRestantes,
+        loginLink: loginLink
+      });
+
+      // Si el envío falla se reintenta en la próxima ejecución
+      if (sent) {
+        await pool.query(
+          'UPDATE users SET aviso_vencimiento_para = fecha_vencimiento WHERE id = $1',
+          [user.id]
+        );
+      }
+    }
+
+    const admins = await pool.query(
+      `SELECT email, nombre_apellido FROM users WHERE rol = 'admin' AND activo = true`
+    );
+    for (const admin of admins.rows) {
+      await sendNotification({
+        action: 'accounts_expiring_summary',
+        email: admin.email,
+        nombre: admin.nombre_apellido,
+        dias: EXPIRY_WARNING_DAYS,
+        usuarios: expiring.map(user => ({
+          email: user.email,
+          nombre: user.nombre_apellido,
+          rol: user.rol,
+          fechaVencimiento: user.fecha_vencimiento
+        }))
+      });
+    }
+
+    console.log(`📧 Avisos de vencimiento enviados: ${expiring.length}`);
+    return expiring.length;
+  } catch (error) {
+    console.error('Error enviando avisos de vencimiento:', error);
+    return 0;
+  }
+};
+
+// Eliminar sesiones expiradas o revocadas hace más de 30 días
+exports.purgeOldSessions = async function() {
+  try {
+    const result = await pool.query(`
+      DELETE FROM user_sessions 
+      WHERE expires_at < CURRENT_TIMESTAMP - INTERVAL '30 days'
+      OR revoked_at < CURRENT_TIMESTAMP - INTERVAL '30 days'
+    `);
+
+    if (result.rowCount > 0) {
+      console.log(`🗑️ Sesiones antiguas eliminadas: ${result.rowCount}`);
+    }
+
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error eliminando sesiones antiguas:', error);
+    return 0;
+  }
+};
+
 // 🆕 Función de debugging para verificar autenticación
 exports.debugAuth = function(req, res, next) {
   console.log('🔍 DEBUG AUTH - Headers:', req.headers);
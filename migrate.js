@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+
+// Migraciones versionadas de las tablas propias de la aplicación.
+// Cada versión es un par de archivos en migrations/:
+//   NNN_descripcion.up.sql     aplica el cambio
+//   NNN_descripcion.down.sql   lo revierte
+// Las versiones aplicadas se registran en schema_migrations. Cada migración
+// corre en su propia transacción y un advisory lock impide ejecuciones paralelas.
+//
+// Uso:
+//   npm run migrate                aplica las pendientes
+//   npm run migrate -- status      muestra el estado de cada versión
+//   npm run migrate -- down [n]    revierte las últimas n (por defecto 1)
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_REGEX = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+const MIGRATIONS_TABLE = 'schema_migrations';
+const MIGRATIONS_LOCK_ID = 72610419;
+
+exports.MIGRATIONS_TABLE = MIGRATIONS_TABLE;
+
+// Leer las migraciones disponibles, ordenadas por versión
+function loadMigrations() {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = file.match(MIGRATION_FILE_REGEX);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    if (!migrations.has(version)) {
+      migrations.set(version, { version, name, up: null, down: null });
+    }
+
+    const migration = migrations.get(version);
+    if (migration.name !== name) {
+      throw new Error(`La versión ${version} tiene archivos con nombres distintos (${migration.name}, ${name})`);
+    }
+    migration[direction] = path.join(MIGRATIONS_DIR, file);
+  }
+
+  for (const migration of migrations.values()) {
+    if (!migration.up || !migration.down) {
+      throw new Error(`La migración ${migration.version}_${migration.name} debe tener archivos .up.sql y .down.sql`);
+    }
+  }
+
+  return [...migrations.values()].sort((a, b) => a.version.localeCompare(b.version, 'en', { numeric: true }));
+}
+
+// Versiones aplicadas. Sin tabla de control no hay ninguna aplicada
+// (la consulta de estado no crea nada en la base).
+async function getAppliedMigrations(db) {
+  const exists = await db.query(`SELECT to_regclass($1) IS NOT NULL AS exists`, [MIGRATIONS_TABLE]);
+  if (!exists.rows[0].exists) return new Map();
+
+  const result = await db.query(`SELECT version, name, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY version`);
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+// Estado de cada migración, incluidas las aplicadas cuyo archivo ya no existe
+exports.getStatus = async function(db) {
+  const migrations = loadMigrations();
+  const applied = await getAppliedMigrations(db);
+
+  const status = migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: applied.has(migration.version),
+    appliedAt: applied.get(migration.version)?.applied_at || null
+  }));
+
+  const known = new Set(migrations.map(migration => migration.version));
+  applied.forEach(row => {
+    if (!known.has(row.version)) {
+      status.push({ version: row.version, name: row.name, applied: true, appliedAt: row.applied_at, missing: true });
+    }
+  });
+
+  return status;
+};
+
+exports.getPending = async function(db) {
+  const status = await exports.getStatus(db);
+  return status.filter(migration => !migration.applied);
+};
+
+// Ejecutar una función con el lock de migraciones tomado en una conexión dedicada
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATIONS_LOCK_ID]);
+    try {
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATIONS_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runMigrationFile(client, migration, direction) {
+  const sql = fs.readFileSync(migration[direction], 'utf8');
+
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    if (direction === 'up') {
+      await client.query(
+        `INSERT INTO ${MIGRATIONS_TABLE} (version, name) VALUES ($1, $2)`,
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`, [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Falló la migración ${migration.version}_${migration.name} (${direction}): ${error.message}`);
+  }
+}
+
+// Aplicar las migraciones pendientes en orden. Devuelve las aplicadas.
+exports.up = async function(pool) {
+  return withMigrationLock(pool, async client => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    const pending = await exports.getPending(client);
+    const migrations = loadMigrations();
+    const applied = [];
+
+    for (const { version } of pending) {
+      const migration = migrations.find(candidate => candidate.version === version);
+      console.log(`⬆️  Aplicando ${migration.version}_${migration.name}...`);
+      await runMigrationFile(client, migration, 'up');
+      applied.push(migration);
+    }
+
+    return applied;
+  });
+};
+
+// Revertir las últimas `steps` migraciones aplicadas. Devuelve las revertidas.
+exports.down = async function(pool, steps = 1) {
+  return withMigrationLock(pool, async client => {
+    const status = await exports.getStatus(client);
+    const toRevert = status.filter(migration => migration.applied).reverse().slice(0, steps);
+    const migrations = loadMigrations();
+    const reverted = [];
+
+    for (const { version, name, missing } of toRevert) {
+      if (missing) {
+        throw new Error(`No se encuentran los archivos de la migración aplicada ${version}_${name}`);
+      }
+
+      const migration = migrations.find(candidate => candidate.version === version);
+      console.log(`⬇️  Revirtiendo ${migration.version}_${migration.name}...`);
+      await runMigrationFile(client, migration, 'down');
+      reverted.push(migration);
+    }
+
+    return reverted;
+  });
+};
+
+async function main() {
+  require('dotenv').config();
+
+  const [command = 'up', argument] = process.argv.slice(2);
+  const pool = new Pool({
+    host: process.env.PGHOST,
+    port: process.env.PGPORT || 5432,
+    user: process.env.PGUSER,
+    password: process.env.PGPASSWORD,
+    database: process.env.PGDATABASE,
+    ssl: {
+      rejectUnauthorized: false
+    }
+  });
+
+  try {
+    if (command === 'up') {
+      const applied = await exports.up(pool);
+      console.log(applied.length > 0
+        ? `✅ ${applied.length} migraciones aplicadas`
+        : '✅ La base de datos ya está al día');
+    } else if (command === 'down') {
+      const steps = argument === undefined ? 1 : parseInt(argument);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('La cantidad de migraciones a revertir debe ser un entero positivo');
+      }
+      const reverted = await exports.down(pool, steps);
+      console.log(`✅ ${reverted.length} migraciones revertidas`);
+    } else if (command === 'status') {
+      const status = await exports.getStatus(pool);
+      status.forEach(migration => {
+        const state = migration.missing
+          ? 'aplicada (archivo faltante)'
+          : migration.applied ? `aplicada ${migration.appliedAt.toISOString()}` : 'pendiente';
+        console.log(`${migration.applied ? '✅' : '⏳'} ${migration.version}_${migration.name}: ${state}`);
+      });
+    } else {
+      throw new Error(`Comando desconocido: ${command} (usar up, down o status)`);
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,7 @@
+-- Migración base: estas tablas existían antes de las migraciones y guardan
+-- datos reales (usuarios, auditoría), así que no se revierte.
+DO $$
+BEGIN
+  RAISE EXCEPTION 'La migración base 001_core_tables no se puede revertir';
+END;
+$$;
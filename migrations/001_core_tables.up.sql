@@ -0,0 +1,71 @@
+-- Tablas base de la aplicación. Usan IF NOT EXISTS para que las bases creadas
+-- antes de las migraciones tomen esta versión como línea base sin cambios.
+
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  nombre_apellido TEXT NOT NULL,
+  telefono TEXT,
+  email TEXT NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL,
+  rol TEXT NOT NULL DEFAULT 'consulta',
+  activo BOOLEAN NOT NULL DEFAULT true,
+  fecha_vencimiento TIMESTAMP,
+  fecha_creacion TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fecha_ultimo_acceso TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_users_fecha_vencimiento ON users (fecha_vencimiento);
+
+-- Links de un solo uso enviados por email
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  used_at TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens (user_id);
+
+-- Sin foreign key a users: el historial se conserva aunque se borre el usuario
+CREATE TABLE IF NOT EXISTS audit_log (
+  id SERIAL PRIMARY KEY,
+  timestamp TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  user_email TEXT,
+  user_id INTEGER,
+  user_name TEXT,
+  action TEXT NOT NULL,
+  table_name TEXT,
+  record_id TEXT,
+  old_values JSONB,
+  new_values JSONB,
+  ip_address TEXT,
+  user_agent TEXT,
+  session_info JSONB
+);
+CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log (timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_table_record ON audit_log (table_name, record_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_user_id ON audit_log (user_id);
+
+-- Menú de categorías: los datos de la categoría se repiten en cada tabla
+CREATE TABLE IF NOT EXISTS table_categories (
+  category_name TEXT NOT NULL,
+  category_display_name TEXT NOT NULL,
+  category_description TEXT,
+  category_icon TEXT,
+  table_name TEXT NOT NULL,
+  table_display_name TEXT,
+  table_description TEXT,
+  table_order INTEGER,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  PRIMARY KEY (category_name, table_name)
+);
+CREATE INDEX IF NOT EXISTS idx_table_categories_table_name ON table_categories (table_name);
+
+-- Columnas de las tablas de datos expuestas por la API
+CREATE TABLE IF NOT EXISTS app_information_schema (
+  table_name TEXT NOT NULL,
+  column_name TEXT NOT NULL,
+  data_type TEXT,
+  ordinal_position INTEGER,
+  PRIMARY KEY (table_name, column_name)
+);
@@ -0,0 +1,10 @@
+ALTER TABLE password_reset_tokens
+  DROP COLUMN IF EXISTS purpose;
+
+ALTER TABLE users
+  DROP COLUMN IF EXISTS aviso_vencimiento_para,
+  DROP COLUMN IF EXISTS motivo_rechazo,
+  DROP COLUMN IF EXISTS revisado_por,
+  DROP COLUMN IF EXISTS fecha_revision,
+  DROP COLUMN IF EXISTS email_verificado,
+  DROP COLUMN IF EXISTS estado_registro;
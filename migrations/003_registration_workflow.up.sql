@@ -0,0 +1,15 @@
+-- Flujo de aprobación de registros. Los usuarios existentes quedan aprobados.
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS estado_registro TEXT NOT NULL DEFAULT 'aprobado',
+  ADD COLUMN IF NOT EXISTS email_verificado BOOLEAN NOT NULL DEFAULT true,
+  ADD COLUMN IF NOT EXISTS fecha_revision TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS revisado_por INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS motivo_rechazo TEXT;
+
+-- Vencimiento ya avisado, para no repetir el aviso (se renueva al extender)
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS aviso_vencimiento_para TIMESTAMP;
+
+-- password_reset_tokens se reutiliza para otros links de un solo uso
+ALTER TABLE password_reset_tokens
+  ADD COLUMN IF NOT EXISTS purpose TEXT NOT NULL DEFAULT 'password_reset';
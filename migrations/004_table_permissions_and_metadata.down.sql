@@ -0,0 +1,5 @@
+ALTER TABLE table_categories DROP COLUMN IF EXISTS category_order;
+
+DROP TABLE IF EXISTS app_column_metadata;
+DROP TABLE IF EXISTS table_settings;
+DROP TABLE IF EXISTS table_permissions;
@@ -0,0 +1,45 @@
+-- Permisos por categoría (table_categories) o por tabla
+CREATE TABLE IF NOT EXISTS table_permissions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  category_name TEXT,
+  table_name TEXT,
+  operations TEXT[] NOT NULL,
+  granted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CHECK ((category_name IS NULL) <> (table_name IS NULL))
+);
+CREATE INDEX IF NOT EXISTS idx_table_permissions_user_id ON table_permissions (user_id);
+
+-- Operaciones habilitadas por tabla registrada (sin fila: todas habilitadas)
+CREATE TABLE IF NOT EXISTS table_settings (
+  table_name TEXT PRIMARY KEY,
+  allowed_operations TEXT[] NOT NULL DEFAULT ARRAY['read', 'create', 'update', 'delete', 'export'],
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Metadatos de interfaz por columna: etiqueta, ayuda, orden, widget y validación
+CREATE TABLE IF NOT EXISTS app_column_metadata (
+  table_name TEXT NOT NULL,
+  column_name TEXT NOT NULL,
+  label TEXT,
+  help_text TEXT,
+  placeholder TEXT,
+  hidden BOOLEAN NOT NULL DEFAULT false,
+  read_only BOOLEAN NOT NULL DEFAULT false,
+  display_order INTEGER,
+  widget TEXT,
+  pattern TEXT,
+  min_value TEXT,
+  max_value TEXT,
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (table_name, column_name)
+);
+
+-- Columna a mostrar en los dropdowns de una foreign key (por relación)
+ALTER TABLE app_column_metadata ADD COLUMN IF NOT EXISTS fk_display_column TEXT;
+
+-- Orden de las categorías en el menú (los datos de categoría se repiten por tabla)
+ALTER TABLE table_categories ADD COLUMN IF NOT EXISTS category_order INTEGER;
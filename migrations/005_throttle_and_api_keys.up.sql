@@ -0,0 +1,33 @@
+-- Intentos fallidos y bloqueos (persisten entre reinicios)
+CREATE TABLE IF NOT EXISTS auth_throttle (
+  scope TEXT NOT NULL,
+  key_type TEXT NOT NULL,
+  key_value TEXT NOT NULL,
+  failures INTEGER NOT NULL DEFAULT 0,
+  window_start TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  lockout_level INTEGER NOT NULL DEFAULT 0,
+  locked_until TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (scope, key_type, key_value)
+);
+
+-- API keys para clientes automatizados (n8n, reportes). Solo se guarda el hash.
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL UNIQUE,
+  key_hash TEXT NOT NULL,
+  tables TEXT[] NOT NULL,
+  operations TEXT[] NOT NULL,
+  expires_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  last_used_ip TEXT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  revoked_at TIMESTAMP
+);
+
+-- Las acciones hechas con una API key se atribuyen a la key, sin usuario
+ALTER TABLE audit_log
+  ADD COLUMN IF NOT EXISTS api_key_id INTEGER REFERENCES api_keys(id) ON DELETE SET NULL,
+  ALTER COLUMN user_id DROP NOT NULL;
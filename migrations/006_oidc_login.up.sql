@@ -0,0 +1,19 @@
+-- Cuentas vinculadas al proveedor de identidad (SSO)
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS oidc_issuer TEXT,
+  ADD COLUMN IF NOT EXISTS oidc_subject TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_oidc_identity
+  ON users (oidc_issuer, oidc_subject) WHERE oidc_subject IS NOT NULL;
+
+-- Estado de los logins OIDC en curso (state, nonce y verificador PKCE)
+CREATE TABLE IF NOT EXISTS oidc_login_requests (
+  state TEXT PRIMARY KEY,
+  nonce TEXT NOT NULL,
+  code_verifier TEXT NOT NULL,
+  redirect_uri TEXT NOT NULL,
+  state_used_at TIMESTAMP,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  login_code_hash TEXT UNIQUE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL
+);
@@ -0,0 +1,14 @@
+DO $$
+BEGIN
+  DROP EVENT TRIGGER IF EXISTS trg_schema_ddl_notify;
+EXCEPTION WHEN insufficient_privilege THEN
+  RAISE WARNING 'No se pudo borrar el event trigger de DDL (requiere superusuario): %', SQLERRM;
+END;
+$$;
+DROP FUNCTION IF EXISTS notify_schema_ddl_change();
+
+DROP TRIGGER IF EXISTS trg_app_column_metadata_schema_notify ON app_column_metadata;
+DROP TRIGGER IF EXISTS trg_table_settings_schema_notify ON table_settings;
+DROP TRIGGER IF EXISTS trg_table_categories_schema_notify ON table_categories;
+DROP TRIGGER IF EXISTS trg_app_information_schema_schema_notify ON app_information_schema;
+DROP FUNCTION IF EXISTS notify_schema_metadata_change();
@@ -0,0 +1,53 @@
+-- Avisos por NOTIFY (canal schema_changes) para invalidar la caché de esquemas
+-- de schema-cache.js cuando cambian los metadatos o la estructura.
+CREATE OR REPLACE FUNCTION notify_schema_metadata_change() RETURNS trigger AS $$
+BEGIN
+  PERFORM pg_notify('schema_changes', '*');
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_app_information_schema_schema_notify ON app_information_schema;
+CREATE TRIGGER trg_app_information_schema_schema_notify
+  AFTER INSERT OR UPDATE OR DELETE OR TRUNCATE ON app_information_schema
+  FOR EACH STATEMENT EXECUTE FUNCTION notify_schema_metadata_change();
+
+DROP TRIGGER IF EXISTS trg_table_categories_schema_notify ON table_categories;
+CREATE TRIGGER trg_table_categories_schema_notify
+  AFTER INSERT OR UPDATE OR DELETE OR TRUNCATE ON table_categories
+  FOR EACH STATEMENT EXECUTE FUNCTION notify_schema_metadata_change();
+
+DROP TRIGGER IF EXISTS trg_table_settings_schema_notify ON table_settings;
+CREATE TRIGGER trg_table_settings_schema_notify
+  AFTER INSERT OR UPDATE OR DELETE OR TRUNCATE ON table_settings
+  FOR EACH STATEMENT EXECUTE FUNCTION notify_schema_metadata_change();
+
+DROP TRIGGER IF EXISTS trg_app_column_metadata_schema_notify ON app_column_metadata;
+CREATE TRIGGER trg_app_column_metadata_schema_notify
+  AFTER INSERT OR UPDATE OR DELETE OR TRUNCATE ON app_column_metadata
+  FOR EACH STATEMENT EXECUTE FUNCTION notify_schema_metadata_change();
+
+CREATE OR REPLACE FUNCTION notify_schema_ddl_change() RETURNS event_trigger AS $$
+DECLARE
+  obj record;
+BEGIN
+  FOR obj IN SELECT * FROM pg_event_trigger_ddl_commands() LOOP
+    IF obj.object_type IN ('table', 'table column', 'type', 'index', 'table constraint') THEN
+      PERFORM pg_notify('schema_changes', '*');
+      RETURN;
+    END IF;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- El event trigger de DDL requiere superusuario: sin él la caché se invalida
+-- solo por cambios de metadatos o manualmente.
+DO $$
+BEGIN
+  DROP EVENT TRIGGER IF EXISTS trg_schema_ddl_notify;
+  CREATE EVENT TRIGGER trg_schema_ddl_notify ON ddl_command_end
+    EXECUTE FUNCTION notify_schema_ddl_change();
+EXCEPTION WHEN insufficient_privilege THEN
+  RAISE WARNING 'No se pudo crear el event trigger de DDL (requiere superusuario): %', SQLERRM;
+END;
+$$;
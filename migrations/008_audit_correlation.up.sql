@@ -0,0 +1,4 @@
+-- Las acciones que forman parte de una misma operación (p. ej. el alta de una
+-- entidad junto con sus registros relacionados) comparten correlation_id
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS correlation_id UUID;
+CREATE INDEX IF NOT EXISTS idx_audit_log_correlation_id ON audit_log (correlation_id) WHERE correlation_id IS NOT NULL;
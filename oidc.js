@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+// Cliente OpenID Connect (authorization code + PKCE) para el proveedor de
+// identidad provincial. Configuración por variables de entorno:
+//   OIDC_ISSUER          URL del emisor (se usa /.well-known/openid-configuration)
+//   OIDC_CLIENT_ID       Cliente registrado en el proveedor
+//   OIDC_CLIENT_SECRET   Opcional: clientes confidenciales
+//   OIDC_REDIRECT_URI    Por defecto <FRONTEND_URL>/api/auth/oidc/callback
+//   OIDC_SCOPES          Por defecto "openid email profile"
+const OIDC_SCOPES = process.env.OIDC_SCOPES || 'openid email profile';
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+let discoveryCache = null;
+let jwksCache = null;
+
+exports.isEnabled = function() {
+  return Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID);
+};
+
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Documento de descubrimiento del proveedor (en caché una hora)
+async function getDiscovery() {
+  if (discoveryCache && discoveryCache.expiresAt > Date.now()) {
+    return discoveryCache.document;
+  }
+
+  const issuer = process.env.OIDC_ISSUER.replace(/\/$/, '');
+  const response = await axios.get(`${issuer}/.well-known/openid-configuration`, { timeout: 10000 });
+  const document = response.data;
+
+  if (document.issuer.replace(/\/$/, '') !== issuer) {
+    throw new Error(`El emisor del proveedor (${document.issuer}) no coincide con OIDC_ISSUER`);
+  }
+
+  discoveryCache = { document, expiresAt: Date.now() + DISCOVERY_TTL_MS };
+  return document;
+}
+
+// Clave pública para verificar el id_token. Si el kid no está en caché
+// se vuelve a descargar el JWKS (rotación de claves del proveedor).
+async function getSigningKey(kid) {
+  const find = () => jwksCache?.keys.find(key => key.kid === kid && key.use !== 'enc');
+
+  if (!find()) {
+    const discovery = await getDiscovery();
+    const response = await axios.get(discovery.jwks_uri, { timeout: 10000 });
+    jwksCache = response.data;
+  }
+
+  const jwk = find();
+  if (!jwk) {
+    throw new Error(`Clave de firma desconocida: ${kid}`);
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+// Generar state, nonce y verificador PKCE para un nuevo inicio de sesión
+exports.createAuthRequest = function() {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  return {
+    state: base64url(crypto.randomBytes(24)),
+    nonce: base64url(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest())
+  };
+};
+
+exports.getRedirectUri = function(baseUrl) {
+  return process.env.OIDC_REDIRECT_URI || `${baseUrl}/api/auth/oidc/callback`;
+};
+
+// URL del proveedor a la que se redirige al usuario
+exports.buildAuthorizationUrl = async function(authRequest, redirectUri) {
+  const discovery = await getDiscovery();
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: process.env.OIDC_CLIENT_ID,
+    redirect_uri: redirectUri,
+    scope: OIDC_SCOPES,
+    state: authRequest.state,
+    nonce: authRequest.nonce,
+    code_challenge: authRequest.codeChallenge,
+    code_challenge_method: 'S256'
+  });
+  return `${discovery.authorization_endpoint}?${params.toString()}`;
+};
+
+// Canjear el código de autorización y validar el id_token.
+// Devuelve los claims del id_token.
+exports.exchangeCode = async function(code, codeVerifier, nonce, redirectUri) {
+  const discovery = await getDiscovery();
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: process.env.OIDC_CLIENT_ID,
+    code_verifier: codeVerifier
+  });
+  if (process.env.OIDC_CLIENT_SECRET) {
+    body.append('client_secret', process.env.OIDC_CLIENT_SECRET);
+  }
+
+  const response = await axios.post(discovery.token_endpoint, body.toString(), {
+    timeout: 10000,
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+  });
+
+  const idToken = response.data.id_token;
+  if (!idToken) {
+    throw new Error('El proveedor no devolvió id_token');
+  }
+
+  const header = jwt.decode(idToken, { complete: true })?.header;
+  if (!header) {
+    throw new Error('id_token con formato inválido');
+  }
+
+  const key = await getSigningKey(header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384'],
+    issuer: discovery.issuer,
+    audience: process.env.OIDC_CLIENT_ID,
+    clockTolerance: CLOCK_TOLERANCE_SECONDS
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('nonce del id_token inválido');
+  }
+
+  return claims;
+};
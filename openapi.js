@@ -0,0 +1,646 @@
+// Documento OpenAPI 3 generado en tiempo de ejecución. Las rutas fijas salen
+// del router de Express; las rutas genéricas por tabla (/api/tables/:tableName/...)
+// se documentan una vez por cada tabla registrada, con sus columnas y enums.
+const OPENAPI_VERSION = '3.0.3';
+const TABLE_ROUTE_PREFIX = '/api/tables/:tableName/';
+
+const NUMERIC_TYPES = {
+  smallint: { type: 'integer', format: 'int32' },
+  integer: { type: 'integer', format: 'int32' },
+  real: { type: 'number', format: 'float' },
+  'double precision': { type: 'number', format: 'double' },
+  // pg devuelve bigint y numeric como texto para no perder precisión
+  bigint: { type: 'string', format: 'int64', pattern: '^-?\\d+$' },
+  numeric: { type: 'string', format: 'decimal', pattern: '^-?\\d+(\\.\\d+)?$' },
+  money: { type: 'string', format: 'decimal' }
+};
+
+const SCALAR_TYPES = {
+  boolean: { type: 'boolean' },
+  date: { type: 'string', format: 'date' },
+  'timestamp without time zone': { type: 'string', format: 'date-time' },
+  'timestamp with time zone': { type: 'string', format: 'date-time' },
+  'time without time zone': { type: 'string', format: 'time' },
+  'time with time zone': { type: 'string', format: 'time' },
+  uuid: { type: 'string', format: 'uuid' },
+  json: {},
+  jsonb: {}
+};
+
+// Elemento de un array según el udt_name (_int4, _text, _mi_enum...)
+const ARRAY_ELEMENT_TYPES = {
+  _int2: { type: 'integer', format: 'int32' },
+  _int4: { type: 'integer', format: 'int32' },
+  _int8: NUMERIC_TYPES.bigint,
+  _numeric: NUMERIC_TYPES.numeric,
+  _float4: NUMERIC_TYPES.real,
+  _float8: NUMERIC_TYPES['double precision'],
+  _bool: SCALAR_TYPES.boolean,
+  _date: SCALAR_TYPES.date,
+  _timestamp: SCALAR_TYPES['timestamp without time zone'],
+  _timestamptz: SCALAR_TYPES['timestamp with time zone'],
+  _uuid: SCALAR_TYPES.uuid
+};
+
+const SUCCESS_RESPONSE = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    message: { type: 'string' }
+  }
+};
+
+const ERROR_RESPONSES = {
+  400: { $ref: '#/components/responses/BadRequest' },
+  401: { $ref: '#/components/responses/Unauthorized' },
+  403: { $ref: '#/components/responses/Forbidden' },
+  404: { $ref: '#/components/responses/NotFound' }
+};
+
+// Nombre válido para components/schemas
+function componentName(tableName) {
+  return tableName.replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+function toOpenApiPath(expressPath) {
+  return expressPath.replace(/:(\w+)/g, '{$1}');
+}
+
+function pathParameters(expressPath) {
+  return [...expressPath.matchAll(/:(\w+)/g)].map(match => ({
+    name: match[1],
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+  }));
+}
+
+function queryParameter(name, description, schema = { type: 'string' }) {
+  return { name, in: 'query', required: false, description, schema };
+}
+
+function jsonContent(schema) {
+  return { 'application/json': { schema } };
+}
+
+function successResponse(description, properties = {}) {
+  return {
+    description,
+    content: jsonContent({
+      type: 'object',
+      properties: { ...SUCCESS_RESPONSE.properties, ...properties }
+    })
+  };
+}
+
+// Esquema JSON de una columna: tipo, enum, formato y restricciones de los metadatos
+function columnSchema(column, enums) {
+  let schema;
+
+  if (column.data_type === 'USER-DEFINED' && enums[column.udt_name]) {
+    schema = { type: 'string', enum: enums[column.udt_name].values };
+  } else if (column.data_type === 'ARRAY') {
+    const elementType = column.udt_name?.replace(/^_/, '');
+    const items = enums[elementType]
+      ? { type: 'string', enum: enums[elementType].values }
+      : ARRAY_ELEMENT_TYPES[column.udt_name] || { type: 'string' };
+    schema = { type: 'array', items };
+  } else {
+    schema = { ...(NUMERIC_TYPES[column.data_type] || SCALAR_TYPES[column.data_type] || { type: 'string' }) };
+  }
+
+  if (column.character_maximum_length) {
+    schema.maxLength = column.character_maximum_length;
+  }
+  if (column.is_nullable === 'YES') {
+    schema.nullable = true;
+  }
+
+  const ui = column.ui || {};
+  const description = [ui.label, ui.helpText].filter(Boolean);
+  if (column.is_foreign_key) {
+    description.push(`Referencia a ${column.foreign_table}.${column.foreign_column}`);
+  }
+  if (description.length > 0) {
+    schema.description = description.join('. ');
+  }
+
+  if (ui.pattern) schema.pattern = `^(?:${ui.pattern})$`;
+  if (schema.type === 'integer' || schema.type === 'number') {
+    if (ui.min !== null && ui.min !== undefined && !isNaN(ui.min)) schema.minimum = Number(ui.min);
+    if (ui.max !== null && ui.max !== undefined && !isNaN(ui.max)) schema.maximum = Number(ui.max);
+  }
+  if (ui.readOnly || ui.hidden) {
+    schema.readOnly = true;
+  }
+
+  return schema;
+}
+
+// Esquemas de una tabla: el registro completo y los datos aceptados al crear
+function tableSchemas(tableSchema, enums) {
+  const properties = {};
+  const inputProperties = {};
+  const required = [];
+
+  tableSchema.columns.forEach(column => {
+    const schema = columnSchema(column, enums);
+    properties[column.column_name] = schema;
+
+    if (schema.readOnly) return;
+    inputProperties[column.column_name] = { ...schema };
+    if (column.is_nullable === 'NO' && column.column_default === null) {
+      required.push(column.column_name);
+    }
+  });
+
+  return {
+    record: { type: 'object', properties },
+    input: { type: 'object', properties: inputProperties, ...(required.length > 0 ? { required } : {}) }
+  };
+}
+
+// Paginación, orden y proyección de read/search
+function listParameters(ctx) {
+  return [
+    queryParameter('page', 'Página (desde 1). Sin page ni pageSize se devuelven todas las filas', { type: 'integer', minimum: 1 }),
+    queryParameter('pageSize', 'Registros por página', { type: 'integer', minimum: 1 }),
+    queryParameter('sort', `Columnas separadas por coma; prefijo "-" para orden descendente. Columnas: ${ctx.columnNames.join(', ')}`),
+    queryParameter('fields', 'Columnas a devolver separadas por coma (la clave primaria siempre se incluye)')
+  ];
+}
+
+// Criterio de búsqueda de un registro por su primary key (simple o compuesta)
+function searchCriteriaSchema(tableSchema, recordSchema) {
+  const key = {
+    type: 'object',
+    properties: Object.fromEntries(tableSchema.primaryKeys.map(column => [column, recordSchema.properties[column] || {}])),
+    required: tableSchema.primaryKeys
+  };
+
+  if (tableSchema.primaryKeys.length > 1) {
+    return { type: 'object', required: ['key'], properties: { key } };
+  }
+
+  return {
+    oneOf: [
+      { type: 'object', required: ['key'], properties: { key } },
+      {
+        type: 'object',
+        required: ['field', 'value'],
+        properties: { field: { type: 'string', enum: tableSchema.primaryKeys }, value: {} }
+      }
+    ]
+  };
+}
+
+// Filtro de las operaciones masivas: condiciones combinadas con AND
+function bulkFilterSchema(ctx) {
+  return {
+    type: 'array',
+    minItems: 1,
+    items: {
+      type: 'object',
+      required: ['field'],
+      properties: {
+        field: { type: 'string', enum: ctx.columnNames },
+        operator: {
+          type: 'string',
+          enum: ['eq', 'neq', 'in', 'contains', 'gt', 'gte', 'lt', 'lte', 'is_null', 'not_null'],
+          default: 'eq'
+        },
+        value: { description: "Valor a comparar (lista para 'in'; no se usa con is_null/not_null)" }
+      }
+    }
+  };
+}
+
+const BULK_CONFIRMATION_SCHEMA = {
+  type: 'object',
+  required: ['confirmationToken'],
+  properties: {
+    confirmationToken: { type: 'string', description: 'Token devuelto por la previsualización' }
+  }
+};
+
+// La previsualización devuelve los registros afectados y el token;
+// la confirmación, la cantidad y las claves de los registros modificados
+function bulkResponseProperties(ctx) {
+  return {
+    total: { type: 'integer' },
+    data: { type: 'array', items: ctx.recordRef, description: 'Primeros registros afectados (previsualización)' },
+    confirmationToken: { type: 'string', nullable: true },
+    expiresIn: { type: 'string' },
+    keys: { type: 'array', items: {}, description: 'Claves de los registros modificados (confirmación)' }
+  };
+}
+
+// Operaciones de las rutas genéricas por tabla, por método y sufijo de la ruta.
+// `operation` es la operación de tabla requerida (table_settings y permisos).
+const TABLE_ROUTES = {
+  'get schema': {
+    operation: 'read',
+    summary: 'Esquema de la tabla (columnas, foreign keys y primary key)',
+    responses: () => successResponse('Esquema', { schema: { $ref: '#/components/schemas/TableSchema' } })
+  },
+  'get schema-filtered': {
+    operation: 'read',
+    summary: 'Esquema de la tabla filtrado para formularios',
+    parameters: () => [queryParameter('formType', 'Formulario de destino', { type: 'string', enum: ['create', 'edit'] })],
+    responses: () => successResponse('Esquema', {
+      schema: { $ref: '#/components/schemas/TableSchema' },
+      filtered: { type: 'boolean' }
+    })
+  },
+  'get fields': {
+    operation: 'read',
+    summary: 'Campos de la tabla',
+    responses: () => successResponse('Campos', {
+      fields: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { name: { type: 'string' }, type: { type: 'string' }, isPrimaryKey: { type: 'boolean' } }
+        }
+      },
+      total: { type: 'integer' }
+    })
+  },
+  'get read': {
+    operation: 'read',
+    summary: 'Listar registros',
+    parameters: ctx => listParameters(ctx),
+    responses: ctx => successResponse('Registros', ctx.listProperties)
+  },
+  'get search': {
+    operation: 'read',
+    summary: 'Buscar registros',
+    parameters: ctx => [
+      queryParameter('searchText', 'Texto a buscar'),
+      queryParameter('searchField', 'Columna en la que buscar', { type: 'string', enum: ctx.columnNames }),
+      queryParameter('searchType', 'Tipo de búsqueda'),
+      queryParameter('dateFrom', 'Fecha desde', { type: 'string', format: 'date' }),
+      queryParameter('dateTo', 'Fecha hasta', { type: 'string', format: 'date' }),
+      ...listParameters(ctx)
+    ],
+    responses: ctx => successResponse('Registros encontrados', ctx.listProperties)
+  },
+  'get entity/:primaryValue': {
+    operation: 'read',
+    summary: 'Obtener un registro por su primary key',
+    parameters: ctx => [{
+      name: 'primaryValue',
+      in: 'path',
+      required: true,
+      description: ctx.tableSchema.primaryKeys.length > 1
+        ? `Objeto JSON con las columnas de la clave: ${ctx.tableSchema.primaryKeys.join(', ')}`
+        : `Valor de ${ctx.tableSchema.primaryKey}`,
+      schema: { type: 'string' }
+    }],
+    responses: ctx => successResponse('Registro', { data: ctx.recordRef })
+  },
+  'get field-info/:fieldName': {
+    operation: 'read',
+    summary: 'Información de un campo (incluye valores de enum)',
+    parameters: ctx => [{ name: 'fieldName', in: 'path', required: true, schema: { type: 'string', enum: ctx.columnNames } }],
+    responses: () => successResponse('Información del campo', { data: { type: 'object' } })
+  },
+  'get foreign-key-data': {
+    operation: 'read',
+    summary: 'Primera página de opciones de cada foreign key',
+    responses: () => successResponse('Opciones por columna', { data: { type: 'object' } })
+  },
+  'get foreign-key-options/:columnName': {
+    operation: 'read',
+    summary: 'Opciones paginadas de una foreign key',
+    skip: ctx => ctx.foreignKeyColumns.length === 0,
+    parameters: ctx => [
+      { name: 'columnName', in: 'path', required: true, schema: { type: 'string', enum: ctx.foreignKeyColumns } },
+      queryParameter('q', 'Texto a buscar en la columna a mostrar'),
+      queryParameter('value', 'Valor exacto a resolver'),
+      queryParameter('page', 'Página (desde 1)', { type: 'integer', minimum: 1 }),
+      queryParameter('limit', 'Opciones por página', { type: 'integer', minimum: 1 })
+    ],
+    responses: () => successResponse('Opciones', {
+      data: { type: 'array', items: { type: 'object' } },
+      hasMore: { type: 'boolean' }
+    })
+  },
+  'get download-csv': {
+    operation: 'export',
+    summary: 'Exportar registros como CSV',
+    parameters: ctx => [
+      queryParameter('searchText', 'Texto a buscar'),
+      queryParameter('searchField', 'Columna en la que buscar', { type: 'string', enum: ctx.columnNames })
+    ],
+    responses: () => ({ description: 'Archivo CSV', content: { 'text/csv': { schema: { type: 'string' } } } })
+  },
+  'post create': {
+    operation: 'create',
+    summary: 'Crear un registro',
+    requestBody: ctx => ({ required: true, content: jsonContent(ctx.inputRef) }),
+    responses: ctx => successResponse('Registro creado', { primaryKey: {}, data: ctx.recordRef })
+  },
+  'post import': {
+    operation: 'create',
+    summary: 'Importar registros desde CSV o XLSX (simulación por defecto)',
+    requestBody: ctx => ({
+      required: true,
+      content: jsonContent({
+        type: 'object',
+        required: ['fileName', 'content'],
+        properties: {
+          fileName: { type: 'string', description: 'Nombre del archivo (.csv o .xlsx)' },
+          content: { type: 'string', format: 'byte', description: 'Contenido del archivo en base64' },
+          mapping: {
+            type: 'object',
+            description: 'Encabezado del archivo -> columna (null lo ignora). Sin mapeo se asocian por nombre o etiqueta.',
+            additionalProperties: { type: 'string', enum: [...ctx.columnNames, null], nullable: true }
+          },
+          mode: { type: 'string', enum: ['insert', 'upsert'], default: 'insert', description: 'upsert también requiere permiso update' },
+          dryRun: { type: 'boolean', default: true, description: 'Validar sin guardar' }
+        }
+      })
+    }),
+    responses: () => successResponse('Reporte de importación', {
+      dryRun: { type: 'boolean' },
+      committed: { type: 'boolean' },
+      mapping: { type: 'object', additionalProperties: { type: 'string' } },
+      unmappedHeaders: { type: 'array', items: { type: 'string' } },
+      totalRows: { type: 'integer' },
+      validRows: { type: 'integer' },
+      invalidRows: { type: 'integer' },
+      inserted: { type: 'integer' },
+      updated: { type: 'integer' },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { row: { type: 'integer' }, errors: { type: 'array', items: { type: 'string' } } }
+        }
+      },
+      preview: { type: 'array', items: { type: 'object' } }
+    })
+  },
+  'put update': {
+    operation: 'update',
+    summary: 'Actualizar un registro',
+    requestBody: ctx => ({
+      required: true,
+      content: jsonContent({
+        type: 'object',
+        required: ['searchCriteria', 'updateData'],
+        properties: {
+          searchCriteria: ctx.searchCriteria,
+          updateData: { ...ctx.inputSchema, required: undefined }
+        }
+      })
+    }),
+    responses: ctx => successResponse('Registro actualizado', { data: ctx.recordRef })
+  },
+  'delete delete': {
+    operation: 'delete',
+    summary: 'Eliminar un registro',
+    requestBody: ctx => ({
+      required: true,
+      content: jsonContent({
+        type: 'object',
+        required: ['searchCriteria'],
+        properties: { searchCriteria: ctx.searchCriteria }
+      })
+    }),
+    responses: () => successResponse('Registro eliminado', { data: { type: 'object' } })
+  },
+  'put bulk-update': {
+    operation: 'update',
+    summary: 'Actualizar los registros que cumplen un filtro (previsualizar y confirmar)',
+    requestBody: ctx => ({
+      required: true,
+      content: jsonContent({
+        oneOf: [
+          {
+            type: 'object',
+            required: ['filter', 'patch'],
+            properties: {
+              filter: bulkFilterSchema(ctx),
+              patch: { ...ctx.inputSchema, required: undefined }
+            }
+          },
+          BULK_CONFIRMATION_SCHEMA
+        ]
+      })
+    }),
+    responses: ctx => successResponse('Previsualización o resultado', bulkResponseProperties(ctx))
+  },
+  'delete bulk-delete': {
+    operation: 'delete',
+    summary: 'Eliminar los registros que cumplen un filtro (previsualizar y confirmar)',
+    requestBody: ctx => ({
+      required: true,
+      content: jsonContent({
+        oneOf: [
+          { type: 'object', required: ['filter'], properties: { filter: bulkFilterSchema(ctx) } },
+          BULK_CONFIRMATION_SCHEMA
+        ]
+      })
+    }),
+    responses: ctx => successResponse('Previsualización o resultado', bulkResponseProperties(ctx))
+  }
+};
+
+// Rutas registradas en Express con los middlewares de autenticación que usan.
+// Si una ruta está dos veces gana la primera, como en Express.
+exports.listRoutes = function(app, { authHandlers = [], adminHandlers = [] } = {}) {
+  const routes = new Map();
+
+  app._router.stack
+    .filter(layer => layer.route)
+    .forEach(layer => {
+      const handles = layer.route.stack.map(routeLayer => routeLayer.handle);
+      Object.keys(layer.route.methods).forEach(method => {
+        const key = `${method} ${layer.route.path}`;
+        if (method === '_all' || routes.has(key)) return;
+        routes.set(key, {
+          method,
+          path: layer.route.path,
+          requiresAuth: handles.some(handle => authHandlers.includes(handle)),
+          requiresAdmin: handles.some(handle => adminHandlers.includes(handle))
+        });
+      });
+    });
+
+  return [...routes.values()];
+};
+
+function routeTag(path) {
+  const [, , section] = path.split('/');
+  const tags = {
+    admin: 'Administración',
+    user: 'Usuario',
+    categories: 'Categorías',
+    'enum-options': 'Enums',
+    entidades: 'Entidades'
+  };
+  if (tags[section]) return tags[section];
+  if (['login', 'logout', 'register', 'auth', '2fa', 'password-reset', 'invitations', 'refresh-token'].includes(section)) {
+    return 'Autenticación';
+  }
+  return 'General';
+}
+
+function staticOperation(route) {
+  const operation = {
+    tags: [routeTag(route.path)],
+    operationId: `${route.method}${route.path.replace(/[^A-Za-z0-9]+(\w)?/g, (_, char) => (char || '').toUpperCase())}`,
+    responses: {
+      200: { description: 'OK', content: jsonContent(SUCCESS_RESPONSE) },
+      ...(route.requiresAuth ? { 401: ERROR_RESPONSES[401] } : {}),
+      ...(route.requiresAdmin ? { 403: ERROR_RESPONSES[403] } : {})
+    }
+  };
+
+  const parameters = pathParameters(route.path);
+  if (parameters.length > 0) operation.parameters = parameters;
+  if (['post', 'put', 'patch'].includes(route.method)) {
+    operation.requestBody = { content: jsonContent({ type: 'object' }) };
+  }
+  if (!route.requiresAuth) operation.security = [];
+  if (route.requiresAdmin) operation.description = 'Requiere rol admin.';
+
+  return operation;
+}
+
+function tableOperation(route, suffix, ctx) {
+  const definition = TABLE_ROUTES[`${route.method} ${suffix}`];
+  if (definition && (!ctx.allowedOperations.includes(definition.operation) || definition.skip?.(ctx))) {
+    return null;
+  }
+
+  const path = route.path.replace(':tableName', encodeURIComponent(ctx.tableName));
+  const operation = {
+    tags: [ctx.tag],
+    operationId: `${route.method}_${componentName(ctx.tableName)}_${suffix.replace(/\/?:\w+/g, '').replace(/[^A-Za-z0-9]/g, '_')}`,
+    summary: definition?.summary,
+    responses: {
+      200: definition ? definition.responses(ctx) : { description: 'OK', content: jsonContent(SUCCESS_RESPONSE) },
+      ...ERROR_RESPONSES
+    }
+  };
+
+  const parameters = definition?.parameters ? definition.parameters(ctx) : pathParameters(path);
+  if (parameters.length > 0) operation.parameters = parameters;
+  if (definition?.requestBody) operation.requestBody = definition.requestBody(ctx);
+  if (definition) operation.description = `Requiere permiso '${definition.operation}' sobre ${ctx.tableName}.`;
+
+  return { path: toOpenApiPath(path), operation };
+}
+
+/**
+ * Generar el documento OpenAPI.
+ * - routes: resultado de listRoutes
+ * - tables: [{ name, displayName, description, allowedOperations, schema }] con
+ *   el esquema de getTableSchema
+ * - enums: resultado de getUsedEnums ({ tipo: { values, usedBy } })
+ */
+exports.buildSpec = function({ routes, tables, enums, serverUrl, title, version }) {
+  const paths = {};
+  const addOperation = (path, method, operation) => {
+    paths[path] = paths[path] || {};
+    paths[path][method] = operation;
+  };
+
+  const schemas = {
+    TableSchema: {
+      type: 'object',
+      properties: {
+        columns: { type: 'array', items: { type: 'object' } },
+        foreignKeys: { type: 'object' },
+        primaryKey: { type: 'string' },
+        primaryKeys: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  };
+  const tags = [];
+
+  routes
+    .filter(route => route.path.startsWith('/api/') || route.path === '/health')
+    .filter(route => !route.path.startsWith(TABLE_ROUTE_PREFIX))
+    .forEach(route => addOperation(toOpenApiPath(route.path), route.method, staticOperation(route)));
+
+  const tableRoutes = routes.filter(route => route.path.startsWith(TABLE_ROUTE_PREFIX));
+
+  tables.forEach(table => {
+    const name = componentName(table.name);
+    const { record, input } = tableSchemas(table.schema, enums);
+    schemas[name] = record;
+    schemas[`${name}Input`] = input;
+
+    const tag = table.displayName ? `${table.displayName} (${table.name})` : table.name;
+    tags.push({ name: tag, description: table.description || undefined });
+
+    const recordRef = { $ref: `#/components/schemas/${name}` };
+    const ctx = {
+      tableName: table.name,
+      tableSchema: table.schema,
+      allowedOperations: table.allowedOperations,
+      tag,
+      recordRef,
+      inputRef: { $ref: `#/components/schemas/${name}Input` },
+      inputSchema: input,
+      columnNames: table.schema.columns.map(column => column.column_name),
+      foreignKeyColumns: Object.keys(table.schema.foreignKeys),
+      searchCriteria: searchCriteriaSchema(table.schema, record),
+      listProperties: {
+        data: { type: 'array', items: recordRef },
+        total: { type: 'integer', description: 'Registros que cumplen el filtro (todas las páginas)' },
+        pagination: {
+          type: 'object',
+          nullable: true,
+          properties: {
+            page: { type: 'integer' },
+            pageSize: { type: 'integer' },
+            totalPages: { type: 'integer' },
+            hasMore: { type: 'boolean' }
+          }
+        },
+        sort: { type: 'array', items: { type: 'string' } },
+        fields: { type: 'array', items: { type: 'string' }, nullable: true },
+        primaryKey: { type: 'string' },
+        primaryKeys: { type: 'array', items: { type: 'string' } },
+        tableName: { type: 'string' }
+      }
+    };
+
+    tableRoutes.forEach(route => {
+      const generated = tableOperation(route, route.path.slice(TABLE_ROUTE_PREFIX.length), ctx);
+      if (generated) addOperation(generated.path, route.method, generated.operation);
+    });
+  });
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title,
+      version,
+      description: 'Documento generado a partir de las rutas del servidor y de las tablas registradas ' +
+        'accesibles para el usuario que lo solicita.'
+    },
+    servers: [{ url: serverUrl }],
+    security: [{ bearerAuth: [] }, { apiKey: [] }],
+    tags,
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      schemas,
+      responses: {
+        BadRequest: { description: 'Datos inválidos', content: jsonContent(SUCCESS_RESPONSE) },
+        Unauthorized: { description: 'No autenticado', content: jsonContent(SUCCESS_RESPONSE) },
+        Forbidden: { description: 'Sin permiso', content: jsonContent(SUCCESS_RESPONSE) },
+        NotFound: { description: 'No encontrado', content: jsonContent(SUCCESS_RESPONSE) }
+      }
+    }
+  };
+};
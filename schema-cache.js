@@ -0,0 +1,111 @@
+const { Client } = require('pg');
+
+// Caché en memoria de metadatos de tablas (columnas, foreign keys, primary key...).
+// Las entradas se agrupan por tabla para poder invalidar una sola tabla o todas.
+// Los valores se comparten entre requests: quien los use no debe modificarlos.
+// Los triggers que avisan por NOTIFY se crean en la migración
+// migrations/007_schema_change_notifications.
+const NOTIFY_CHANNEL = 'schema_changes';
+const RECONNECT_DELAY_MS = 5000;
+const ALL_TABLES = '*';
+
+const entries = new Map(); // tabla -> Map(tipo -> Promise)
+const stats = {
+  hits: 0,
+  misses: 0,
+  invalidations: 0,
+  lastInvalidation: null,
+  listening: false
+};
+
+// Obtener un valor de la caché o cargarlo. Las cargas concurrentes de la
+// misma clave comparten la misma promesa; si la carga falla no se guarda.
+exports.get = function(tableName, kind, loader) {
+  let tableEntries = entries.get(tableName);
+  if (!tableEntries) {
+    tableEntries = new Map();
+    entries.set(tableName, tableEntries);
+  }
+
+  if (tableEntries.has(kind)) {
+    stats.hits++;
+    return tableEntries.get(kind);
+  }
+
+  stats.misses++;
+  const promise = Promise.resolve().then(loader);
+  tableEntries.set(kind, promise);
+  promise.catch(() => {
+    if (tableEntries.get(kind) === promise) tableEntries.delete(kind);
+  });
+  return promise;
+};
+
+// Invalidar una tabla (y las entradas globales, p. ej. la lista de tablas) o todo
+exports.invalidate = function(tableName = ALL_TABLES, reason = 'manual') {
+  if (tableName === ALL_TABLES) {
+    entries.clear();
+  } else {
+    entries.delete(tableName);
+    entries.delete(ALL_TABLES);
+  }
+
+  stats.invalidations++;
+  stats.lastInvalidation = { table: tableName, reason, at: new Date().toISOString() };
+  console.log(`🧹 Caché de esquemas invalidada: ${tableName} (${reason})`);
+};
+
+exports.ALL_TABLES = ALL_TABLES;
+
+exports.getStats = function() {
+  const lookups = stats.hits + stats.misses;
+  let cachedEntries = 0;
+  entries.forEach(tableEntries => { cachedEntries += tableEntries.size; });
+
+  return {
+    tables: entries.size,
+    entries: cachedEntries,
+    hits: stats.hits,
+    misses: stats.misses,
+    hitRate: lookups > 0 ? Number((stats.hits / lookups).toFixed(4)) : null,
+    invalidations: stats.invalidations,
+    lastInvalidation: stats.lastInvalidation,
+    listening: stats.listening
+  };
+};
+
+// Escuchar NOTIFY con una conexión dedicada (el pool no sirve para LISTEN).
+// Ante una desconexión se invalida todo, porque pudieron perderse avisos.
+exports.startListening = function(connectionConfig) {
+  const connect = async () => {
+    const client = new Client(connectionConfig);
+
+    client.on('notification', message => {
+      exports.invalidate(message.payload || ALL_TABLES, 'notify');
+    });
+
+    client.on('error', error => {
+      console.error('❌ Error en la conexión LISTEN de esquemas:', error.message);
+    });
+
+    client.on('end', () => {
+      stats.listening = false;
+      exports.invalidate(ALL_TABLES, 'listen_reconnect');
+      setTimeout(connect, RECONNECT_DELAY_MS);
+    });
+
+    try {
+      await client.connect();
+      await client.query(`LISTEN ${NOTIFY_CHANNEL}`);
+      stats.listening = true;
+      console.log(`👂 Escuchando cambios de esquema en el canal '${NOTIFY_CHANNEL}'`);
+    } catch (error) {
+      console.error('❌ No se pudo iniciar LISTEN de esquemas:', error.message);
+      client.removeAllListeners('end');
+      client.end().catch(() => {});
+      setTimeout(connect, RECONNECT_DELAY_MS);
+    }
+  };
+
+  connect();
+};
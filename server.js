@@ -1,11 +1,25 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
 const axios = require('axios');
+const getSwaggerUiPath = require('swagger-ui-dist/absolute-path');
 const auth = require('./auth');
+const schemaCache = require('./schema-cache');
+const migrations = require('./migrate');
+const openapi = require('./openapi');
+const tableImport = require('./table-import');
+const {
+  DEFAULT_SCHEMA,
+  DATA_SCHEMAS,
+  parseQualifiedName,
+  qualifyName,
+  normalizeTableName,
+  isDataSchemaTable
+} = require('./table-names');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
-const { Pool } = require('pg');
+const { Pool, escapeIdentifier, escapeLiteral } = require('pg');
 require('dotenv').config();
 
 // Validar variables de entorno para PostgreSQL
@@ -44,6 +58,19 @@ pool.connect((err, client, release) => {
 const app = express();
 const PORT = process.env.PORT || 8000;
 
+// Detrás de un proxy/balanceador, TRUST_PROXY permite que req.ip sea la IP real
+// del cliente (necesario para la limitación de intentos por IP)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY.trim();
+  let trustProxySetting = trustProxy;
+  if (/^\d+$/.test(trustProxy)) {
+    trustProxySetting = parseInt(trustProxy);
+  } else if (trustProxy === 'true' || trustProxy === 'false') {
+    trustProxySetting = trustProxy === 'true';
+  }
+  app.set('trust proxy', trustProxySetting);
+}
+
 // ⚠️ IMPORTANTE: Middlewares DEBEN ir ANTES que las rutas
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
@@ -52,6 +79,9 @@ app.use(express.urlencoded({ extended: true }));
 // Servir archivos estáticos del frontend
 app.use(express.static(path.join(__dirname, 'public')));
 
+// 📘 Swagger UI para /api-docs, servido desde node_modules y no desde un CDN
+app.use('/vendor/swagger-ui', express.static(getSwaggerUiPath()));
+
 // 🗺️ Servir archivos de mapas desde la carpeta docs
 app.use('/docs', express.static(path.join(__dirname, 'docs')));
 
@@ -59,8 +89,8 @@ app.use('/docs', express.static(path.join(__dirname, 'docs')));
 app.use('/api', (req, res, next) => {
   console.log(`🌐 ${req.method} ${req.url}`);
   console.log('📋 Headers:', {
-    authorization: req.headers['authorization'],
-    Authorization: req.headers['Authorization'],
+    authorization: req.headers['authorization'] ? '[presente]' : undefined,
+    'x-api-key': req.headers['x-api-key'] ? '[presente]' : undefined,
     'content-type': req.headers['content-type'],
     'user-agent': req.headers['user-agent']?.substring(0, 50) + '...'
   });
@@ -68,124 +98,36 @@ app.use('/api', (req, res, next) => {
 });
 
 // AHORA SÍ: ENDPOINTS de autenticación (después de los middlewares)
-app.post('/api/login', auth.login);
-app.post('/api/register', auth.register);
-app.post('/api/logout', auth.logout);
+app.post('/api/login', auth.rateLimit('login'), auth.login);
+app.post('/api/login/2fa', auth.rateLimit('login_2fa'), auth.loginSecondFactor);
+app.post('/api/register', auth.rateLimit('register'), auth.register);
+app.post('/api/register/verify-email', auth.verifyEmail);
+app.post('/api/register/resend-verification', auth.rateLimit('email_verification'), auth.resendEmailVerification);
+app.post('/api/logout', auth.requireAuth, auth.requireUser, auth.logout);
 app.post('/api/password-reset/confirm', auth.passwordResetConfirm);
+app.post('/api/invitations/accept', auth.rateLimit('password_reset'), auth.acceptInvitation);
+
+// Single sign-on con el proveedor de identidad provincial (OIDC + PKCE)
+app.get('/api/auth/oidc/config', auth.oidcConfig);
+app.get('/api/auth/oidc/login', auth.oidcStart);
+app.get('/api/auth/oidc/callback', auth.oidcCallback);
+app.post('/api/auth/oidc/complete', auth.rateLimit('login'), auth.oidcComplete);
 
 // Ejemplo de protección con middleware JWT en una ruta:
 app.get('/api/protected', auth.requireAuth, (req, res) => {
   res.json({ success: true, user: req.user, message: "Acceso autorizado." });
 });
 
-// Función para actualizar fecha de último acceso
-async function updateLastAccess(userId) {
-  try {
-    await pool.query(
-      'UPDATE users SET fecha_ultimo_acceso = NOW() WHERE id = $1',
-      [userId]
-    );
-  } catch (error) {
-    console.error('Error actualizando último acceso:', error);
-  }
-}
-
-// Función para verificar y actualizar estado activo
-async function checkAndUpdateActiveStatus(userId) {
-  try {
-    const result = await pool.query(
-      'SELECT activo, fecha_vencimiento FROM users WHERE id = $1',
-      [userId]
-    );
-    
-    if (result.rows.length === 0) return false;
-    
-    const user = result.rows[0];
-    
-    // Si tiene fecha de vencimiento y ya expiró, desactivar
-    if (user.fecha_vencimiento && new Date() > new Date(user.fecha_vencimiento)) {
-      await pool.query(
-        'UPDATE users SET activo = false WHERE id = $1',
-        [userId]
-      );
-      return false;
-    }
-    
-    return user.activo;
-  } catch (error) {
-    console.error('Error verificando estado activo:', error);
-    return false;
-  }
-}
-
-app.post('/api/refresh-token', auth.requireAuth, async (req, res) => {
-    try {
-        const userId = req.user.id;
-        
-        // Verificar que el usuario sigue activo
-        const userResult = await pool.query(
-            'SELECT id, email, nombre_apellido, rol, activo FROM users WHERE id = $1',
-            [userId]
-        );
-
-        if (userResult.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'Usuario no encontrado'
-            });
-        }
-
-        const user = userResult.rows[0];
-
-        if (!user.activo) {
-            return res.status(401).json({
-                success: false,
-                message: 'Usuario inactivo'
-            });
-        }
-
-        // Verificar y actualizar estado activo
-        const isActive = await checkAndUpdateActiveStatus(user.id);
-        
-        if (!isActive) {
-            return res.status(401).json({
-                success: false,
-                message: 'Usuario inactivo. Contacte al administrador.'
-            });
-        }
-
-        // Generar nuevo token JWT
-        const JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
-        const newToken = jwt.sign(
-            { 
-                id: user.id, 
-                email: user.email, 
-                rol: user.rol,
-                nombre_apellido: user.nombre_apellido
-            }, 
-            JWT_SECRET, 
-            { expiresIn: '12h' }
-        );
-
-        // Actualizar fecha de último acceso
-        await updateLastAccess(user.id);
-
-        console.log('🔄 Token renovado para:', user.email);
-
-        res.json({
-            success: true,
-            token: newToken,
-            message: 'Token renovado exitosamente'
-        });
+// Renovación de token con rotación del refresh token
+app.post('/api/refresh-token', auth.refreshToken);
 
-    } catch (error) {
-        console.error('Error renovando token:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Error interno del servidor'
-        });
-    }
-});
+// Verificación en dos pasos (TOTP). setup/activate también aceptan el
+// challengeToken de configuración obligatoria que recibe un admin en el login
+app.get('/api/2fa/status', auth.requireAuth, auth.requireUser, auth.twoFactorStatus);
+app.post('/api/2fa/setup', auth.requireAuthOrSetupChallenge, auth.twoFactorSetup);
+app.post('/api/2fa/activate', auth.requireAuthOrSetupChallenge, auth.twoFactorActivate);
+app.post('/api/2fa/disable', auth.requireAuth, auth.requireUser, auth.twoFactorDisable);
+app.post('/api/2fa/recovery-codes', auth.requireAuth, auth.requireUser, auth.twoFactorRegenerateRecoveryCodes);
 
 // ========== FUNCIONES PARA METADATOS DINÁMICOS CON CATEGORÍAS ==========
 
@@ -197,10 +139,11 @@ async function getCategories() {
         category_name,
         category_display_name,
         category_description,
-        category_icon
+        category_icon,
+        category_order
       FROM table_categories 
       WHERE is_active = true
-      ORDER BY category_name
+      ORDER BY category_order NULLS LAST, category_name
     `;
     
     const result = await pool.query(query);
@@ -222,19 +165,39 @@ async function getTablesByCategory(categoryName) {
         table_order
       FROM table_categories 
       WHERE category_name = $1 AND is_active = true
-      ORDER BY table_order
+      ORDER BY table_order NULLS LAST, table_name
     `;
     
     const result = await pool.query(query, [categoryName]);
-    return result.rows;
+    // Misma forma canónica que el registro y los permisos ('public.x' -> 'x')
+    return result.rows.map(row => ({ ...row, table_name: normalizeTableName(row.table_name) }));
   } catch (error) {
     console.error(`Error obteniendo tablas para categoría ${categoryName}:`, error);
     throw error;
   }
 }
 
-// Obtener todas las tablas disponibles desde app_information_schema
-async function getDynamicTables() {
+// ========== IDENTIFICADORES DE TABLA ==========
+
+// Esquemas de datos y forma canónica "esquema.tabla": ver table-names.js
+
+// Tipos de columna: los de pg_catalog (text, _int4...) van sin esquema
+function qualifyTypeName(schema, name) {
+  return schema === 'pg_catalog' ? name : qualifyName(schema, name);
+}
+
+// Identificador SQL siempre calificado: "esquema"."tabla"
+function quoteTable(tableName) {
+  const { schema, name } = parseQualifiedName(tableName);
+  return `${escapeIdentifier(schema)}.${escapeIdentifier(name)}`;
+}
+
+// Obtener todas las tablas disponibles desde app_information_schema (con caché)
+function getDynamicTables() {
+  return schemaCache.get(schemaCache.ALL_TABLES, 'dynamic_tables', loadDynamicTables);
+}
+
+async function loadDynamicTables() {
   try {
     const query = `
       SELECT DISTINCT table_name 
@@ -244,31 +207,41 @@ async function getDynamicTables() {
     `;
     
     const result = await pool.query(query);
-    return result.rows.map(row => row.table_name);
+    const tables = result.rows
+      .map(row => normalizeTableName(row.table_name))
+      .filter(tableName => isDataSchemaTable(tableName));
+    return [...new Set(tables)];
   } catch (error) {
     console.error('Error obteniendo tablas desde app_information_schema:', error);
     throw error;
   }
 }
 
-// Obtener esquema completo de una tabla desde app_information_schema
-// Obtener esquema completo de una tabla desde app_information_schema
-async function getTableSchema(tableName) {
+// Obtener esquema completo de una tabla (con caché por tabla)
+function getTableSchema(tableName) {
+  return schemaCache.get(tableName, 'schema', () => loadTableSchema(tableName));
+}
+
+// Consultar el esquema completo de una tabla en el catálogo
+async function loadTableSchema(tableName) {
   try {
     console.log(`🔍 Obteniendo esquema para tabla: ${tableName}`);
+    const { schema: tableSchemaName, name: baseTableName } = parseQualifiedName(tableName);
     
     // Obtener columnas de la tabla
     const columnsResult = await pool.query(`
       SELECT 
         column_name, 
         data_type, 
+        udt_schema,
+        udt_name,
         is_nullable, 
         column_default,
         character_maximum_length
       FROM information_schema.columns 
-      WHERE table_name = $1
+      WHERE table_schema = $1 AND table_name = $2
       ORDER BY ordinal_position
-    `, [tableName]);
+    `, [tableSchemaName, baseTableName]);
     
     if (columnsResult.rows.length === 0) {
       throw new Error(`No se encontraron columnas para la tabla ${tableName}`);
@@ -280,6 +253,7 @@ async function getTableSchema(tableName) {
     const fkResult = await pool.query(`
       SELECT
         kcu.column_name,
+        ccu.table_schema AS foreign_table_schema,
         ccu.table_name AS foreign_table_name,
         ccu.column_name AS foreign_column_name
       FROM information_schema.table_constraints AS tc
@@ -288,13 +262,15 @@ async function getTableSchema(tableName) {
         AND tc.table_schema = kcu.table_schema
       JOIN information_schema.constraint_column_usage AS ccu
         ON ccu.constraint_name = tc.constraint_name
-        AND ccu.table_schema = tc.table_schema
+        AND ccu.constraint_schema = tc.constraint_schema
       WHERE tc.constraint_type = 'FOREIGN KEY'
-        AND tc.table_name = $1
-    `, [tableName]);
+        AND tc.table_schema = $1
+        AND tc.table_name = $2
+    `, [tableSchemaName, baseTableName]);
     
-    // Obtener primary key correctamente
+    // Obtener primary key correctamente (todas sus columnas, en el orden del índice)
     let primaryKey = null;
+    let primaryKeys = [];
     try {
       const pkResult = await pool.query(`
         SELECT a.attname as column_name
@@ -303,11 +279,13 @@ async function getTableSchema(tableName) {
                               AND a.attnum = ANY(i.indkey)
         WHERE  i.indrelid = $1::regclass
         AND    i.indisprimary
-      `, [tableName]);
+        ORDER BY array_position(i.indkey::int2[], a.attnum)
+      `, [quoteTable(tableName)]);
       
       if (pkResult.rows.length > 0) {
-        primaryKey = pkResult.rows[0].column_name;
-        console.log(`🔑 Primary key encontrado: ${primaryKey}`);
+        primaryKeys = pkResult.rows.map(row => row.column_name);
+        primaryKey = primaryKeys[0];
+        console.log(`🔑 Primary key encontrado: ${primaryKeys.join(', ')}`);
       }
     } catch (pkError) {
       console.warn(`⚠️ Error obteniendo primary key para ${tableName}:`, pkError.message);
@@ -335,15 +313,42 @@ async function getTableSchema(tableName) {
     const foreignKeys = {};
     fkResult.rows.forEach(row => {
       foreignKeys[row.column_name] = {
-        table: row.foreign_table_name,
+        table: qualifyName(row.foreign_table_schema, row.foreign_table_name),
         column: row.foreign_column_name
       };
     });
+
+    // Metadatos de interfaz de cada columna (null si no tiene)
+    const metadataResult = await pool.query(
+      'SELECT * FROM app_column_metadata WHERE table_name = $1',
+      [tableName]
+    );
+    const metadataByColumn = new Map(metadataResult.rows.map(row => [row.column_name, row]));
+
+    // Columna a mostrar de cada foreign key: la configurada en los metadatos
+    // o una elegida por defecto en la tabla referenciada
+    for (const [columnName, foreignKey] of Object.entries(foreignKeys)) {
+      foreignKey.displayColumn = metadataByColumn.get(columnName)?.fk_display_column ||
+        await getDefaultDisplayColumn(foreignKey.table, foreignKey.column);
+    }
+
+    const columns = columnsResult.rows.map(({ udt_schema, ...col }) => ({
+      ...col,
+      udt_name: qualifyTypeName(udt_schema, col.udt_name),
+      is_foreign_key: Boolean(foreignKeys[col.column_name]),
+      foreign_table: foreignKeys[col.column_name]?.table || null,
+      foreign_column: foreignKeys[col.column_name]?.column || null,
+      foreign_display_column: foreignKeys[col.column_name]?.displayColumn || null,
+      ui: formatColumnMetadata(metadataByColumn.get(col.column_name))
+    }));
     
+    // primaryKey es la primera columna de la clave (compatibilidad);
+    // primaryKeys tiene todas las columnas si la clave es compuesta
     return {
-      columns: columnsResult.rows,
+      columns: columns,
       foreignKeys: foreignKeys,
-      primaryKey: primaryKey
+      primaryKey: primaryKey,
+      primaryKeys: primaryKeys.length > 0 ? primaryKeys : [primaryKey]
     };
     
   } catch (error) {
@@ -352,18 +357,200 @@ async function getTableSchema(tableName) {
   }
 }
 
-// Validar que una tabla existe usando information_schema
+// ========== METADATOS DE COLUMNAS ==========
+
+const COLUMN_WIDGETS = ['text', 'textarea', 'number', 'date', 'datetime-local', 'time', 'email', 'tel', 'url', 'checkbox'];
+const NUMERIC_DATA_TYPES = ['smallint', 'integer', 'bigint', 'numeric', 'decimal', 'real', 'double precision', 'money'];
+
+function formatColumnMetadata(row) {
+  if (!row) return null;
+
+  return {
+    label: row.label,
+    helpText: row.help_text,
+    placeholder: row.placeholder,
+    hidden: row.hidden,
+    readOnly: row.read_only,
+    displayOrder: row.display_order,
+    widget: row.widget,
+    pattern: row.pattern,
+    min: row.min_value,
+    max: row.max_value,
+    fkDisplayColumn: row.fk_display_column
+  };
+}
+
+// Comparar un valor contra un límite de rango según el tipo de la columna.
+// Devuelve null si el tipo no admite rangos o algún valor no es interpretable.
+function compareWithLimit(dataType, value, limit) {
+  if (NUMERIC_DATA_TYPES.includes(dataType)) {
+    const a = Number(value);
+    const b = Number(limit);
+    return Number.isNaN(a) || Number.isNaN(b) ? null : a - b;
+  }
+
+  if (dataType === 'date' || dataType.startsWith('timestamp')) {
+    const a = new Date(value).getTime();
+    const b = new Date(limit).getTime();
+    return Number.isNaN(a) || Number.isNaN(b) ? null : a - b;
+  }
+
+  return null;
+}
+
+// Validar los datos de create/update contra el esquema y los metadatos de
+// columnas. Devuelve la lista de errores (vacía si los datos son válidos).
+function validateColumnData(tableSchema, data) {
+  const errors = [];
+
+  for (const [columnName, value] of Object.entries(data)) {
+    const column = tableSchema.columns.find(col => col.column_name === columnName);
+    if (!column) {
+      errors.push(`La columna '${columnName}' no existe`);
+      continue;
+    }
+
+    const ui = column.ui;
+    if (!ui) continue;
+    const label = ui.label || columnName;
+
+    if (ui.readOnly || ui.hidden) {
+      errors.push(`El campo '${label}' no se puede modificar`);
+      continue;
+    }
+
+    if (value === undefined || value === null || value === '') continue;
+
+    if (ui.pattern && !new RegExp(`^(?:${ui.pattern})$`).test(String(value))) {
+      errors.push(`El campo '${label}' no tiene un formato válido`);
+    }
+
+    if (ui.min !== null && ui.min !== undefined) {
+      const comparison = compareWithLimit(column.data_type, value, ui.min);
+      if (comparison === null || comparison < 0) {
+        errors.push(`El campo '${label}' debe ser mayor o igual a ${ui.min}`);
+      }
+    }
+
+    if (ui.max !== null && ui.max !== undefined) {
+      const comparison = compareWithLimit(column.data_type, value, ui.max);
+      if (comparison === null || comparison > 0) {
+        errors.push(`El campo '${label}' debe ser menor o igual a ${ui.max}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Tablas internas del sistema: nunca accesibles por las rutas genéricas de CRUD
+const SYSTEM_TABLES = new Set([
+  'users',
+  'audit_log',
+  'password_reset_tokens',
+  'user_sessions',
+  'user_recovery_codes',
+  'table_permissions',
+  'table_settings',
+  'auth_throttle',
+  'api_keys',
+  'oidc_login_requests',
+  'app_information_schema',
+  'app_column_metadata',
+  'table_categories',
+  'schema_migrations'
+]);
+
+// Tablas registradas (app_information_schema o table_categories) con sus
+// operaciones habilitadas. Devuelve Map(tabla -> operaciones).
+function getRegisteredTables() {
+  return schemaCache.get(schemaCache.ALL_TABLES, 'registered_tables', async () => {
+    // El registro puede nombrar la tabla como 'public.x' o 'x': se cruza con
+    // table_settings por el nombre normalizado y no por el texto guardado
+    const [tablesResult, settingsResult] = await Promise.all([
+      pool.query(`
+        SELECT DISTINCT table_name FROM app_information_schema
+        UNION
+        SELECT table_name FROM table_categories WHERE is_active = true
+      `),
+      pool.query('SELECT table_name, allowed_operations FROM table_settings')
+    ]);
+
+    const settings = new Map(
+      settingsResult.rows.map(row => [normalizeTableName(row.table_name), row.allowed_operations])
+    );
+
+    const registered = new Map();
+    tablesResult.rows
+      .map(row => normalizeTableName(row.table_name))
+      .filter(tableName => !SYSTEM_TABLES.has(tableName) && isDataSchemaTable(tableName))
+      .forEach(tableName => {
+        registered.set(tableName, settings.get(tableName) || auth.TABLE_OPERATIONS);
+      });
+    return registered;
+  });
+}
+
+// Middleware: la tabla debe estar registrada y tener habilitada la operación
+function requireRegisteredTable(operation, getTableName = req => req.params.tableName) {
+  return async function(req, res, next) {
+    const tableName = getTableName(req);
+
+    try {
+      const registered = await getRegisteredTables();
+
+      if (!tableName || !registered.has(tableName)) {
+        return res.status(404).json({
+          success: false,
+          message: `Tabla '${tableName}' no encontrada`
+        });
+      }
+
+      if (!registered.get(tableName).includes(operation)) {
+        return res.status(403).json({
+          success: false,
+          message: `La tabla '${tableName}' no permite la operación '${operation}'`
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Error verificando tabla registrada:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+  };
+}
+
+// Controles de acceso de las rutas genéricas por tabla: tabla registrada con
+// la operación habilitada y permiso del usuario sobre ella
+function tableAccess(operation, getTableName) {
+  return [
+    requireRegisteredTable(operation, getTableName),
+    auth.requireTablePermission(operation, getTableName)
+  ];
+}
+
+// Validar que una tabla registrada existe usando information_schema
 async function validateTableAccess(tableName) {
   try {
+    const registered = await getRegisteredTables();
+    if (!registered.has(tableName)) {
+      throw new Error(`Tabla '${tableName}' no encontrada`);
+    }
+
+    const { schema, name } = parseQualifiedName(tableName);
     const query = `
       SELECT table_name 
       FROM information_schema.tables 
-      WHERE table_schema = 'public' 
-      AND table_name = $1
+      WHERE table_schema = $1 
+      AND table_name = $2
       LIMIT 1
     `;
     
-    const result = await pool.query(query, [tableName]);
+    const result = await pool.query(query, [schema, name]);
 
     if (result.rows.length === 0) {
       throw new Error(`Tabla '${tableName}' no encontrada en la base de datos`);
@@ -376,13 +563,18 @@ async function validateTableAccess(tableName) {
   }
 }
 
-// Obtener campos de una tabla para búsqueda (usando app_information_schema)
-async function getTableFields(tableName) {
+// Obtener campos de una tabla para búsqueda (con caché por tabla)
+function getTableFields(tableName) {
+  return schemaCache.get(tableName, 'fields', () => loadTableFields(tableName));
+}
+
+async function loadTableFields(tableName) {
   try {
     const query = `
       SELECT 
         c.column_name,
         c.data_type,
+        c.udt_schema,
         c.udt_name,
         c.ordinal_position,
         -- detectar si es primary key
@@ -395,16 +587,17 @@ async function getTableFields(tableName) {
             AND a.attname = c.column_name
         ) AS is_primary_key
       FROM information_schema.columns c
-      WHERE c.table_name = $1
+      WHERE c.table_schema = $2 AND c.table_name = $3
       ORDER BY c.ordinal_position
     `;
     
-    const result = await pool.query(query, [tableName]);
+    const { schema, name } = parseQualifiedName(tableName);
+    const result = await pool.query(query, [quoteTable(tableName), schema, name]);
     // Mapear a la estructura que usa el frontend
     return result.rows.map(row => ({
       column_name: row.column_name,
       data_type: row.data_type,
-      udt_name: row.udt_name,        // nombre del tipo (útil para enums)
+      udt_name: qualifyTypeName(row.udt_schema, row.udt_name), // nombre del tipo (útil para enums)
       is_primary_key: row.is_primary_key
     }));
   } catch (error) {
@@ -419,7 +612,7 @@ function buildSearchCondition(fieldName, searchText, dataType, tableName = null)
     
     // ✅ CLAVE: Usar nombre calificado si se proporciona tableName
     const qualifiedField = tableName 
-        ? `"${tableName}"."${fieldName}"` 
+        ? `${quoteTable(tableName)}."${fieldName}"` 
         : `"${fieldName}"`;
     
     console.log(`🔍 Construyendo búsqueda para campo: ${fieldName}, tipo: ${dataType}, texto: ${searchText}, tabla: ${tableName || 'sin especificar'}`);
@@ -564,14 +757,64 @@ app.get('/', (req, res) => {
 
 // ========== FUNCIONES PARA ENUMS ==========
 
-// Obtener valores de un enum específico
+// Tipos enum usados por las columnas de las tablas registradas, con sus valores
+// en el orden definido en el tipo. Incluye columnas de tipo array de enum.
+function getUsedEnums() {
+  return schemaCache.get(schemaCache.ALL_TABLES, 'enums', async () => {
+    const tables = (await getDynamicTables()).map(parseQualifiedName);
+
+    const result = await pool.query(`
+      WITH used AS (
+        SELECT 
+          et.oid,
+          etn.nspname AS enum_schema,
+          et.typname,
+          array_agg(DISTINCT 
+            CASE WHEN n.nspname = $3 THEN '' ELSE n.nspname || '.' END || c.relname || '.' || a.attname
+          ) AS used_by
+        FROM pg_attribute a
+        JOIN pg_class c ON c.oid = a.attrelid
+        JOIN pg_namespace n ON n.oid = c.relnamespace
+        JOIN pg_type at ON at.oid = a.atttypid
+        JOIN pg_type et ON et.oid = CASE WHEN at.typelem <> 0 THEN at.typelem ELSE at.oid END
+        JOIN pg_namespace etn ON etn.oid = et.typnamespace
+        WHERE (n.nspname, c.relname) IN (SELECT * FROM unnest($1::text[], $2::text[]))
+          AND a.attnum > 0 
+          AND NOT a.attisdropped
+          AND et.typtype = 'e'
+        GROUP BY et.oid, etn.nspname, et.typname
+      )
+      SELECT 
+        u.enum_schema,
+        u.typname AS enum_name, 
+        u.used_by,
+        array_agg(e.enumlabel ORDER BY e.enumsortorder) AS enum_values
+      FROM used u
+      JOIN pg_enum e ON e.enumtypid = u.oid
+      GROUP BY u.enum_schema, u.typname, u.used_by
+      ORDER BY u.enum_schema, u.typname
+    `, [tables.map(table => table.schema), tables.map(table => table.name), DEFAULT_SCHEMA]);
+
+    const enums = {};
+    result.rows.forEach(row => {
+      enums[qualifyName(row.enum_schema, row.enum_name)] = { values: row.enum_values, usedBy: row.used_by };
+    });
+    return enums;
+  });
+}
+
+// Obtener valores de un enum específico (consulta parametrizada sobre pg_enum)
 async function getEnumValues(enumName) {
   try {
-    const query = `
-      SELECT unnest(enum_range(NULL::${enumName})) as enum_value
-    `;
-    
-    const result = await pool.query(query);
+    const { schema, name } = parseQualifiedName(enumName);
+    const result = await pool.query(`
+      SELECT e.enumlabel AS enum_value
+      FROM pg_type t
+      JOIN pg_namespace n ON n.oid = t.typnamespace
+      JOIN pg_enum e ON e.enumtypid = t.oid
+      WHERE t.typname = $1 AND n.nspname = $2
+      ORDER BY e.enumsortorder
+    `, [name, schema]);
     return result.rows.map(row => row.enum_value);
   } catch (error) {
     console.error(`Error obteniendo valores de enum ${enumName}:`, error);
@@ -582,38 +825,11 @@ async function getEnumValues(enumName) {
 // Obtener todos los enums para dropdowns
 async function getAllEnumOptions() {
   try {
-    const enumTypes = [
-      'tipo',
-      'subtipo', 
-      'tipo_asamblea',
-      'tipo_financiamiento',
-      'autoridades',
-      'sino',
-      'estado',
-      'estado_asamblea',
-      'localidad',
-      'organo_social',
-      'libros_coope',
-      'libros_mutuales',
-      'tipo_libro',
-      'acciones_coope'
-    ];
-
-    const enumPromises = enumTypes.map(async (enumType) => {
-      try {
-        const values = await getEnumValues(enumType);
-        return [enumType, values];
-      } catch (error) {
-        console.log(`Enum ${enumType} no existe, saltando...`);
-        return [enumType, []];
-      }
-    });
+    const enums = await getUsedEnums();
 
-    const results = await Promise.all(enumPromises);
-    
     const enumOptions = {};
-    results.forEach(([enumType, values]) => {
-      enumOptions[enumType] = values;
+    Object.entries(enums).forEach(([enumType, info]) => {
+      enumOptions[enumType] = info.values;
     });
 
     return enumOptions;
@@ -623,77 +839,191 @@ async function getAllEnumOptions() {
   }
 }
 
-async function getForeignKeyData(tableName, foreignTable, foreignColumn, displayColumn = 'nombre') {
-  try {
-    console.log(`🔄 Obteniendo FK data para tabla: ${tableName}, foreign: ${foreignTable}`);
-    
-    // Lógica especial para COOPERATIVAS
-    if (foreignTable === 'entidades_cooperativas') {
-      const query = `
-        SELECT "Matricula", "Nombre de la Entidad"
-        FROM "entidades_cooperativas" 
-        WHERE "Nombre de la Entidad" IS NOT NULL 
-        ORDER BY "Nombre de la Entidad" ASC
-      `;
-      
-      const result = await pool.query(query);
-      console.log(`✅ Cooperativas encontradas: ${result.rows.length}`);
-      
-      return result.rows.map(row => ({
-        value: row.Matricula,
-        display: row['Nombre de la Entidad'],
-        text: row['Nombre de la Entidad'],
-        matricula: row.Matricula,
-        tipo: 'cooperativa'
-      }));
-    }
-    
-    // Lógica especial para MUTUALES
-    if (foreignTable === 'entidades_mutuales') {
-      const query = `
-        SELECT "Matricula Nacional", "Entidad"
-        FROM "entidades_mutuales" 
-        WHERE "Entidad" IS NOT NULL 
-        ORDER BY "Entidad" ASC
-      `;
-      
-      const result = await pool.query(query);
-      console.log(`✅ Mutuales encontradas: ${result.rows.length}`);
-      
-      return result.rows.map(row => ({
-        value: row['Matricula Nacional'],
-        display: row.Entidad,
-        text: row.Entidad,
-        matricula: row['Matricula Nacional'],
-        tipo: 'mutual'
-      }));
+// ========== OPCIONES DE FOREIGN KEYS ==========
+
+const FK_OPTIONS_PAGE_SIZE = 50;
+const FK_OPTIONS_MAX_PAGE_SIZE = 200;
+
+// Columna a mostrar por defecto para las tablas de entidades
+const DEFAULT_FK_DISPLAY_COLUMNS = {
+  entidades_cooperativas: 'Nombre de la Entidad',
+  entidades_mutuales: 'Entidad'
+};
+const DISPLAY_COLUMN_HINTS = ['nombre', 'name', 'denominacion', 'razon_social', 'entidad', 'descripcion'];
+const TEXT_DATA_TYPES = ['character varying', 'text', 'character'];
+
+// Elegir la columna a mostrar de una tabla referenciada cuando no está
+// configurada: la primera columna de texto con nombre "descriptivo", la
+// primera columna de texto o, en último caso, la propia columna referenciada
+async function getDefaultDisplayColumn(foreignTable, foreignColumn) {
+  if (DEFAULT_FK_DISPLAY_COLUMNS[foreignTable]) {
+    return DEFAULT_FK_DISPLAY_COLUMNS[foreignTable];
+  }
+
+  const { schema, name } = parseQualifiedName(foreignTable);
+  const result = await pool.query(`
+    SELECT column_name, data_type
+    FROM information_schema.columns
+    WHERE table_schema = $1 AND table_name = $2
+    ORDER BY ordinal_position
+  `, [schema, name]);
+
+  const textColumns = result.rows.filter(col =>
+    TEXT_DATA_TYPES.includes(col.data_type) && col.column_name !== foreignColumn
+  );
+  const hinted = textColumns.find(col =>
+    DISPLAY_COLUMN_HINTS.some(hint => col.column_name.toLowerCase().includes(hint))
+  );
+
+  return (hinted || textColumns[0])?.column_name || foreignColumn;
+}
+
+// Las opciones muestran datos de la tabla referenciada: solo se ofrecen si está
+// registrada con lectura habilitada y el usuario puede leerla
+async function canReadForeignTable(user, foreignTable) {
+  const registered = await getRegisteredTables();
+  return Boolean(registered.get(foreignTable)?.includes('read')) &&
+    await auth.hasTablePermission(user, foreignTable, 'read');
+}
+
+// Opciones de una foreign key para dropdowns con búsqueda: filtra la tabla
+// referenciada por el texto de la columna a mostrar (o por un valor exacto,
+// para mostrar la opción ya elegida) y pagina los resultados.
+async function getForeignKeyOptions(foreignKey, { search = '', value, limit = FK_OPTIONS_PAGE_SIZE, offset = 0 } = {}) {
+  // Las foreign keys hacia tablas del sistema (p. ej. users) no se exponen
+  if (SYSTEM_TABLES.has(foreignKey.table)) {
+    return { options: [], hasMore: false };
+  }
+
+  const valueColumn = escapeIdentifier(foreignKey.column);
+  const displayColumn = escapeIdentifier(foreignKey.displayColumn);
+  const conditions = [`${displayColumn} IS NOT NULL`];
+  const params = [];
+
+  if (value !== undefined) {
+    params.push(String(value));
+    conditions.push(`${valueColumn}::text = $${params.length}`);
+  } else if (search) {
+    params.push(`%${search.replace(/[\\%_]/g, '\\$&')}%`);
+    conditions.push(`${displayColumn}::text ILIKE $${params.length}`);
+  }
+
+  // Se pide una fila de más para saber si hay otra página
+  params.push(limit + 1, offset);
+  const result = await pool.query(`
+    SELECT ${valueColumn} AS value, ${displayColumn}::text AS display
+    FROM ${quoteTable(foreignKey.table)}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY ${displayColumn} ASC
+    LIMIT $${params.length - 1} OFFSET $${params.length}
+  `, params);
+
+  return {
+    options: result.rows.slice(0, limit).map(row => ({
+      value: row.value,
+      display: row.display,
+      text: row.display
+    })),
+    hasMore: result.rows.length > limit
+  };
+}
+
+// ========== CLAVES PRIMARIAS (SIMPLES Y COMPUESTAS) ==========
+
+// Clave de un registro: el valor de la columna o, si la clave es compuesta,
+// un objeto { columna: valor }
+function getRecordKey(tableSchema, record) {
+  if (tableSchema.primaryKeys.length === 1) {
+    return record[tableSchema.primaryKey];
+  }
+  return Object.fromEntries(tableSchema.primaryKeys.map(column => [column, record[column]]));
+}
+
+// record_id de auditoría: el valor de la clave o el JSON de la clave compuesta
+function getAuditRecordId(tableSchema, record) {
+  const key = getRecordKey(tableSchema, record);
+  return tableSchema.primaryKeys.length === 1 ? key : JSON.stringify(key);
+}
+
+// Identificador visible del registro para el frontend (_primaryKey)
+function getRecordKeyLabel(tableSchema, record) {
+  if (tableSchema.primaryKeys.length === 1) {
+    return record[tableSchema.primaryKey];
+  }
+  return tableSchema.primaryKeys.map(column => record[column]).join(' / ');
+}
+
+// ORDER BY por todas las columnas de la clave primaria
+function buildPrimaryKeyOrder(tableSchema, tableName) {
+  return tableSchema.primaryKeys
+    .map(column => `${quoteTable(tableName)}.${escapeIdentifier(column)} ASC`)
+    .join(', ');
+}
+
+// Interpretar el criterio que identifica un registro en update/delete:
+//   { key: { columna: valor, ... } }  clave completa (obligatorio si es compuesta)
+//   { field, value }                  una columna (solo claves simples)
+// Devuelve { columns, values } o { error }.
+function resolveRecordCriteria(tableSchema, searchCriteria) {
+  if (searchCriteria && searchCriteria.key && typeof searchCriteria.key === 'object') {
+    const missing = tableSchema.primaryKeys.filter(column =>
+      searchCriteria.key[column] === undefined || searchCriteria.key[column] === null || searchCriteria.key[column] === ''
+    );
+    if (missing.length > 0) {
+      return { error: `Faltan columnas de la clave primaria: ${missing.join(', ')}` };
     }
-    
-    // Lógica normal para otras tablas
-    const query = `
-      SELECT "${foreignColumn}", "${displayColumn}"
-      FROM "${foreignTable}" 
-      WHERE "${displayColumn}" IS NOT NULL 
-      ORDER BY "${displayColumn}" ASC
-    `;
-    
-    const result = await pool.query(query);
-    return result.rows.map(row => ({
-      value: row[foreignColumn],
-      display: row[displayColumn],
-      text: row[displayColumn]
-    }));
+    return {
+      columns: tableSchema.primaryKeys,
+      values: tableSchema.primaryKeys.map(column => searchCriteria.key[column])
+    };
+  }
+
+  if (tableSchema.primaryKeys.length > 1) {
+    return {
+      error: `La tabla tiene clave primaria compuesta: envíe searchCriteria.key con ${tableSchema.primaryKeys.join(', ')}`
+    };
+  }
+
+  if (!searchCriteria || !searchCriteria.field || searchCriteria.value === undefined ||
+      searchCriteria.value === null || searchCriteria.value === '') {
+    return { error: 'Se requiere criterio de búsqueda válido' };
+  }
+
+  if (!tableSchema.columns.some(col => col.column_name === searchCriteria.field)) {
+    return { error: `La columna '${searchCriteria.field}' no existe` };
+  }
+
+  return { columns: [searchCriteria.field], values: [searchCriteria.value] };
+}
+
+// Condición WHERE para un criterio resuelto, con parámetros desde $firstParam
+function buildCriteriaCondition(criteria, firstParam = 1) {
+  return criteria.columns
+    .map((column, index) => `${escapeIdentifier(column)} = $${firstParam + index}`)
+    .join(' AND ');
+}
+
+// Interpretar la clave de /entity/:primaryValue: el valor para claves simples
+// o un JSON { columna: valor } para claves compuestas
+function parseEntityKey(tableSchema, primaryValue) {
+  if (tableSchema.primaryKeys.length === 1) {
+    return resolveRecordCriteria(tableSchema, { field: tableSchema.primaryKey, value: primaryValue });
+  }
+
+  let key;
+  try {
+    key = JSON.parse(primaryValue);
   } catch (error) {
-    console.error(`Error obteniendo datos de foreign key para ${tableName}.${foreignTable}:`, error);
-    return [];
+    key = null;
   }
+  return resolveRecordCriteria(tableSchema, { key });
 }
 
 // Obtener datos completos de una entidad por su clave primaria
-async function getEntityData(tableName, primaryKey, primaryValue) {
+async function getEntityData(tableName, criteria) {
   try {
-    const query = `SELECT * FROM "${tableName}" WHERE "${primaryKey}" = $1`;
-    const result = await pool.query(query, [primaryValue]);
+    const query = `SELECT * FROM ${quoteTable(tableName)} WHERE ${buildCriteriaCondition(criteria)}`;
+    const result = await pool.query(query, criteria.values);
     return result.rows[0] || null;
   } catch (error) {
     console.error(`Error obteniendo datos de entidad ${tableName}:`, error);
@@ -701,6 +1031,144 @@ async function getEntityData(tableName, primaryKey, primaryValue) {
   }
 }
 
+// ========== LISTADOS: PAGINACIÓN, ORDEN Y PROYECCIÓN ==========
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+
+function splitListParam(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Opciones de listado de read/search desde la query string:
+//   page, pageSize   página (desde 1) y tamaño; sin ninguno de los dos se
+//                    devuelven todas las filas, como antes
+//   sort             columnas separadas por coma, con "-" para descendente
+//   fields           columnas a devolver (la clave primaria siempre se incluye)
+// Devuelve { error } si algún parámetro es inválido.
+function parseListOptions(tableSchema, query) {
+  const columnNames = new Set(tableSchema.columns.map(col => col.column_name));
+  const options = { page: null, pageSize: null, sort: [], fields: null };
+
+  if (query.page !== undefined || query.pageSize !== undefined) {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+
+    if (!Number.isInteger(page) || page < 1) {
+      return { error: 'page debe ser un número entero mayor o igual a 1' };
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      return { error: `pageSize debe ser un número entero entre 1 y ${MAX_PAGE_SIZE}` };
+    }
+    options.page = page;
+    options.pageSize = pageSize;
+  }
+
+  if (query.sort) {
+    for (const item of splitListParam(query.sort)) {
+      const descending = item.startsWith('-');
+      const column = descending ? item.slice(1) : item;
+      if (!columnNames.has(column)) {
+        return { error: `No se puede ordenar por '${column}': la columna no existe` };
+      }
+      options.sort.push({ column, direction: descending ? 'DESC' : 'ASC' });
+    }
+  }
+
+  if (query.fields) {
+    const fields = splitListParam(query.fields);
+    const unknown = fields.filter(field => !columnNames.has(field));
+    if (unknown.length > 0) {
+      return { error: `Columnas inexistentes en fields: ${unknown.join(', ')}` };
+    }
+    // La clave primaria identifica el registro al editar o eliminar
+    options.fields = [...new Set([...tableSchema.primaryKeys, ...fields])];
+  }
+
+  return options;
+}
+
+// JOIN con la tabla de entidades para mostrar nombre y localidad en las tablas
+// que tienen Matricula / Matricula Nacional (no en las tablas de entidades)
+function getEntityJoin(tableName, tableSchema) {
+  const table = quoteTable(tableName);
+  const isEntidadPrincipal = tableName === 'entidades_cooperativas' || tableName === 'entidades_mutuales';
+  const hasColumn = name => tableSchema.columns.some(col => col.column_name === name);
+
+  if (!isEntidadPrincipal && hasColumn('Matricula')) {
+    return {
+      joinClause: `JOIN "entidades_cooperativas" e ON ${table}."Matricula" = e."Matricula"`,
+      joinFields: [`e."Nombre de la Entidad" AS entidad_nombre`, `e."Localidad" AS entidad_localidad`]
+    };
+  }
+
+  if (!isEntidadPrincipal && hasColumn('Matricula Nacional')) {
+    return {
+      joinClause: `JOIN "entidades_mutuales" e ON ${table}."Matricula Nacional" = e."Matricula Nacional"`,
+      joinFields: [`e."Entidad" AS entidad_nombre`, `e."Localidad" AS entidad_localidad`]
+    };
+  }
+
+  return { joinClause: '', joinFields: [] };
+}
+
+// Listar registros de una tabla con un filtro opcional (condición con
+// parámetros $1..$n) y las opciones de listado. El orden pedido se completa
+// con la clave primaria para que las páginas sean estables.
+async function queryTableRows(tableName, tableSchema, { where = null, params = [] }, options) {
+  const table = quoteTable(tableName);
+  const { joinClause, joinFields } = getEntityJoin(tableName, tableSchema);
+
+  const columns = options.fields
+    ? options.fields.map(column => `${table}.${escapeIdentifier(column)}`)
+    : [`${table}.*`];
+  const fromClause = `FROM ${table} ${joinClause} ${where ? `WHERE ${where}` : ''}`;
+  const orderBy = [
+    ...options.sort.map(item => `${table}.${escapeIdentifier(item.column)} ${item.direction}`),
+    buildPrimaryKeyOrder(tableSchema, tableName)
+  ].join(', ');
+
+  let query = `SELECT ${[...columns, ...joinFields].join(', ')} ${fromClause} ORDER BY ${orderBy}`;
+  const queryParams = [...params];
+  if (options.pageSize) {
+    queryParams.push(options.pageSize, (options.page - 1) * options.pageSize);
+    query += ` LIMIT $${queryParams.length - 1} OFFSET $${queryParams.length}`;
+  }
+
+  console.log(`📋 Query SQL: ${query}`);
+  const result = await pool.query(query, queryParams);
+
+  let total = result.rows.length;
+  if (options.pageSize) {
+    const countResult = await pool.query(`SELECT COUNT(*)::int AS total ${fromClause}`, params);
+    total = countResult.rows[0].total;
+  }
+
+  return { rows: result.rows, total };
+}
+
+// Datos y metadatos comunes de las respuestas de read/search
+function formatListResponse(tableSchema, { rows, total }, options) {
+  const offset = options.pageSize ? (options.page - 1) * options.pageSize : 0;
+
+  return {
+    data: rows.map((record, index) => ({
+      _primaryKey: getRecordKeyLabel(tableSchema, record),
+      ...record,
+      _rowIndex: offset + index + 1
+    })),
+    total,
+    pagination: options.pageSize ? {
+      page: options.page,
+      pageSize: options.pageSize,
+      totalPages: Math.ceil(total / options.pageSize),
+      hasMore: offset + rows.length < total
+    } : null,
+    sort: options.sort.map(item => (item.direction === 'DESC' ? `-${item.column}` : item.column)),
+    fields: options.fields
+  };
+}
+
 // ========== SISTEMA DE AUDITORÍA ==========
 
 // Función auxiliar para limpiar y normalizar datos de auditoría
@@ -765,7 +1233,10 @@ function safeGetAuditField(obj, fieldName) {
 
 // Función para registrar acciones de auditoría
 // Función para registrar acciones de auditoría - VERSIÓN MEJORADA
-async function logAuditAction(actionData) {
+// Con `db` (un cliente con una transacción abierta) la entrada se escribe en esa
+// transacción y los errores se propagan, para que la operación no se confirme
+// sin su auditoría.
+async function logAuditAction(actionData, db = null) {
     try {
         const {
             userEmail,
@@ -778,7 +1249,8 @@ async function logAuditAction(actionData) {
             newValues,
             ipAddress,
             userAgent,
-            sessionInfo
+            sessionInfo,
+            correlationId
         } = actionData;
 
         // LIMPIAR Y VALIDAR DATOS ANTES DE INSERTAR
@@ -809,8 +1281,8 @@ async function logAuditAction(actionData) {
             INSERT INTO audit_log (
                 user_email, user_id, user_name, action, table_name, 
                 record_id, old_values, new_values, ip_address, 
-                user_agent, session_info
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                user_agent, session_info, api_key_id, correlation_id
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
             RETURNING id, timestamp
         `;
 
@@ -825,10 +1297,12 @@ async function logAuditAction(actionData) {
             cleanNewValues ? JSON.stringify(cleanNewValues) : null,
             ipAddress,
             userAgent,
-            sessionInfo ? JSON.stringify(sessionInfo) : null
+            sessionInfo ? JSON.stringify(sessionInfo) : null,
+            sessionInfo?.api_key?.id || null,
+            correlationId || null
         ];
 
-        const result = await pool.query(insertQuery, values);
+        const result = await (db || pool).query(insertQuery, values);
         
         console.log(`📝 Auditoría registrada: ${action} en ${tableName} por ${userEmail} - ID: ${result.rows[0].id}`);
         
@@ -841,10 +1315,14 @@ async function logAuditAction(actionData) {
             hasOldValues: !!actionData.oldValues,
             hasNewValues: !!actionData.newValues
         });
+        if (db) throw error;
         // No lanzar error para no afectar la operación principal
     }
 }
 
+// auth.js registra en auditoría a través del mismo logger
+auth.setAuditLogger(logAuditAction);
+
 // Función para obtener información del request
 function getRequestInfo(req) {
     return {
@@ -854,6 +1332,10 @@ function getRequestInfo(req) {
             timestamp: new Date().toISOString(),
             method: req.method,
             url: req.originalUrl,
+            // Acciones de clientes automatizados: se atribuyen a la API key
+            api_key: req.user?.apiKey 
+                ? { id: req.user.apiKey.id, name: req.user.apiKey.name } 
+                : undefined,
             headers: {
                 'x-forwarded-for': req.headers['x-forwarded-for'],
                 'x-real-ip': req.headers['x-real-ip'],
@@ -863,8 +1345,9 @@ function getRequestInfo(req) {
     };
 }
 
-// Endpoint para obtener opciones de dropdowns
-app.get('/api/enum-options', auth.requireAuth, async (req, res) => {
+// Endpoint para obtener opciones de dropdowns. No está ligado a una tabla,
+// así que no lo pueden usar las API keys (limitadas a sus tablas)
+app.get('/api/enum-options', auth.requireAuth, auth.requireUser, async (req, res) => {
   try {
     const options = await getAllEnumOptions();
     res.json({
@@ -882,7 +1365,7 @@ app.get('/api/enum-options', auth.requireAuth, async (req, res) => {
 });
 
 // Endpoint para obtener un enum específico
-app.get('/api/enum-options/:enumName', auth.requireAuth, async (req, res) => {
+app.get('/api/enum-options/:enumName', auth.requireAuth, auth.requireUser, async (req, res) => {
   try {
     const { enumName } = req.params;
     const values = await getEnumValues(enumName);
@@ -902,7 +1385,7 @@ app.get('/api/enum-options/:enumName', auth.requireAuth, async (req, res) => {
 
 
 // Nuevo endpoint para obtener información de campo específico incluyendo si es enum
-app.get('/api/tables/:tableName/field-info/:fieldName', auth.requireAuth, async (req, res) => {
+app.get('/api/tables/:tableName/field-info/:fieldName', auth.requireAuth, tableAccess('read'), async (req, res) => {
   try {
     const { tableName, fieldName } = req.params;
     
@@ -913,14 +1396,16 @@ app.get('/api/tables/:tableName/field-info/:fieldName', auth.requireAuth, async
       SELECT 
         c.column_name,
         c.data_type,
+        c.udt_schema,
         c.udt_name,
         c.is_nullable
       FROM information_schema.columns c
-      WHERE c.table_name = $1 AND c.column_name = $2
+      WHERE c.table_schema = $1 AND c.table_name = $2 AND c.column_name = $3
       LIMIT 1
     `;
     
-    const fieldResult = await pool.query(fieldQuery, [tableName, fieldName]);
+    const { schema, name } = parseQualifiedName(tableName);
+    const fieldResult = await pool.query(fieldQuery, [schema, name, fieldName]);
     
     if (fieldResult.rows.length === 0) {
       return res.status(404).json({
@@ -930,6 +1415,7 @@ app.get('/api/tables/:tableName/field-info/:fieldName', auth.requireAuth, async
     }
     
     const fieldInfo = fieldResult.rows[0];
+    fieldInfo.udt_name = qualifyTypeName(fieldInfo.udt_schema, fieldInfo.udt_name);
     
     // Verificar si es un tipo USER-DEFINED (enum)
     const isEnum = fieldInfo.data_type === 'USER-DEFINED';
@@ -937,15 +1423,7 @@ app.get('/api/tables/:tableName/field-info/:fieldName', auth.requireAuth, async
     
     if (isEnum) {
       // Obtener valores del enum
-      try {
-        const enumQuery = `
-          SELECT unnest(enum_range(NULL::${fieldInfo.udt_name})) as enum_value
-        `;
-        const enumResult = await pool.query(enumQuery);
-        enumValues = enumResult.rows.map(row => row.enum_value);
-      } catch (enumError) {
-        console.error(`Error obteniendo valores de enum ${fieldInfo.udt_name}:`, enumError);
-      }
+      enumValues = await getEnumValues(fieldInfo.udt_name);
     }
     
     res.json({
@@ -970,7 +1448,7 @@ app.get('/api/tables/:tableName/field-info/:fieldName', auth.requireAuth, async
   }
 });
 // Endpoint para obtener datos de foreign keys
-app.get('/api/tables/:tableName/foreign-key-data', auth.requireAuth, async (req, res) => {
+app.get('/api/tables/:tableName/foreign-key-data', auth.requireAuth, tableAccess('read'), async (req, res) => {
   try {
     const { tableName } = req.params;
     await validateTableAccess(tableName);
@@ -978,26 +1456,20 @@ app.get('/api/tables/:tableName/foreign-key-data', auth.requireAuth, async (req,
     const schema = await getTableSchema(tableName);
     const foreignKeyData = {};
     
-    // Procesar cada columna que sea foreign key
-    for (const column of schema.columns) {
-      if (column.is_foreign_key && column.foreign_table) {
-        const foreignTable = column.foreign_table;
-        const foreignColumn = column.foreign_column || 'id';
-        
-        // Determinar el campo de display basado en la tabla
-        let displayColumn = 'nombre';
-        if (foreignTable.includes('cooperativas') || foreignTable.includes('mutuales')) {
-          displayColumn = 'nombre';
-        }
-        
-        const data = await getForeignKeyData(tableName, foreignTable, foreignColumn, displayColumn);
-        foreignKeyData[column.column_name] = {
-          foreignTable,
-          foreignColumn,
-          displayColumn,
-          data
-        };
-      }
+    // Primera página de opciones de cada foreign key; el resto se busca con
+    // /foreign-key-options
+    for (const [columnName, foreignKey] of Object.entries(schema.foreignKeys)) {
+      const readable = await canReadForeignTable(req.user, foreignKey.table);
+      const { options, hasMore } = readable
+        ? await getForeignKeyOptions(foreignKey)
+        : { options: [], hasMore: false };
+      foreignKeyData[columnName] = {
+        foreignTable: foreignKey.table,
+        foreignColumn: foreignKey.column,
+        displayColumn: foreignKey.displayColumn,
+        data: options,
+        hasMore
+      };
     }
     
     res.json({
@@ -1014,16 +1486,74 @@ app.get('/api/tables/:tableName/foreign-key-data', auth.requireAuth, async (req,
   }
 });
 
-// Endpoint para obtener datos completos de una entidad
-app.get('/api/tables/:tableName/entity/:primaryValue', auth.requireAuth, async (req, res) => {
+// Búsqueda paginada de opciones de una foreign key (typeahead).
+// ?q= texto a buscar en la columna a mostrar, ?value= opción exacta,
+// ?page= y ?limit= paginación
+app.get('/api/tables/:tableName/foreign-key-options/:columnName', auth.requireAuth, tableAccess('read'), async (req, res) => {
+  try {
+    const { tableName, columnName } = req.params;
+    const { q, value } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || FK_OPTIONS_PAGE_SIZE, 1), FK_OPTIONS_MAX_PAGE_SIZE);
+
+    const schema = await getTableSchema(tableName);
+    const foreignKey = schema.foreignKeys[columnName];
+    if (!foreignKey) {
+      return res.status(404).json({
+        success: false,
+        message: `La columna '${columnName}' no es una foreign key de '${tableName}'`
+      });
+    }
+
+    if (!(await canReadForeignTable(req.user, foreignKey.table))) {
+      return res.status(403).json({
+        success: false,
+        message: `No tiene permiso para 'read' sobre la tabla '${foreignKey.table}'.`
+      });
+    }
+
+    const { options, hasMore } = await getForeignKeyOptions(foreignKey, {
+      search: typeof q === 'string' ? q.trim() : '',
+      value,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      success: true,
+      foreignTable: foreignKey.table,
+      displayColumn: foreignKey.displayColumn,
+      data: options,
+      page,
+      limit,
+      hasMore
+    });
+  } catch (error) {
+    console.error('Error buscando opciones de foreign key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error buscando opciones'
+    });
+  }
+});
+
+// Endpoint para obtener datos completos de una entidad. Para claves primarias
+// compuestas :primaryValue es un JSON { columna: valor } (codificado en la URL)
+app.get('/api/tables/:tableName/entity/:primaryValue', auth.requireAuth, tableAccess('read'), async (req, res) => {
   try {
     const { tableName, primaryValue } = req.params;
     await validateTableAccess(tableName);
     
     const schema = await getTableSchema(tableName);
-    const primaryKey = schema.primaryKey;
+    const criteria = parseEntityKey(schema, primaryValue);
+    if (criteria.error) {
+      return res.status(400).json({
+        success: false,
+        message: criteria.error
+      });
+    }
     
-    const entityData = await getEntityData(tableName, primaryKey, primaryValue);
+    const entityData = await getEntityData(tableName, criteria);
     
     if (!entityData) {
       return res.status(404).json({
@@ -1051,7 +1581,20 @@ app.get('/api/tables/:tableName/entity/:primaryValue', auth.requireAuth, async (
 // Obtener todas las categorías disponibles
 app.get('/api/categories', auth.requireAuth, async (req, res) => {
     try {
-        const categories = await getCategories();
+        let categories = await getCategories();
+
+        // Mostrar solo categorías con al menos una tabla legible por el usuario
+        const readableTables = await auth.getReadableTables(req.user);
+        if (readableTables) {
+            const visible = [];
+            for (const cat of categories) {
+                const tables = await getTablesByCategory(cat.category_name);
+                if (tables.some(table => readableTables.has(table.table_name))) {
+                    visible.push(cat);
+                }
+            }
+            categories = visible;
+        }
         
         res.json({
             success: true,
@@ -1078,7 +1621,15 @@ app.get('/api/categories', auth.requireAuth, async (req, res) => {
 app.get('/api/categories/:categoryName/tables', auth.requireAuth, async (req, res) => {
   try {
     const { categoryName } = req.params;
-    const tables = await getTablesByCategory(categoryName);
+    let tables = await getTablesByCategory(categoryName);
+    const registered = await getRegisteredTables();
+
+    // Filtrar tablas no registradas, sin lectura habilitada o sin permiso de lectura
+    tables = tables.filter(table => registered.get(table.table_name)?.includes('read'));
+    const readableTables = await auth.getReadableTables(req.user);
+    if (readableTables) {
+      tables = tables.filter(table => readableTables.has(table.table_name));
+    }
     
     if (tables.length === 0) {
       return res.status(404).json({
@@ -1095,7 +1646,8 @@ app.get('/api/categories/:categoryName/tables', auth.requireAuth, async (req, re
         name: table.table_name,
         displayName: table.table_display_name,
         description: table.table_description,
-        order: table.table_order
+        order: table.table_order,
+        allowedOperations: registered.get(table.table_name)
       })),
       total: tables.length
     });
@@ -1317,7 +1869,7 @@ app.get('/estadisticas-mutuales', (req, res) => {
 });
 
 // Endpoint para obtener información de estadísticas disponibles
-app.get('/api/statistics-info', auth.requireAuth, async (req, res) => {
+app.get('/api/statistics-info', auth.requireAuth, auth.requireUser, async (req, res) => {
   try {
     res.json({
       success: true,
@@ -1350,7 +1902,7 @@ app.get('/api/statistics-info', auth.requireAuth, async (req, res) => {
 });
 
 // Obtener esquema de una tabla específica
-app.get('/api/tables/:tableName/schema', auth.requireAuth, async (req, res) => {
+app.get('/api/tables/:tableName/schema', auth.requireAuth, tableAccess('read'), async (req, res) => {
   try {
     const { tableName } = req.params;
     
@@ -1384,7 +1936,7 @@ app.get('/api/tables/:tableName/schema', auth.requireAuth, async (req, res) => {
 // ========== ENDPOINTS PARA RECUPERACIÓN DE CONTRASEÑA ==========
 
 // Endpoint para solicitar recuperación de contraseña
-app.post('/api/password-reset/request', async (req, res) => {
+app.post('/api/password-reset/request', auth.rateLimit('password_reset'), async (req, res) => {
   console.log('🔄 Recibida solicitud de reset de contraseña');
   
   const { email, timestamp, source, action, user_agent, ip } = req.body;
@@ -1434,7 +1986,7 @@ app.post('/api/password-reset/request', async (req, res) => {
 
     // Primero eliminar tokens anteriores para este usuario
     try {
-      await pool.query('DELETE FROM password_reset_tokens WHERE user_id = $1', [user.id]);
+      await pool.query(`DELETE FROM password_reset_tokens WHERE user_id = $1 AND purpose = 'password_reset'`, [user.id]);
       console.log(`🗑️ Tokens anteriores eliminados para usuario: ${user.id}`);
     } catch (deleteError) {
       console.warn('⚠️ Error eliminando tokens anteriores:', deleteError.message);
@@ -1539,7 +2091,8 @@ app.get('/api/password-reset/validate/:token', async (req, res) => {
       SELECT prt.*, u.email 
       FROM password_reset_tokens prt
       JOIN users u ON prt.user_id = u.id
-      WHERE prt.token = $1 AND prt.expires_at > NOW() AND prt.used_at IS NULL
+      WHERE prt.token = $1 AND prt.purpose = 'password_reset' 
+      AND prt.expires_at > NOW() AND prt.used_at IS NULL
     `, [token]);
 
     if (result.rows.length === 0) {
@@ -1565,7 +2118,7 @@ app.get('/api/password-reset/validate/:token', async (req, res) => {
 });
 
 // Endpoint para validar matrícula única
-app.post('/api/validate-matricula', auth.requireAuth, async (req, res) => {
+app.post('/api/validate-matricula', auth.requireAuth, tableAccess('read', req => req.body.tableName), async (req, res) => {
   try {
     const { matricula, tableName, fieldName } = req.body;
     
@@ -1582,6 +2135,9 @@ app.post('/api/validate-matricula', auth.requireAuth, async (req, res) => {
     let entityName = '';
     
     for (const table of tables) {
+      // Solo se revelan entidades de las tablas que el usuario puede leer
+      if (!(await auth.hasTablePermission(req.user, table, 'read'))) continue;
+
       try {
         let query;
         if (table === 'entidades_cooperativas') {
@@ -1618,7 +2174,7 @@ app.post('/api/validate-matricula', auth.requireAuth, async (req, res) => {
 });
 
 // Endpoint para validar legajo único
-app.post('/api/validate-legajo', auth.requireAuth, async (req, res) => {
+app.post('/api/validate-legajo', auth.requireAuth, tableAccess('read', req => req.body.tableName), async (req, res) => {
   try {
     const { legajo, tableName, fieldName } = req.body;
     
@@ -1642,7 +2198,7 @@ app.post('/api/validate-legajo', auth.requireAuth, async (req, res) => {
       
       if (legajoColumn) {
         // Buscar registro con mismo legajo
-        const query = `SELECT * FROM "${tableName}" WHERE "${legajoColumn.column_name}" = $1 LIMIT 1`;
+        const query = `SELECT * FROM ${quoteTable(tableName)} WHERE "${legajoColumn.column_name}" = $1 LIMIT 1`;
         const result = await pool.query(query, [legajo]);
         
         if (result.rows.length > 0) {
@@ -1673,7 +2229,7 @@ app.post('/api/validate-legajo', auth.requireAuth, async (req, res) => {
 });
 
 // Endpoint para obtener esquema filtrado (sin entidad_id para ciertos formularios)
-app.get('/api/tables/:tableName/schema-filtered', auth.requireAuth, async (req, res) => {
+app.get('/api/tables/:tableName/schema-filtered', auth.requireAuth, tableAccess('read'), async (req, res) => {
   try {
     const { tableName } = req.params;
     const { formType } = req.query; // 'create' o 'edit'
@@ -1688,12 +2244,13 @@ app.get('/api/tables/:tableName/schema-filtered', auth.requireAuth, async (req,
       });
     }
     
-    const schema = await getTableSchema(tableName);
+    let schema = await getTableSchema(tableName);
     
     // Filtrar columnas para formularios de creación de entidades específicas
+    // (copia: el esquema en caché no se modifica)
     if (formType === 'create' && 
         (tableName === 'entidades_cooperativas' || tableName === 'entidades_mutuales')) {
-      schema.columns = schema.columns.filter(col => col.column_name !== 'entidad_id');
+      schema = { ...schema, columns: schema.columns.filter(col => col.column_name !== 'entidad_id') };
     }
     
     res.json({
@@ -1713,8 +2270,56 @@ app.get('/api/tables/:tableName/schema-filtered', auth.requireAuth, async (req,
   }
 });
 
+// Tabla principal, columna de matrícula y tablas relacionadas de cada tipo de entidad
+const ENTITY_TYPES = {
+  cooperativas: {
+    table: 'entidades_cooperativas',
+    matriculaColumn: 'Matricula',
+    relatedTables: ['consejo_cooperativas', 'asambleas_cooperativas', 'ejercicio_cooperativas']
+  },
+  mutuales: {
+    table: 'entidades_mutuales',
+    matriculaColumn: 'Matricula Nacional',
+    relatedTables: ['autoridades_mutuales', 'asambleas_mutuales', 'reglamentosservicio_mutuales']
+  }
+};
+
+const getEntityTypeTable = req => ENTITY_TYPES[req.params.entityType]?.table;
+
+// Middleware: el tipo de entidad de la ruta debe ser uno conocido
+function requireEntityType(req, res, next) {
+  if (!ENTITY_TYPES[req.params.entityType]) {
+    return res.status(404).json({
+      success: false,
+      message: `Tipo de entidad '${req.params.entityType}' no encontrado`
+    });
+  }
+  next();
+}
+
+// Middleware: permiso de lectura sobre las tablas relacionadas que consulta la ruta
+async function requireRelatedTablesRead(req, res, next) {
+  try {
+    for (const tableName of ENTITY_TYPES[req.params.entityType].relatedTables) {
+      if (!(await auth.hasTablePermission(req.user, tableName, 'read'))) {
+        return res.status(403).json({
+          success: false,
+          message: `No tiene permiso para 'read' sobre la tabla '${tableName}'.`
+        });
+      }
+    }
+    next();
+  } catch (error) {
+    console.error('Error verificando permisos de tablas relacionadas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+}
+
 // Endpoint para obtener cooperativas
-app.get('/api/entidades/cooperativas', auth.requireAuth, async (req, res) => {
+app.get('/api/entidades/cooperativas', auth.requireAuth, tableAccess('read', () => ENTITY_TYPES.cooperativas.table), async (req, res) => {
   try {
     const query = `
       SELECT "Matricula" as matricula, "Nombre de la Entidad" as nombre
@@ -1741,7 +2346,7 @@ app.get('/api/entidades/cooperativas', auth.requireAuth, async (req, res) => {
 });
 
 // Endpoint para obtener mutuales
-app.get('/api/entidades/mutuales', auth.requireAuth, async (req, res) => {
+app.get('/api/entidades/mutuales', auth.requireAuth, tableAccess('read', () => ENTITY_TYPES.mutuales.table), async (req, res) => {
   try {
     const query = `
       SELECT "Matricula Nacional" as matricula, "Entidad" as nombre
@@ -1769,7 +2374,7 @@ app.get('/api/entidades/mutuales', auth.requireAuth, async (req, res) => {
 
 // ENDPOINTS DINÁMICOS PARA OPERACIONES CRUD
 // CREATE - Crear nuevo registro con auditoría
-app.post('/api/tables/:tableName/create', auth.requireAuth, async (req, res) => {
+app.post('/api/tables/:tableName/create', auth.requireAuth, tableAccess('create'), async (req, res) => {
   try {
     const { tableName } = req.params;
     const data = req.body;
@@ -1777,7 +2382,6 @@ app.post('/api/tables/:tableName/create', auth.requireAuth, async (req, res) =>
     // Validar tabla
     await validateTableAccess(tableName);
     const tableSchema = await getTableSchema(tableName);
-    const primaryKey = tableSchema.primaryKey;
     
     logOperation('CREATE REQUEST', { tableName, data, user: req.user.email });
 
@@ -1799,12 +2403,21 @@ app.post('/api/tables/:tableName/create', auth.requireAuth, async (req, res) =>
         message: 'No hay datos válidos para insertar'
       });
     }
+
+    const validationErrors = validateColumnData(tableSchema, cleanData);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: validationErrors.join('. '),
+        errors: validationErrors
+      });
+    }
     
     const placeholders = values.map((_, index) => `$${index + 1}`);
     const quotedColumns = columns.map(col => `"${col}"`).join(', ');
     
     const insertQuery = `
-      INSERT INTO "${tableName}" (${quotedColumns})
+      INSERT INTO ${quoteTable(tableName)} (${quotedColumns})
       VALUES (${placeholders.join(', ')})
       RETURNING *
     `;
@@ -1823,7 +2436,7 @@ app.post('/api/tables/:tableName/create', auth.requireAuth, async (req, res) =>
       userName: req.user.nombre_apellido,
       action: 'CREATE',
       tableName: tableName,
-      recordId: newRecord[primaryKey],
+      recordId: getAuditRecordId(tableSchema, newRecord),
       oldValues: null,
       newValues: newRecord,
       ipAddress: requestInfo.ipAddress,
@@ -1836,7 +2449,7 @@ app.post('/api/tables/:tableName/create', auth.requireAuth, async (req, res) =>
     res.json({
       success: true,
       message: 'Registro creado exitosamente',
-      primaryKey: newRecord[primaryKey],
+      primaryKey: getRecordKey(tableSchema, newRecord),
       data: newRecord
     });
   } catch (error) {
@@ -1850,14 +2463,13 @@ app.post('/api/tables/:tableName/create', auth.requireAuth, async (req, res) =>
 });
 
 // Endpoint para descargar datos como CSV - CORREGIDO
-app.get('/api/tables/:tableName/download-csv', auth.requireAuth, async (req, res) => {
+app.get('/api/tables/:tableName/download-csv', auth.requireAuth, tableAccess('export'), async (req, res) => {
   try {
     const { tableName } = req.params;
     const { searchText, searchField } = req.query;
     
     await validateTableAccess(tableName);
     const tableSchema = await getTableSchema(tableName);
-    const primaryKey = tableSchema.primaryKey;
     
     logOperation('CSV DOWNLOAD REQUEST', { tableName, searchText, searchField });
 
@@ -1865,7 +2477,7 @@ app.get('/api/tables/:tableName/download-csv', auth.requireAuth, async (req, res
     let joinClause = '';
     let entidadNombreField = '';
     let entidadLocalidadField = '';
-    let selectFields = `"${tableName}".*`;
+    let selectFields = `${quoteTable(tableName)}.*`;
 
     // SOLO aplicar JOIN si NO es tabla de entidades principales
     const isEntidadPrincipal = tableName === 'entidades_cooperativas' || tableName === 'entidades_mutuales';
@@ -1875,12 +2487,12 @@ app.get('/api/tables/:tableName/download-csv', auth.requireAuth, async (req, res
       const hasMatriculaNacional = tableSchema.columns.some(col => col.column_name === 'Matricula Nacional');
       
       if (hasMatricula) {
-          joinClause = `JOIN "entidades_cooperativas" e ON "${tableName}"."Matricula" = e."Matricula"`;
+          joinClause = `JOIN "entidades_cooperativas" e ON ${quoteTable(tableName)}."Matricula" = e."Matricula"`;
           entidadNombreField = `e."Nombre de la Entidad" AS entidad_nombre`;
           entidadLocalidadField = `e."Localidad" AS entidad_localidad`;
           selectFields += `, ${entidadNombreField}, ${entidadLocalidadField}`;
       } else if (hasMatriculaNacional) {
-          joinClause = `JOIN "entidades_mutuales" e ON "${tableName}"."Matricula Nacional" = e."Matricula Nacional"`;
+          joinClause = `JOIN "entidades_mutuales" e ON ${quoteTable(tableName)}."Matricula Nacional" = e."Matricula Nacional"`;
           entidadNombreField = `e."Entidad" AS entidad_nombre`;
           entidadLocalidadField = `e."Localidad" AS entidad_localidad`;
           selectFields += `, ${entidadNombreField}, ${entidadLocalidadField}`;
@@ -1892,9 +2504,9 @@ app.get('/api/tables/:tableName/download-csv', auth.requireAuth, async (req, res
     let queryParams = [];
 
     if (joinClause && !isEntidadPrincipal) {
-        query = `SELECT ${selectFields} FROM "${tableName}" ${joinClause}`;
+        query = `SELECT ${selectFields} FROM ${quoteTable(tableName)} ${joinClause}`;
     } else {
-        query = `SELECT * FROM "${tableName}"`;
+        query = `SELECT * FROM ${quoteTable(tableName)}`;
     }
 
     // Aplicar filtros de búsqueda si existen
@@ -1908,7 +2520,7 @@ app.get('/api/tables/:tableName/download-csv', auth.requireAuth, async (req, res
         }
     }
 
-    query += ` ORDER BY "${primaryKey}" ASC`;
+    query += ` ORDER BY ${buildPrimaryKeyOrder(tableSchema, tableName)}`;
     
     console.log(`📋 CSV Query: ${query}`);
 
@@ -2039,8 +2651,8 @@ function generateCSV(data, tableName, tableSchema) {
   return csvLines.join('\n');
 }
 
-// READ - Leer todos los registros
-app.get('/api/tables/:tableName/read', auth.requireAuth, async (req, res) => {
+// READ - Leer registros (paginados si se pide page/pageSize)
+app.get('/api/tables/:tableName/read', auth.requireAuth, tableAccess('read'), async (req, res) => {
   try {
     const { tableName } = req.params;
     
@@ -2054,62 +2666,27 @@ app.get('/api/tables/:tableName/read', auth.requireAuth, async (req, res) => {
     if (!primaryKey) {
       throw new Error(`No se pudo determinar el primary key para la tabla ${tableName}`);
     }
-    
-    logOperation('READ REQUEST', { tableName, primaryKey });
-
-    // --- LÓGICA DE JOIN PARA FK CORREGIDA ---
-    let joinClause = '';
-    let entidadNombreField = '';
-    let entidadLocalidadField = '';
-    let selectFields = `"${tableName}".*`;
-
-    // SOLO aplicar JOIN si NO es tabla de entidades principales
-    const isEntidadPrincipal = tableName === 'entidades_cooperativas' || tableName === 'entidades_mutuales';
-    
-    if (!isEntidadPrincipal) {
-      // Detectar FK a entidades solo en tablas que NO son las principales
-      const hasMatricula = tableSchema.columns.some(col => col.column_name === 'Matricula');
-      const hasMatriculaNacional = tableSchema.columns.some(col => col.column_name === 'Matricula Nacional');
-      
-      if (hasMatricula) {
-        joinClause = `JOIN "entidades_cooperativas" e ON "${tableName}"."Matricula" = e."Matricula"`;
-        entidadNombreField = `e."Nombre de la Entidad" AS entidad_nombre`;
-        entidadLocalidadField = `e."Localidad" AS entidad_localidad`;
-        selectFields += `, ${entidadNombreField}, ${entidadLocalidadField}`;
-      } else if (hasMatriculaNacional) {
-        joinClause = `JOIN "entidades_mutuales" e ON "${tableName}"."Matricula Nacional" = e."Matricula Nacional"`;
-        entidadNombreField = `e."Entidad" AS entidad_nombre`;
-        entidadLocalidadField = `e."Localidad" AS entidad_localidad`;
-        selectFields += `, ${entidadNombreField}, ${entidadLocalidadField}`;
-      }
-    }
-    // --- FIN LÓGICA DE JOIN PARA FK CORREGIDA ---
 
-    // Construir la query dinámica
-    let query;
-    if (joinClause && !isEntidadPrincipal) {
-      query = `SELECT ${selectFields} FROM "${tableName}" ${joinClause} ORDER BY "${primaryKey}" ASC`;
-    } else {
-      query = `SELECT * FROM "${tableName}" ORDER BY "${primaryKey}" ASC`;
+    const listOptions = parseListOptions(tableSchema, req.query);
+    if (listOptions.error) {
+      return res.status(400).json({
+        success: false,
+        message: listOptions.error
+      });
     }
-    console.log(`📋 Query SQL: ${query}`);
     
-    const result = await pool.query(query);
+    logOperation('READ REQUEST', { tableName, primaryKey, ...listOptions });
 
-    // Mapear datos para mantener compatibilidad con el frontend
-    const mappedData = result.rows.map((record, index) => ({
-      _primaryKey: record[primaryKey],
-      ...record,
-      _rowIndex: index + 1
-    }));
+    const listResult = await queryTableRows(tableName, tableSchema, {}, listOptions);
+    const response = formatListResponse(tableSchema, listResult, listOptions);
 
-    logOperation('READ SUCCESS', `${mappedData.length} registros encontrados`);
+    logOperation('READ SUCCESS', `${response.data.length} de ${response.total} registros`);
 
     res.json({
       success: true,
-      data: mappedData,
-      total: mappedData.length,
+      ...response,
       primaryKey: primaryKey,
+      primaryKeys: tableSchema.primaryKeys,
       tableName: tableName
     });
   } catch (error) {
@@ -2123,7 +2700,7 @@ app.get('/api/tables/:tableName/read', auth.requireAuth, async (req, res) => {
 });
 
 // SEARCH - Búsqueda simple usando la función auxiliar mejorada
-app.get('/api/tables/:tableName/search', auth.requireAuth, async (req, res) => {
+app.get('/api/tables/:tableName/search', auth.requireAuth, tableAccess('read'), async (req, res) => {
     try {
         const { tableName } = req.params;
         const { searchText, searchField, dateFrom, dateTo, searchType } = req.query; // ✅ Agregar dateFrom, dateTo, searchType
@@ -2131,165 +2708,88 @@ app.get('/api/tables/:tableName/search', auth.requireAuth, async (req, res) => {
         await validateTableAccess(tableName);
         const tableSchema = await getTableSchema(tableName);
         const primaryKey = tableSchema.primaryKey;
-        
-        logOperation('SEARCH REQUEST', { tableName, searchText, searchField, dateFrom, dateTo, searchType });
-
-        // --- LÓGICA DE JOIN PARA FK CORREGIDA ---
-        let joinClause = '';
-        let entidadNombreField = '';
-        let entidadLocalidadField = '';
-        let selectFields = `"${tableName}".*`;
 
-        // SOLO aplicar JOIN si NO es tabla de entidades principales
-        const isEntidadPrincipal = tableName === 'entidades_cooperativas' || tableName === 'entidades_mutuales';
-        
-        // Detectar si hay matrícula para JOIN
-        let hasMatriculaField = false;
+        const listOptions = parseListOptions(tableSchema, req.query);
+        if (listOptions.error) {
+            return res.status(400).json({
+                success: false,
+                message: listOptions.error
+            });
+        }
         
-        if (!isEntidadPrincipal) {
-          // Detectar FK a entidades solo en tablas que NO son las principales
-          const hasMatricula = tableSchema.columns.some(col => col.column_name === 'Matricula');
-          const hasMatriculaNacional = tableSchema.columns.some(col => col.column_name === 'Matricula Nacional');
-          
-          hasMatriculaField = hasMatricula || hasMatriculaNacional;
-          
-          if (hasMatricula) {
-              joinClause = `JOIN "entidades_cooperativas" e ON "${tableName}"."Matricula" = e."Matricula"`;
-              entidadNombreField = `e."Nombre de la Entidad" AS entidad_nombre`;
-              entidadLocalidadField = `e."Localidad" AS entidad_localidad`;
-              selectFields += `, ${entidadNombreField}, ${entidadLocalidadField}`;
-          } else if (hasMatriculaNacional) {
-              joinClause = `JOIN "entidades_mutuales" e ON "${tableName}"."Matricula Nacional" = e."Matricula Nacional"`;
-              entidadNombreField = `e."Entidad" AS entidad_nombre`;
-              entidadLocalidadField = `e."Localidad" AS entidad_localidad`;
-              selectFields += `, ${entidadNombreField}, ${entidadLocalidadField}`;
-          }
+        logOperation('SEARCH REQUEST', { tableName, searchText, searchField, dateFrom, dateTo, searchType, ...listOptions });
+
+        const fieldInfo = searchField ? tableSchema.columns.find(col => col.column_name === searchField) : null;
+        if (searchField && !fieldInfo) {
+            return res.status(400).json({
+                success: false,
+                message: `El campo '${searchField}' no existe en la tabla`
+            });
         }
-        // --- FIN LÓGICA DE JOIN PARA FK CORREGIDA ---
 
-        // ✅ NUEVA LÓGICA: BÚSQUEDA POR RANGO DE FECHAS
+        // ✅ BÚSQUEDA POR RANGO DE FECHAS
         if (searchType === 'date-range' && (dateFrom || dateTo)) {
-            const fieldInfo = tableSchema.columns.find(col => col.column_name === searchField);
-            
             if (!fieldInfo) {
                 return res.status(400).json({
                     success: false,
-                    message: `El campo '${searchField}' no existe en la tabla`
+                    message: 'searchField es requerido para buscar por rango de fechas'
                 });
             }
             
-            const qualifiedField = `"${tableName}"."${searchField}"`;
+            const qualifiedField = `${quoteTable(tableName)}.${escapeIdentifier(searchField)}`;
             
             let conditions = [];
             let params = [];
-            let paramIndex = 1;
             
             if (dateFrom) {
-                conditions.push(`${qualifiedField}::date >= $${paramIndex}::date`);
                 params.push(dateFrom);
-                paramIndex++;
+                conditions.push(`${qualifiedField}::date >= $${params.length}::date`);
             }
             
             if (dateTo) {
-                conditions.push(`${qualifiedField}::date <= $${paramIndex}::date`);
                 params.push(dateTo);
-                paramIndex++;
-            }
-            
-            const whereClause = conditions.join(' AND ');
-            
-            let searchQuery;
-            if (hasMatriculaField && !isEntidadPrincipal) {
-                // Con JOIN
-                searchQuery = `
-                    SELECT ${selectFields}
-                    FROM "${tableName}" ${joinClause}
-                    WHERE ${whereClause}
-                    ORDER BY "${tableName}"."${primaryKey}" ASC
-                `;
-            } else {
-                // Sin JOIN
-                searchQuery = `
-                    SELECT * FROM "${tableName}"
-                    WHERE ${whereClause}
-                    ORDER BY "${primaryKey}" ASC
-                `;
+                conditions.push(`${qualifiedField}::date <= $${params.length}::date`);
             }
             
             console.log('📅 Búsqueda por rango de fechas:', { dateFrom, dateTo });
-            console.log('📋 Query:', searchQuery);
-            console.log('📋 Params:', params);
             
-            const result = await pool.query(searchQuery, params);
+            const listResult = await queryTableRows(tableName, tableSchema, { where: conditions.join(' AND '), params }, listOptions);
+            const response = formatListResponse(tableSchema, listResult, listOptions);
             
-            const mappedData = result.rows.map((record, index) => ({
-                _primaryKey: record[primaryKey],
-                ...record,
-                _rowIndex: index + 1
-            }));
-            
-            logOperation('SEARCH SUCCESS (DATE RANGE)', `${mappedData.length} registros encontrados`);
+            logOperation('SEARCH SUCCESS (DATE RANGE)', `${response.data.length} de ${response.total} registros`);
             
             return res.json({
                 success: true,
-                data: mappedData,
-                total: mappedData.length,
+                ...response,
                 searchField: searchField,
                 dateFrom: dateFrom || null,
                 dateTo: dateTo || null,
                 primaryKey: primaryKey,
+                primaryKeys: tableSchema.primaryKeys,
                 availableFields: tableSchema.columns.map(col => col.column_name)
             });
         }
 
         // ✅ BÚSQUEDA NORMAL (TEXTO/NÚMERO)
-        let query;
-        let queryParams = [];
-
-        if (joinClause && !isEntidadPrincipal) {
-            query = `SELECT ${selectFields} FROM "${tableName}" ${joinClause}`;
-        } else {
-            query = `SELECT * FROM "${tableName}"`;
-        }
-
-        if (searchText && searchField) {
-            const fieldInfo = tableSchema.columns.find(col => col.column_name === searchField);
-            
-            if (!fieldInfo) {
-                return res.status(400).json({
-                    success: false,
-                    message: `El campo '${searchField}' no existe en la tabla`
-                });
-            }
-
-            // ✅ CAMBIO AQUÍ: Pasar tableName como cuarto parámetro
+        const filter = {};
+        if (searchText && fieldInfo) {
             const searchCondition = buildSearchCondition(searchField, searchText, fieldInfo.data_type, tableName);
-            query += ` WHERE ${searchCondition.condition}`;
-            queryParams.push(searchCondition.value);
+            filter.where = searchCondition.condition;
+            filter.params = [searchCondition.value];
         }
 
-        query += ` ORDER BY "${tableName}"."${primaryKey}" ASC`;
-        
-        console.log(`📋 Query final: ${query}`);
-        console.log(`📋 Parámetros: ${JSON.stringify(queryParams)}`);
-
-        const result = await pool.query(query, queryParams);
-
-        const mappedData = result.rows.map((record, index) => ({
-            _primaryKey: record[primaryKey],
-            ...record,
-            _rowIndex: index + 1
-        }));
+        const listResult = await queryTableRows(tableName, tableSchema, filter, listOptions);
+        const response = formatListResponse(tableSchema, listResult, listOptions);
 
-        logOperation('SEARCH SUCCESS', `${mappedData.length} registros encontrados`);
+        logOperation('SEARCH SUCCESS', `${response.data.length} de ${response.total} registros`);
 
         res.json({
             success: true,
-            data: mappedData,
-            total: mappedData.length,
+            ...response,
             searchText: searchText || null,
             searchField: searchField || null,
             primaryKey: primaryKey,
+            primaryKeys: tableSchema.primaryKeys,
             availableFields: tableSchema.columns.map(col => col.column_name)
         });
     } catch (error) {
@@ -2302,7 +2802,7 @@ app.get('/api/tables/:tableName/search', auth.requireAuth, async (req, res) => {
     }
 });
 
-app.get('/api/tables/:tableName/fields', auth.requireAuth, async (req, res) => {
+app.get('/api/tables/:tableName/fields', auth.requireAuth, tableAccess('read'), async (req, res) => {
   try {
     const { tableName } = req.params;
     
@@ -2331,7 +2831,9 @@ app.get('/api/tables/:tableName/fields', auth.requireAuth, async (req, res) => {
 });
 
 // ========== BÚSQUEDA AVANZADA DE ENTIDADES ==========
-app.get('/api/entidades/:entityType/search-advanced', auth.requireAuth, async (req, res) => {
+// Tabla principal consultada por la búsqueda avanzada
+// Lee la tabla principal y sus tablas relacionadas (consejo, asambleas, ejercicio...)
+app.get('/api/entidades/:entityType/search-advanced', auth.requireAuth, requireEntityType, tableAccess('read', getEntityTypeTable), requireRelatedTablesRead, async (req, res) => {
     try {
         const { entityType } = req.params; // 'cooperativas' o 'mutuales'
         const { nombre, localidad, tipo } = req.query;
@@ -2517,7 +3019,7 @@ app.get('/api/entidades/:entityType/search-advanced', auth.requireAuth, async (r
                      WHERE ej."${matriculaField}" = e."${matriculaField}"
                      ORDER BY ej."cierre ejercicio" DESC 
                      LIMIT 1) as cantidad_asociados
-                FROM "${tableName}" e
+                FROM ${quoteTable(tableName)} e
                 ${whereClause}
                 ORDER BY e."${nombreField}" ASC
                 LIMIT 100
@@ -2548,7 +3050,7 @@ app.get('/api/entidades/:entityType/search-advanced', auth.requireAuth, async (r
 });
 
 // UPDATE - Actualizar registro con auditoría
-app.put('/api/tables/:tableName/update', auth.requireAuth, async (req, res) => {
+app.put('/api/tables/:tableName/update', auth.requireAuth, tableAccess('update'), async (req, res) => {
   try {
     const { tableName } = req.params;
     const { searchCriteria, updateData } = req.body;
@@ -2556,26 +3058,26 @@ app.put('/api/tables/:tableName/update', auth.requireAuth, async (req, res) => {
     // Validar tabla
     await validateTableAccess(tableName);
     const tableSchema = await getTableSchema(tableName);
-    const primaryKey = tableSchema.primaryKey;
     
     logOperation('UPDATE REQUEST', { tableName, searchCriteria, updateData, user: req.user.email });
     
-    if (!searchCriteria || !searchCriteria.field || searchCriteria.value === undefined) {
+    const criteria = resolveRecordCriteria(tableSchema, searchCriteria);
+    if (criteria.error) {
       return res.status(400).json({
         success: false,
-        message: 'Se requiere criterio de búsqueda válido'
+        message: criteria.error
       });
     }
 
     // OBTENER VALORES ANTERIORES PARA AUDITORÍA
-    const oldRecordQuery = `SELECT * FROM "${tableName}" WHERE "${searchCriteria.field}" = $1`;
-    const oldRecordResult = await pool.query(oldRecordQuery, [searchCriteria.value]);
+    const oldRecordQuery = `SELECT * FROM ${quoteTable(tableName)} WHERE ${buildCriteriaCondition(criteria)}`;
+    const oldRecordResult = await pool.query(oldRecordQuery, criteria.values);
     const oldRecord = oldRecordResult.rows[0];
 
     if (!oldRecord) {
       return res.status(404).json({
         success: false,
-        message: `Registro no encontrado con ${searchCriteria.field}=${searchCriteria.value}`
+        message: `Registro no encontrado con ${criteria.columns.map((column, index) => `${column}=${criteria.values[index]}`).join(', ')}`
       });
     }
 
@@ -2584,19 +3086,28 @@ app.put('/api/tables/:tableName/update', auth.requireAuth, async (req, res) => {
     delete cleanUpdateData._rowIndex;
     delete cleanUpdateData._primaryKey;
 
+    const validationErrors = validateColumnData(tableSchema, cleanUpdateData);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: validationErrors.join('. '),
+        errors: validationErrors
+      });
+    }
+
     // Construir query de actualización
     const updateColumns = Object.keys(cleanUpdateData);
     const updateValues = Object.values(cleanUpdateData);
     const setClause = updateColumns.map((col, index) => `"${col}" = $${index + 1}`).join(', ');
     
     const updateQuery = `
-      UPDATE "${tableName}" 
+      UPDATE ${quoteTable(tableName)} 
       SET ${setClause}
-      WHERE "${searchCriteria.field}" = $${updateValues.length + 1}
+      WHERE ${buildCriteriaCondition(criteria, updateValues.length + 1)}
       RETURNING *
     `;
 
-    const result = await pool.query(updateQuery, [...updateValues, searchCriteria.value]);
+    const result = await pool.query(updateQuery, [...updateValues, ...criteria.values]);
     const updatedRecord = result.rows[0];
 
     // REGISTRAR AUDITORÍA
@@ -2607,7 +3118,7 @@ app.put('/api/tables/:tableName/update', auth.requireAuth, async (req, res) => {
       userName: req.user.nombre_apellido,
       action: 'UPDATE',
       tableName: tableName,
-      recordId: updatedRecord[primaryKey],
+      recordId: getAuditRecordId(tableSchema, updatedRecord),
       oldValues: oldRecord,
       newValues: updatedRecord,
       ipAddress: requestInfo.ipAddress,
@@ -2622,7 +3133,7 @@ app.put('/api/tables/:tableName/update', auth.requireAuth, async (req, res) => {
       message: 'Registro actualizado correctamente',
       data: {
         ...updatedRecord,
-        _primaryKey: updatedRecord[primaryKey],
+        _primaryKey: getRecordKeyLabel(tableSchema, updatedRecord),
         _rowIndex: 1
       }
     });
@@ -2637,7 +3148,7 @@ app.put('/api/tables/:tableName/update', auth.requireAuth, async (req, res) => {
 });
 
 // DELETE - Eliminar registro con auditoría
-app.delete('/api/tables/:tableName/delete', auth.requireAuth, async (req, res) => {
+app.delete('/api/tables/:tableName/delete', auth.requireAuth, tableAccess('delete'), async (req, res) => {
   try {
     const { tableName } = req.params;
     const { searchCriteria } = req.body;
@@ -2645,36 +3156,37 @@ app.delete('/api/tables/:tableName/delete', auth.requireAuth, async (req, res) =
     // Validar tabla
     await validateTableAccess(tableName);
     const tableSchema = await getTableSchema(tableName);
-    const primaryKey = tableSchema.primaryKey;
     
     logOperation('DELETE REQUEST', { tableName, searchCriteria, user: req.user.email });
 
-    if (!searchCriteria || !searchCriteria.field || !searchCriteria.value) {
+    const criteria = resolveRecordCriteria(tableSchema, searchCriteria);
+    if (criteria.error) {
       return res.status(400).json({
         success: false,
-        message: 'Se requiere criterio de búsqueda válido para eliminar'
+        message: criteria.error
       });
     }
 
     // OBTENER REGISTRO ANTES DE ELIMINAR PARA AUDITORÍA
-    const selectQuery = `SELECT * FROM "${tableName}" WHERE "${searchCriteria.field}" = $1`;
-    const selectResult = await pool.query(selectQuery, [searchCriteria.value]);
+    const condition = buildCriteriaCondition(criteria);
+    const selectQuery = `SELECT * FROM ${quoteTable(tableName)} WHERE ${condition}`;
+    const selectResult = await pool.query(selectQuery, criteria.values);
     const recordToDelete = selectResult.rows[0];
 
     if (!recordToDelete) {
       return res.status(404).json({
         success: false,
-        message: `No se encontró un registro con ${searchCriteria.field}: ${searchCriteria.value}`,
+        message: `No se encontró un registro con ${criteria.columns.map((column, index) => `${column}: ${criteria.values[index]}`).join(', ')}`,
       });
     }
 
     const deleteQuery = `
-      DELETE FROM "${tableName}" 
-      WHERE "${searchCriteria.field}" = $1
+      DELETE FROM ${quoteTable(tableName)} 
+      WHERE ${condition}
       RETURNING *
     `;
 
-    const result = await pool.query(deleteQuery, [searchCriteria.value]);
+    const result = await pool.query(deleteQuery, criteria.values);
     const deletedRecord = result.rows[0];
 
     // REGISTRAR AUDITORÍA
@@ -2685,7 +3197,7 @@ app.delete('/api/tables/:tableName/delete', auth.requireAuth, async (req, res) =
       userName: req.user.nombre_apellido,
       action: 'DELETE',
       tableName: tableName,
-      recordId: deletedRecord[primaryKey],
+      recordId: getAuditRecordId(tableSchema, deletedRecord),
       oldValues: recordToDelete,
       newValues: null,
       ipAddress: requestInfo.ipAddress,
@@ -2710,76 +3222,868 @@ app.delete('/api/tables/:tableName/delete', auth.requireAuth, async (req, res) =
   }
 });
 
-// Endpoint para consultar logs de auditoría (solo admin)
-app.get('/api/admin/audit-logs', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+// ========== IMPORTACIÓN DESDE CSV / XLSX ==========
+
+const IMPORT_PREVIEW_ROWS = 10;
+
+// Valores permitidos del enum de una columna (o de su elemento si es array)
+function getColumnEnumValues(enums, column) {
+  if (column.data_type !== 'USER-DEFINED' && column.data_type !== 'ARRAY') return null;
+
+  let typeName = column.udt_name;
+  if (column.data_type === 'ARRAY') {
+    const { schema, name } = parseQualifiedName(column.udt_name);
+    typeName = qualifyName(schema, name.replace(/^_/, ''));
+  }
+  return enums[typeName] ? enums[typeName].values : null;
+}
+
+// Mensaje de error de la base para una fila del reporte
+function describeImportRowError(error) {
+  const messages = {
+    '23505': 'Ya existe un registro con esos datos',
+    '23503': 'Error de referencia: algunos datos relacionados no existen',
+    '23502': 'Falta un valor obligatorio',
+    '23514': 'No cumple una restricción de la tabla',
+    '22P02': 'Valor con formato inválido'
+  };
+  const message = messages[error.code] || error.message;
+  return error.detail ? `${message} (${error.detail})` : message;
+}
+
+// Importar registros desde un archivo. El archivo viaja en base64 en el JSON:
+//   { fileName, content, mapping?, mode: 'insert' | 'upsert', dryRun }
+// Cada fila se convierte y valida contra el esquema (tipos, enums, metadatos)
+// y se ejecuta en una única transacción, con un savepoint por fila para
+// reportar también los errores de la base (duplicados, foreign keys).
+// Con dryRun (por defecto) la transacción siempre se revierte; al confirmar
+// solo se aplica si ninguna fila tiene errores. En upsert las celdas vacías
+// no modifican el valor existente.
+app.post('/api/tables/:tableName/import', auth.requireAuth, tableAccess('create'), async (req, res) => {
+  const { tableName } = req.params;
+  const { fileName, content, mapping: requestedMapping, mode = 'insert' } = req.body;
+  const dryRun = req.body.dryRun !== false;
+
   try {
-    const { limit = 100, offset = 0, user_email, table_name, action, date_from, date_to } = req.query;
-    
-    let whereConditions = [];
-    let queryParams = [];
-    let paramIndex = 1;
+    await validateTableAccess(tableName);
+    const tableSchema = await getTableSchema(tableName);
 
-    if (user_email) {
-      whereConditions.push(`user_email = $${paramIndex}`);
-      queryParams.push(user_email);
-      paramIndex++;
+    if (!['insert', 'upsert'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: "El modo debe ser 'insert' o 'upsert'"
+      });
     }
 
-    if (table_name) {
-      whereConditions.push(`table_name = $${paramIndex}`);
-      queryParams.push(table_name);
-      paramIndex++;
+    if (mode === 'upsert') {
+      const registered = await getRegisteredTables();
+      if (!registered.get(tableName).includes('update')) {
+        return res.status(403).json({
+          success: false,
+          message: `La tabla '${tableName}' no permite la operación 'update'`
+        });
+      }
+      if (!(await auth.hasTablePermission(req.user, tableName, 'update'))) {
+        return res.status(403).json({
+          success: false,
+          message: `No tiene permiso para actualizar registros de '${tableName}'`
+        });
+      }
     }
 
-    if (action) {
-      whereConditions.push(`action = $${paramIndex}`);
-      queryParams.push(action.toUpperCase());
-      paramIndex++;
+    if (!fileName || !content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Se requiere el archivo (fileName y content en base64)'
+      });
     }
 
-    if (date_from) {
-      whereConditions.push(`timestamp >= $${paramIndex}`);
-      queryParams.push(date_from);
-      paramIndex++;
+    let parsed;
+    try {
+      parsed = await tableImport.parseFile(fileName, Buffer.from(content, 'base64'));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `No se pudo leer el archivo: ${error.message}`
+      });
     }
 
-    if (date_to) {
-      whereConditions.push(`timestamp <= $${paramIndex}`);
-      queryParams.push(date_to);
-      paramIndex++;
+    if (parsed.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'El archivo no tiene filas de datos'
+      });
     }
 
-    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+    if (parsed.rows.length > tableImport.MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `El archivo tiene ${parsed.rows.length} filas; el máximo es ${tableImport.MAX_IMPORT_ROWS}`
+      });
+    }
 
-    const query = `
-      SELECT 
-        id, user_email, user_name, action, table_name, record_id,
-        timestamp, ip_address,
-        CASE WHEN old_values IS NOT NULL THEN old_values::text ELSE NULL END as old_values,
-        CASE WHEN new_values IS NOT NULL THEN new_values::text ELSE NULL END as new_values
-      FROM audit_log 
-      ${whereClause}
-      ORDER BY timestamp DESC 
-      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
-    `;
+    const { mapping, unmapped, errors: mappingErrors } =
+      tableImport.buildColumnMapping(parsed.headers, tableSchema, requestedMapping);
+    const mappedColumns = Object.values(mapping);
 
-    queryParams.push(parseInt(limit), parseInt(offset));
+    const requiredColumns = tableImport.getRequiredColumns(tableSchema);
+    const missingRequired = requiredColumns
+      .filter(column => !mappedColumns.includes(column));
+    if (missingRequired.length > 0) {
+      mappingErrors.push(`Faltan columnas obligatorias: ${missingRequired.join(', ')}`);
+    }
 
-    const result = await pool.query(query, queryParams);
+    const updateColumns = mappedColumns.filter(column => !tableSchema.primaryKeys.includes(column));
+    if (mode === 'upsert') {
+      const missingKeys = tableSchema.primaryKeys.filter(column => !mappedColumns.includes(column));
+      if (missingKeys.length > 0) {
+        mappingErrors.push(`Para actualizar registros existentes el archivo debe incluir la clave primaria: ${missingKeys.join(', ')}`);
+      }
+      if (updateColumns.length === 0) {
+        mappingErrors.push('Para actualizar registros existentes el archivo debe incluir columnas además de la clave primaria');
+      }
+    }
 
-    res.json({
-      success: true,
-      data: result.rows,
-      total: result.rows.length,
-      limit: parseInt(limit),
-      offset: parseInt(offset)
+    if (mappingErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: mappingErrors.join('. '),
+        errors: mappingErrors,
+        headers: parsed.headers,
+        mapping,
+        unmappedHeaders: unmapped
+      });
+    }
+
+    logOperation('IMPORT REQUEST', { tableName, fileName, mode, dryRun, rows: parsed.rows.length, mapping, user: req.user.email });
+
+    // Conversión y validación de cada fila (sin base de datos)
+    const enums = await getUsedEnums();
+    const rows = parsed.rows.map(row => {
+      const { data, errors } = tableImport.convertRow(row, mapping, tableSchema, column => getColumnEnumValues(enums, column));
+
+      // null = celda vacía (las celdas con error de conversión no están en data)
+      requiredColumns.forEach(column => {
+        if (data[column] === null) {
+          const { ui } = tableSchema.columns.find(col => col.column_name === column);
+          errors.push(`${(ui && ui.label) || column}: es obligatorio`);
+        }
+      });
+
+      const values = Object.fromEntries(Object.entries(data).filter(([, value]) => value !== null));
+      errors.push(...validateColumnData(tableSchema, values));
+
+      return { rowNumber: row.rowNumber, values, errors };
     });
 
+    const hasValidationErrors = rows.some(row => row.errors.length > 0);
+    const applied = [];
+
+    // Al confirmar con errores de validación no hace falta ir a la base
+    if (dryRun || !hasValidationErrors) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const conflictTarget = tableSchema.primaryKeys.map(column => escapeIdentifier(column)).join(', ');
+
+        for (const row of rows) {
+          if (row.errors.length > 0) continue;
+
+          const columns = Object.keys(row.values);
+          const values = Object.values(row.values);
+          let query = `
+            INSERT INTO ${quoteTable(tableName)} (${columns.map(column => escapeIdentifier(column)).join(', ')})
+            VALUES (${values.map((_, index) => `$${index + 1}`).join(', ')})
+          `;
+          const rowUpdateColumns = updateColumns.filter(column => columns.includes(column));
+          if (mode === 'upsert' && rowUpdateColumns.length > 0) {
+            query += `
+              ON CONFLICT (${conflictTarget}) DO UPDATE
+              SET ${rowUpdateColumns.map(column => `${escapeIdentifier(column)} = EXCLUDED.${escapeIdentifier(column)}`).join(', ')}
+            `;
+          }
+          query += ' RETURNING *';
+
+          await client.query('SAVEPOINT import_row');
+          try {
+            let oldRecord = null;
+            if (mode === 'upsert') {
+              const criteria = { columns: tableSchema.primaryKeys, values: tableSchema.primaryKeys.map(column => row.values[column]) };
+              const existing = await client.query(
+                `SELECT * FROM ${quoteTable(tableName)} WHERE ${buildCriteriaCondition(criteria)} FOR UPDATE`,
+                criteria.values
+              );
+              oldRecord = existing.rows[0] || null;
+            }
+
+            // Registro existente sin columnas con valor para actualizar: no cambia nada
+            if (oldRecord && rowUpdateColumns.length === 0) {
+              await client.query('RELEASE SAVEPOINT import_row');
+              continue;
+            }
+
+            const result = await client.query(query, values);
+            await client.query('RELEASE SAVEPOINT import_row');
+            applied.push({ oldRecord, newRecord: result.rows[0] });
+          } catch (error) {
+            await client.query('ROLLBACK TO SAVEPOINT import_row');
+            row.errors.push(describeImportRowError(error));
+          }
+        }
+
+        const hasErrors = rows.some(row => row.errors.length > 0);
+        if (dryRun || hasErrors) {
+          await client.query('ROLLBACK');
+        } else {
+          // REGISTRAR AUDITORÍA: una entrada por fila importada, en la misma transacción
+          const requestInfo = getRequestInfo(req);
+          for (const { oldRecord, newRecord } of applied) {
+            await logAuditAction({
+              userEmail: req.user.email,
+              userId: req.user.id,
+              userName: req.user.nombre_apellido,
+              action: oldRecord ? 'UPDATE' : 'CREATE',
+              tableName: tableName,
+              recordId: getAuditRecordId(tableSchema, newRecord),
+              oldValues: oldRecord,
+              newValues: newRecord,
+              ipAddress: requestInfo.ipAddress,
+              userAgent: requestInfo.userAgent,
+              sessionInfo: requestInfo.sessionInfo
+            }, client);
+          }
+          await client.query('COMMIT');
+        }
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+
+    const invalidRows = rows.filter(row => row.errors.length > 0);
+    const committed = !dryRun && invalidRows.length === 0;
+    const inserted = applied.filter(item => !item.oldRecord).length;
+    const updated = applied.length - inserted;
+
+    if (committed) {
+      logOperation('IMPORT SUCCESS', { tableName, fileName, inserted, updated });
+    }
+
+    let message;
+    if (invalidRows.length > 0) {
+      message = `${invalidRows.length} de ${rows.length} filas tienen errores${dryRun ? '' : '; no se importó ningún registro'}`;
+    } else if (dryRun) {
+      message = `Las ${rows.length} filas son válidas: se crearían ${inserted} registros y se actualizarían ${updated}`;
+    } else {
+      message = `Importación completada: ${inserted} registros creados y ${updated} actualizados`;
+    }
+
+    res.status(dryRun || committed ? 200 : 400).json({
+      success: committed || (dryRun && invalidRows.length === 0),
+      message,
+      dryRun,
+      mode,
+      committed,
+      headers: parsed.headers,
+      mapping,
+      unmappedHeaders: unmapped,
+      totalRows: rows.length,
+      validRows: rows.length - invalidRows.length,
+      invalidRows: invalidRows.length,
+      inserted,
+      updated,
+      errors: invalidRows.map(row => ({ row: row.rowNumber, errors: row.errors })),
+      preview: rows.slice(0, IMPORT_PREVIEW_ROWS).map(row => ({ row: row.rowNumber, values: row.values }))
+    });
   } catch (error) {
-    console.error('Error obteniendo logs de auditoría:', error);
-    res.status(500).json({
+    console.error('❌ Error inesperado en IMPORT:', error);
+    const errorInfo = handlePostgresError(error, 'importación de registros');
+    res.status(errorInfo.status).json({
       success: false,
-      message: 'Error interno del servidor'
+      message: errorInfo.message
+    });
+  }
+});
+
+// ========== OPERACIONES MASIVAS POR FILTRO ==========
+
+// Actualizar o eliminar todos los registros que cumplen un filtro, en dos pasos:
+//   1. Sin confirmationToken: devuelve los registros afectados y un token.
+//   2. Con el confirmationToken: aplica la operación del token en una transacción
+//      y audita cada registro. Si los registros afectados cambiaron desde la
+//      previsualización responde 409 y hay que volver a previsualizar.
+// El filtro es una lista de condiciones que se combinan con AND:
+//   [{ field, operator, value }]  operator: eq, neq, in, contains, gt, gte, lt, lte, is_null, not_null
+const MAX_BULK_ROWS = 1000;
+const BULK_PREVIEW_ROWS = 50;
+const BULK_FILTER_OPERATORS = {
+  eq: (column, param) => `${column} = ${param}`,
+  neq: (column, param) => `${column} IS DISTINCT FROM ${param}`,
+  in: (column, param) => `${column} = ANY(${param})`,
+  contains: (column, param) => `CAST(${column} AS TEXT) ILIKE ${param}`,
+  gt: (column, param) => `${column} > ${param}`,
+  gte: (column, param) => `${column} >= ${param}`,
+  lt: (column, param) => `${column} < ${param}`,
+  lte: (column, param) => `${column} <= ${param}`,
+  is_null: column => `${column} IS NULL`,
+  not_null: column => `${column} IS NOT NULL`
+};
+
+// Interpretar el filtro. Devuelve { where, params, conditions } o { error }.
+function parseBulkFilter(tableSchema, filter) {
+  if (!Array.isArray(filter) || filter.length === 0) {
+    return { error: 'Se requiere un filtro con al menos una condición' };
+  }
+
+  const conditions = [];
+  const params = [];
+
+  for (const condition of filter) {
+    const { field, operator = 'eq', value } = condition || {};
+
+    if (!tableSchema.columns.some(col => col.column_name === field)) {
+      return { error: `La columna '${field}' no existe` };
+    }
+
+    if (!Object.hasOwn(BULK_FILTER_OPERATORS, operator)) {
+      return { error: `Operador '${operator}' no soportado (${Object.keys(BULK_FILTER_OPERATORS).join(', ')})` };
+    }
+
+    const buildCondition = BULK_FILTER_OPERATORS[operator];
+    const column = escapeIdentifier(field);
+    if (operator === 'is_null' || operator === 'not_null') {
+      conditions.push(buildCondition(column));
+      continue;
+    }
+
+    if (value === undefined || value === null || value === '') {
+      return { error: `La condición sobre '${field}' requiere un valor` };
+    }
+    if (operator === 'in' && (!Array.isArray(value) || value.length === 0)) {
+      return { error: `El operador 'in' sobre '${field}' requiere una lista de valores` };
+    }
+
+    params.push(operator === 'contains' ? `%${String(value).replace(/[\\%_]/g, '\\$&')}%` : value);
+    conditions.push(buildCondition(column, `$${params.length}`));
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
+// Registros que cumplen el filtro, ordenados por la clave primaria
+async function loadBulkTargets(db, tableName, tableSchema, filter, lock = false) {
+  const result = await db.query(`
+    SELECT * FROM ${quoteTable(tableName)}
+    WHERE ${filter.where}
+    ORDER BY ${buildPrimaryKeyOrder(tableSchema, tableName)}
+    LIMIT ${MAX_BULK_ROWS + 1}
+    ${lock ? 'FOR UPDATE' : ''}
+  `, filter.params);
+  return result.rows;
+}
+
+// Huella de los registros afectados: detecta altas, bajas o cambios entre
+// la previsualización y la confirmación
+function fingerprintRecords(records) {
+  return crypto.createHash('sha256').update(JSON.stringify(records)).digest('hex');
+}
+
+// Paso común de las rutas masivas: previsualizar o aplicar.
+// `prepare(tableSchema, body)` valida lo propio de la operación y devuelve
+// { operation } o { error }; `apply(client, context)` la ejecuta dentro de la
+// transacción y devuelve [{ oldRecord, newRecord }] para la auditoría.
+async function handleBulkOperation(req, res, { type, auditAction, prepare, apply, describe }) {
+  const { tableName } = req.params;
+  const { confirmationToken } = req.body;
+
+  try {
+    await validateTableAccess(tableName);
+    const tableSchema = await getTableSchema(tableName);
+
+    let operation;
+    if (confirmationToken) {
+      operation = auth.verifyConfirmationToken(confirmationToken, req.user);
+      if (!operation || operation.type !== type || operation.tableName !== tableName) {
+        return res.status(400).json({
+          success: false,
+          message: 'El token de confirmación es inválido o venció: vuelva a previsualizar la operación'
+        });
+      }
+    } else {
+      const prepared = prepare(tableSchema, req.body);
+      if (prepared.error) {
+        return res.status(400).json({ success: false, message: prepared.error, errors: prepared.errors });
+      }
+      operation = { type, tableName, ...prepared.operation };
+    }
+
+    const filter = parseBulkFilter(tableSchema, operation.filter);
+    if (filter.error) {
+      return res.status(400).json({ success: false, message: filter.error });
+    }
+
+    // PASO 1: previsualización
+    if (!confirmationToken) {
+      const records = await loadBulkTargets(pool, tableName, tableSchema, filter);
+      if (records.length > MAX_BULK_ROWS) {
+        return res.status(400).json({
+          success: false,
+          message: `El filtro afecta a más de ${MAX_BULK_ROWS} registros: restrinja el filtro`
+        });
+      }
+
+      logOperation(`BULK ${type.toUpperCase()} PREVIEW`, { tableName, operation, total: records.length, user: req.user.email });
+
+      res.json({
+        success: true,
+        message: records.length === 0
+          ? 'Ningún registro cumple el filtro'
+          : `${records.length} registros serán ${describe}s. Confirme con el token para aplicar los cambios.`,
+        total: records.length,
+        filter: operation.filter,
+        ...(operation.patch ? { patch: operation.patch } : {}),
+        data: records.slice(0, BULK_PREVIEW_ROWS).map(record => ({
+          ...record,
+          _primaryKey: getRecordKeyLabel(tableSchema, record)
+        })),
+        confirmationToken: records.length > 0
+          ? auth.signConfirmationToken(req.user, { ...operation, fingerprint: fingerprintRecords(records) })
+          : null,
+        expiresIn: auth.CONFIRMATION_TOKEN_TTL
+      });
+      return;
+    }
+
+    // PASO 2: aplicar lo previsualizado
+    const client = await pool.connect();
+    let changes;
+    try {
+      await client.query('BEGIN');
+
+      const records = await loadBulkTargets(client, tableName, tableSchema, filter, true);
+      if (fingerprintRecords(records) !== operation.fingerprint) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: 'Los registros afectados cambiaron desde la previsualización: vuelva a previsualizar la operación'
+        });
+      }
+
+      changes = await apply(client, { tableName, tableSchema, operation, filter, records });
+
+      // REGISTRAR AUDITORÍA: una entrada por registro, en la misma transacción
+      const requestInfo = getRequestInfo(req);
+      for (const { oldRecord, newRecord } of changes) {
+        await logAuditAction({
+          userEmail: req.user.email,
+          userId: req.user.id,
+          userName: req.user.nombre_apellido,
+          action: auditAction,
+          tableName: tableName,
+          recordId: getAuditRecordId(tableSchema, newRecord || oldRecord),
+          oldValues: oldRecord,
+          newValues: newRecord,
+          ipAddress: requestInfo.ipAddress,
+          userAgent: requestInfo.userAgent,
+          sessionInfo: requestInfo.sessionInfo
+        }, client);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    logOperation(`BULK ${type.toUpperCase()} SUCCESS`, { tableName, total: changes.length });
+
+    res.json({
+      success: true,
+      message: `${changes.length} registros ${describe}s`,
+      total: changes.length,
+      keys: changes.map(({ oldRecord, newRecord }) => getRecordKey(tableSchema, newRecord || oldRecord))
+    });
+  } catch (error) {
+    console.error(`❌ Error inesperado en BULK ${type.toUpperCase()}:`, error);
+    const errorInfo = handlePostgresError(error, `${type === 'update' ? 'actualización' : 'eliminación'} masiva`);
+    res.status(errorInfo.status).json({
+      success: false,
+      message: errorInfo.message
+    });
+  }
+}
+
+// Actualización masiva: { filter, patch: { columna: valor } } o { confirmationToken }
+app.put('/api/tables/:tableName/bulk-update', auth.requireAuth, tableAccess('update'), (req, res) =>
+  handleBulkOperation(req, res, {
+    type: 'update',
+    auditAction: 'UPDATE',
+    describe: 'actualizado',
+    prepare: (tableSchema, { filter, patch }) => {
+      if (!patch || typeof patch !== 'object' || Array.isArray(patch) || Object.keys(patch).length === 0) {
+        return { error: 'Se requieren los valores a modificar (patch)' };
+      }
+
+      const keyColumns = Object.keys(patch).filter(column => tableSchema.primaryKeys.includes(column));
+      if (keyColumns.length > 0) {
+        return { error: `La clave primaria no se puede modificar en una actualización masiva: ${keyColumns.join(', ')}` };
+      }
+
+      const errors = validateColumnData(tableSchema, patch);
+      if (errors.length > 0) {
+        return { error: errors.join('. '), errors };
+      }
+
+      return { operation: { filter, patch } };
+    },
+    apply: async (client, { tableName, tableSchema, operation, filter, records }) => {
+      const columns = Object.keys(operation.patch);
+      const values = Object.values(operation.patch);
+      const setClause = columns
+        .map((column, index) => `${escapeIdentifier(column)} = $${filter.params.length + index + 1}`)
+        .join(', ');
+
+      const result = await client.query(`
+        UPDATE ${quoteTable(tableName)}
+        SET ${setClause}
+        WHERE ${filter.where}
+        RETURNING *
+      `, [...filter.params, ...values]);
+
+      // Emparejar cada registro actualizado con su versión anterior
+      const oldRecords = new Map(records.map(record => [getAuditRecordId(tableSchema, record), record]));
+      return result.rows.map(record => ({
+        oldRecord: oldRecords.get(getAuditRecordId(tableSchema, record)) || null,
+        newRecord: record
+      }));
+    }
+  })
+);
+
+// Eliminación masiva: { filter } o { confirmationToken }
+app.delete('/api/tables/:tableName/bulk-delete', auth.requireAuth, tableAccess('delete'), (req, res) =>
+  handleBulkOperation(req, res, {
+    type: 'delete',
+    auditAction: 'DELETE',
+    describe: 'eliminado',
+    prepare: (tableSchema, { filter }) => ({ operation: { filter } }),
+    apply: async (client, { tableName, filter }) => {
+      const result = await client.query(`
+        DELETE FROM ${quoteTable(tableName)}
+        WHERE ${filter.where}
+        RETURNING *
+      `, filter.params);
+
+      return result.rows.map(record => ({ oldRecord: record, newRecord: null }));
+    }
+  })
+);
+
+// ========== ALTA DE ENTIDADES CON REGISTROS RELACIONADOS ==========
+
+// Quitar campos vacíos e internos, como en el alta individual
+function cleanRecordData(data) {
+  const cleanData = {};
+  Object.keys(data).forEach(key => {
+    if (key === '_rowIndex' || key === '_primaryKey') return;
+    if (data[key] !== undefined && data[key] !== null && data[key] !== '') {
+      cleanData[key] = data[key];
+    }
+  });
+  return cleanData;
+}
+
+async function insertRecord(db, tableName, data) {
+  const columns = Object.keys(data);
+  const values = Object.values(data);
+  const result = await db.query(`
+    INSERT INTO ${quoteTable(tableName)} (${columns.map(column => escapeIdentifier(column)).join(', ')})
+    VALUES (${values.map((_, index) => `$${index + 1}`).join(', ')})
+    RETURNING *
+  `, values);
+  return result.rows[0];
+}
+
+// Crear una entidad junto con sus registros relacionados en una sola transacción:
+//   { entity: { ... }, related: { consejo_cooperativas: [{ ... }], ... } }
+// La matrícula de los registros relacionados se completa con la de la entidad.
+// Si cualquier alta falla no se guarda nada. Todas las entradas de auditoría
+// comparten un correlation_id.
+app.post('/api/entidades/:entityType/create-with-related', auth.requireAuth, requireEntityType, tableAccess('create', getEntityTypeTable), async (req, res) => {
+  const entityType = ENTITY_TYPES[req.params.entityType];
+  const { entity } = req.body;
+  // related: null equivale a no enviarlo
+  const related = req.body.related ?? {};
+  let failedAt = null;
+
+  try {
+    await validateTableAccess(entityType.table);
+    const entitySchema = await getTableSchema(entityType.table);
+
+    if (!entity || typeof entity !== 'object' || Array.isArray(entity)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Se requieren los datos de la entidad (entity)'
+      });
+    }
+    if (typeof related !== 'object' || Array.isArray(related)) {
+      return res.status(400).json({
+        success: false,
+        message: 'related debe ser un objeto { tabla: [registros] }'
+      });
+    }
+
+    const entityData = cleanRecordData(entity);
+    if (Object.keys(entityData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No hay datos válidos para insertar'
+      });
+    }
+
+    const errors = validateColumnData(entitySchema, entityData).map(error => `${entityType.table}: ${error}`);
+
+    // Validar cada tabla relacionada y los permisos del usuario sobre ella
+    const registered = await getRegisteredTables();
+    const relatedRecords = [];
+    for (const [tableName, records] of Object.entries(related)) {
+      if (!entityType.relatedTables.includes(tableName)) {
+        errors.push(`'${tableName}' no es una tabla relacionada (${entityType.relatedTables.join(', ')})`);
+        continue;
+      }
+      if (!Array.isArray(records)) {
+        errors.push(`${tableName}: se espera una lista de registros`);
+        continue;
+      }
+      if (records.length === 0) continue;
+
+      if (!registered.has(tableName) || !registered.get(tableName).includes('create')) {
+        return res.status(403).json({
+          success: false,
+          message: `La tabla '${tableName}' no permite la operación 'create'`
+        });
+      }
+      if (!(await auth.hasTablePermission(req.user, tableName, 'create'))) {
+        return res.status(403).json({
+          success: false,
+          message: `No tiene permiso para 'create' sobre la tabla '${tableName}'.`
+        });
+      }
+
+      await validateTableAccess(tableName);
+      const tableSchema = await getTableSchema(tableName);
+      if (!tableSchema.columns.some(col => col.column_name === entityType.matriculaColumn)) {
+        errors.push(`${tableName}: no tiene la columna '${entityType.matriculaColumn}'`);
+        continue;
+      }
+
+      records.forEach((record, index) => {
+        const location = `${tableName}[${index}]`;
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+          errors.push(`${location}: se espera un objeto`);
+          return;
+        }
+
+        // La matrícula la pone el servidor: no se valida contra los metadatos
+        const data = cleanRecordData(record);
+        const { [entityType.matriculaColumn]: matricula, ...fields } = data;
+        validateColumnData(tableSchema, fields).forEach(error => errors.push(`${location}: ${error}`));
+        relatedRecords.push({ tableName, tableSchema, location, data: fields, matricula });
+      });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. '),
+        errors
+      });
+    }
+
+    logOperation('CREATE WITH RELATED REQUEST', {
+      entityType: req.params.entityType,
+      entity: entityData,
+      related: Object.fromEntries(Object.entries(related).map(([tableName, records]) => [tableName, records.length])),
+      user: req.user.email
+    });
+
+    const client = await pool.connect();
+    const correlationId = crypto.randomUUID();
+    let newEntity;
+    let auditEntries;
+    const newRecords = [];
+    try {
+      await client.query('BEGIN');
+
+      failedAt = entityType.table;
+      newEntity = await insertRecord(client, entityType.table, entityData);
+      const matricula = newEntity[entityType.matriculaColumn];
+
+      for (const record of relatedRecords) {
+        failedAt = record.location;
+
+        if (record.matricula !== undefined && String(record.matricula) !== String(matricula)) {
+          const error = new Error(`${record.location}: la matrícula ${record.matricula} no coincide con la de la entidad (${matricula})`);
+          error.status = 400;
+          throw error;
+        }
+
+        const newRecord = await insertRecord(client, record.tableName, {
+          ...record.data,
+          [entityType.matriculaColumn]: matricula
+        });
+        newRecords.push({ ...record, newRecord });
+      }
+
+      // REGISTRAR AUDITORÍA: una entrada por registro, correlacionadas entre sí
+      // y en la misma transacción
+      failedAt = null;
+      const requestInfo = getRequestInfo(req);
+      auditEntries = [
+        { tableName: entityType.table, tableSchema: entitySchema, newRecord: newEntity },
+        ...newRecords
+      ];
+      for (const { tableName, tableSchema, newRecord } of auditEntries) {
+        await logAuditAction({
+          userEmail: req.user.email,
+          userId: req.user.id,
+          userName: req.user.nombre_apellido,
+          action: 'CREATE',
+          tableName: tableName,
+          recordId: getAuditRecordId(tableSchema, newRecord),
+          oldValues: null,
+          newValues: newRecord,
+          ipAddress: requestInfo.ipAddress,
+          userAgent: requestInfo.userAgent,
+          sessionInfo: requestInfo.sessionInfo,
+          correlationId
+        }, client);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    logOperation('CREATE WITH RELATED SUCCESS', { table: entityType.table, records: auditEntries.length, correlationId });
+
+    const relatedResult = {};
+    newRecords.forEach(({ tableName, newRecord }) => {
+      (relatedResult[tableName] = relatedResult[tableName] || []).push(newRecord);
+    });
+
+    res.json({
+      success: true,
+      message: `Entidad creada con ${newRecords.length} registros relacionados`,
+      primaryKey: getRecordKey(entitySchema, newEntity),
+      correlationId,
+      data: {
+        entity: newEntity,
+        related: relatedResult
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('❌ Error inesperado en CREATE WITH RELATED:', error);
+    const errorInfo = handlePostgresError(error, 'alta de entidad con registros relacionados');
+    res.status(errorInfo.status).json({
+      success: false,
+      message: failedAt ? `${errorInfo.message} (${failedAt})` : errorInfo.message,
+      failedAt
+    });
+  }
+});
+
+// Endpoint para consultar logs de auditoría (solo admin)
+app.get('/api/admin/audit-logs', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const { limit = 100, offset = 0, user_email, table_name, action, date_from, date_to, correlation_id } = req.query;
+    
+    let whereConditions = [];
+    let queryParams = [];
+    let paramIndex = 1;
+
+    if (user_email) {
+      whereConditions.push(`user_email = $${paramIndex}`);
+      queryParams.push(user_email);
+      paramIndex++;
+    }
+
+    if (table_name) {
+      whereConditions.push(`table_name = $${paramIndex}`);
+      queryParams.push(table_name);
+      paramIndex++;
+    }
+
+    if (action) {
+      whereConditions.push(`action = $${paramIndex}`);
+      queryParams.push(action.toUpperCase());
+      paramIndex++;
+    }
+
+    if (date_from) {
+      whereConditions.push(`timestamp >= $${paramIndex}`);
+      queryParams.push(date_from);
+      paramIndex++;
+    }
+
+    if (date_to) {
+      whereConditions.push(`timestamp <= $${paramIndex}`);
+      queryParams.push(date_to);
+      paramIndex++;
+    }
+
+    // Todas las acciones de una misma operación (p. ej. alta con registros relacionados)
+    if (correlation_id) {
+      whereConditions.push(`correlation_id::text = $${paramIndex}`);
+      queryParams.push(correlation_id);
+      paramIndex++;
+    }
+
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+    const query = `
+      SELECT 
+        id, user_email, user_name, action, table_name, record_id,
+        timestamp, ip_address, correlation_id,
+        CASE WHEN old_values IS NOT NULL THEN old_values::text ELSE NULL END as old_values,
+        CASE WHEN new_values IS NOT NULL THEN new_values::text ELSE NULL END as new_values
+      FROM audit_log 
+      ${whereClause}
+      ORDER BY timestamp DESC 
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `;
+
+    queryParams.push(parseInt(limit), parseInt(offset));
+
+    const result = await pool.query(query, queryParams);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      total: result.rows.length,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo logs de auditoría:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
     });
   }
 });
@@ -2805,6 +4109,7 @@ app.get('/health', async (req, res) => {
       dbHost: process.env.PGHOST ? 'configured' : 'missing',
       dbUser: process.env.PGUSER ? 'configured' : 'missing',
       schemaSource: 'app_information_schema',
+      schemaCache: schemaCache.getStats(),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -2848,7 +4153,7 @@ app.use((error, req, res, next) => {
 // ========== ENDPOINTS ADICIONALES PARA GESTIÓN DE USUARIOS ==========
 
 // Endpoint para obtener información del usuario actual
-app.get('/api/user/profile', auth.requireAuth, async (req, res) => {
+app.get('/api/user/profile', auth.requireAuth, auth.requireUser, async (req, res) => {
   try {
     const userResult = await pool.query(`
       SELECT 
@@ -2887,6 +4192,12 @@ app.get('/api/user/profile', auth.requireAuth, async (req, res) => {
   }
 });
 
+// Editar datos personales del usuario actual
+app.put('/api/user/profile', auth.requireAuth, auth.requireUser, auth.updateProfile);
+
+// Cambiar contraseña del usuario actual (requiere la contraseña actual)
+app.put('/api/user/password', auth.requireAuth, auth.requireUser, auth.rateLimit('password_change'), auth.changePassword);
+
 // Endpoint para listar todos los usuarios (solo admin)
 app.get('/api/admin/users', auth.requireAuth, auth.requireAdmin, async (req, res) => {
   try {
@@ -2900,7 +4211,8 @@ app.get('/api/admin/users', auth.requireAuth, auth.requireAdmin, async (req, res
         fecha_creacion, 
         fecha_ultimo_acceso, 
         fecha_vencimiento, 
-        activo 
+        activo,
+        estado_registro
       FROM users 
       ORDER BY fecha_creacion DESC
     `);
@@ -3098,6 +4410,11 @@ app.put('/api/admin/users/:userId/toggle-status', auth.requireAuth, auth.require
       });
     }
 
+    // Cerrar inmediatamente las sesiones del usuario desactivado
+    if (!result.rows[0].activo) {
+      await auth.revokeUserSessions(userId, 'usuario_desactivado');
+    }
+
     res.json({
       success: true,
       message: `Usuario ${result.rows[0].activo ? 'activado' : 'desactivado'} exitosamente`,
@@ -3118,7 +4435,7 @@ app.put('/api/admin/users/:userId/role', auth.requireAuth, auth.requireAdmin, as
     const { userId } = req.params;
     const { rol } = req.body;
 
-    if (!['admin', 'empleado'].includes(rol)) {
+    if (!auth.ROLES.includes(rol)) {
       return res.status(400).json({
         success: false,
         message: 'Rol inválido'
@@ -3139,6 +4456,9 @@ app.put('/api/admin/users/:userId/role', auth.requireAuth, auth.requireAdmin, as
       });
     }
 
+    // Los tokens emitidos llevan el rol anterior: forzar nuevo inicio de sesión
+    await auth.revokeUserSessions(userId, 'cambio_de_rol');
+
     res.json({
       success: true,
       message: `Rol actualizado a ${rol} exitosamente`,
@@ -3153,37 +4473,2406 @@ app.put('/api/admin/users/:userId/role', auth.requireAuth, auth.requireAdmin, as
   }
 });
 
-// Endpoint para limpiar usuarios vencidos manualmente (solo admin)
-app.post('/api/admin/clean-expired-users', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+// Endpoint para restablecer el 2FA de un usuario que perdió su dispositivo (solo admin)
+app.post('/api/admin/users/:userId/2fa/reset', auth.requireAuth, auth.requireAdmin, async (req, res) => {
   try {
-    const cleanedCount = await auth.cleanExpiredUsers();
-    
-    res.json({
-      success: true,
-      message: `Se procesaron ${cleanedCount} usuarios vencidos`,
-      cleanedCount: cleanedCount
-    });
-  } catch (error) {
-    console.error('Error limpiando usuarios vencidos:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error interno del servidor'
-    });
-  }
-});
+    const { userId } = req.params;
+    const user = await auth.resetTwoFactor(userId);
 
-// Programar limpieza automática de usuarios vencidos cada 24 horas
-setInterval(async () => {
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    const requestInfo = getRequestInfo(req);
+    await logAuditAction({
+      userEmail: req.user.email,
+      userId: req.user.id,
+      userName: req.user.nombre_apellido,
+      action: '2FA_RESET',
+      tableName: 'users',
+      recordId: user.id,
+      oldValues: null,
+      newValues: { email: user.email, totp_enabled: false },
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      sessionInfo: requestInfo.sessionInfo
+    });
+
+    res.json({
+      success: true,
+      message: `Verificación en dos pasos restablecida para ${user.email}`,
+      user: user
+    });
+  } catch (error) {
+    console.error('Error restableciendo 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// ========== PERMISOS POR TABLA Y CATEGORÍA ==========
+
+// Permisos efectivos del usuario actual (para adaptar la interfaz)
+app.get('/api/user/permissions', auth.requireAuth, auth.requireUser, async (req, res) => {
+  try {
+    const readableTables = await auth.getReadableTables(req.user);
+    const grants = await auth.getUserPermissions(req.user.id);
+
+    res.json({
+      success: true,
+      rol: req.user.rol,
+      operations: auth.ROLE_OPERATIONS[req.user.rol] || [],
+      allTables: readableTables === null,
+      readableTables: readableTables ? [...readableTables] : null,
+      grants: grants
+    });
+  } catch (error) {
+    console.error('Error obteniendo permisos del usuario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Roles disponibles y sus operaciones (solo admin)
+app.get('/api/admin/roles', auth.requireAuth, auth.requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    roles: auth.ROLES.map(rol => ({
+      name: rol,
+      operations: auth.ROLE_OPERATIONS[rol]
+    }))
+  });
+});
+
+// Listar permisos de un usuario (solo admin)
+app.get('/api/admin/users/:userId/permissions', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const permissions = await auth.getUserPermissions(req.params.userId);
+
+    res.json({
+      success: true,
+      data: permissions,
+      total: permissions.length
+    });
+  } catch (error) {
+    console.error('Error obteniendo permisos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Otorgar permiso sobre una categoría o una tabla (solo admin)
+app.post('/api/admin/users/:userId/permissions', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { category_name, table_name, operations } = req.body;
+
+    if (!!category_name === !!table_name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Debe indicar una categoría o una tabla (no ambas)'
+      });
+    }
+
+    if (!Array.isArray(operations) || operations.length === 0 ||
+        operations.some(op => !auth.TABLE_OPERATIONS.includes(op))) {
+      return res.status(400).json({
+        success: false,
+        message: `Operaciones inválidas. Valores permitidos: ${auth.TABLE_OPERATIONS.join(', ')}`
+      });
+    }
+
+    const userResult = await pool.query('SELECT id, email FROM users WHERE id = $1', [userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    if (table_name !== undefined && table_name !== null && typeof table_name !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'table_name inválido'
+      });
+    }
+
+    // Validar que la categoría exista en los metadatos o que la tabla esté
+    // registrada; la tabla se guarda en forma canónica ('public.x' -> 'x')
+    const tableName = table_name ? normalizeTableName(table_name) : null;
+    const targetExists = category_name
+      ? (await pool.query('SELECT 1 FROM table_categories WHERE category_name = $1 LIMIT 1', [category_name])).rows.length > 0
+      : (await getRegisteredTables()).has(tableName);
+
+    if (!targetExists) {
+      return res.status(404).json({
+        success: false,
+        message: category_name 
+          ? `Categoría '${category_name}' no encontrada` 
+          : `Tabla '${table_name}' no encontrada`
+      });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO table_permissions (user_id, category_name, table_name, operations, granted_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [userId, category_name || null, tableName, [...new Set(operations)], req.user.id]);
+    const permission = result.rows[0];
+
+    const requestInfo = getRequestInfo(req);
+    await logAuditAction({
+      userEmail: req.user.email,
+      userId: req.user.id,
+      userName: req.user.nombre_apellido,
+      action: 'PERMISSION_GRANTED',
+      tableName: 'table_permissions',
+      recordId: permission.id,
+      oldValues: null,
+      newValues: { ...permission, user_email: userResult.rows[0].email },
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      sessionInfo: requestInfo.sessionInfo
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Permiso otorgado',
+      data: permission
+    });
+  } catch (error) {
+    console.error('Error otorgando permiso:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Revocar un permiso (solo admin)
+app.delete('/api/admin/users/:userId/permissions/:permissionId', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const { userId, permissionId } = req.params;
+
+    const result = await pool.query(
+      'DELETE FROM table_permissions WHERE id = $1 AND user_id = $2 RETURNING *',
+      [permissionId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Permiso no encontrado'
+      });
+    }
+
+    const requestInfo = getRequestInfo(req);
+    await logAuditAction({
+      userEmail: req.user.email,
+      userId: req.user.id,
+      userName: req.user.nombre_apellido,
+      action: 'PERMISSION_REVOKED',
+      tableName: 'table_permissions',
+      recordId: permissionId,
+      oldValues: result.rows[0],
+      newValues: null,
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      sessionInfo: requestInfo.sessionInfo
+    });
+
+    res.json({
+      success: true,
+      message: 'Permiso revocado'
+    });
+  } catch (error) {
+    console.error('Error revocando permiso:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// ========== SESIONES ACTIVAS ==========
+
+// Registrar en auditoría el cierre forzado de una o varias sesiones
+async function auditSessionTermination(req, action, targetUserId, details) {
+  const requestInfo = getRequestInfo(req);
+  await logAuditAction({
+    userEmail: req.user.email,
+    userId: req.user.id,
+    userName: req.user.nombre_apellido,
+    action: action,
+    tableName: 'user_sessions',
+    recordId: details.sessionId || targetUserId,
+    oldValues: null,
+    newValues: { user_id: targetUserId, ...details },
+    ipAddress: requestInfo.ipAddress,
+    userAgent: requestInfo.userAgent,
+    sessionInfo: requestInfo.sessionInfo
+  });
+}
+
+// Sesiones activas del usuario actual
+app.get('/api/user/sessions', auth.requireAuth, auth.requireUser, async (req, res) => {
+  try {
+    const sessions = await auth.listActiveSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({ ...session, current: session.id === req.user.sid })),
+      total: sessions.length
+    });
+  } catch (error) {
+    console.error('Error obteniendo sesiones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Cerrar todas las demás sesiones del usuario actual
+app.delete('/api/user/sessions', auth.requireAuth, auth.requireUser, async (req, res) => {
+  try {
+    const revoked = await auth.revokeUserSessions(req.user.id, 'cerrada_por_usuario', req.user.sid);
+    await auditSessionTermination(req, 'ALL_SESSIONS_TERMINATED', req.user.id, {
+      revoked_count: revoked,
+      except_session: req.user.sid
+    });
+
+    res.json({
+      success: true,
+      message: `Se cerraron ${revoked} sesiones`,
+      revokedCount: revoked
+    });
+  } catch (error) {
+    console.error('Error cerrando sesiones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Cerrar una sesión propia
+app.delete('/api/user/sessions/:sessionId', auth.requireAuth, auth.requireUser, async (req, res) => {
+  try {
+    const session = await auth.getActiveSession(req.params.sessionId);
+
+    if (!session || session.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sesión no encontrada'
+      });
+    }
+
+    await auth.revokeSession(session.id, 'cerrada_por_usuario');
+    await auditSessionTermination(req, 'SESSION_TERMINATED', req.user.id, {
+      sessionId: session.id,
+      ip_address: session.ip_address,
+      user_agent: session.user_agent
+    });
+
+    res.json({
+      success: true,
+      message: 'Sesión cerrada',
+      current: session.id === req.user.sid
+    });
+  } catch (error) {
+    console.error('Error cerrando sesión:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Todas las sesiones activas del sistema (solo admin)
+app.get('/api/admin/sessions', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const sessions = await auth.listActiveSessions();
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({ ...session, current: session.id === req.user.sid })),
+      total: sessions.length
+    });
+  } catch (error) {
+    console.error('Error obteniendo sesiones activas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Sesiones activas de un usuario (solo admin)
+app.get('/api/admin/users/:userId/sessions', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const sessions = isNaN(userId) ? [] : await auth.listActiveSessions(userId);
+
+    res.json({
+      success: true,
+      data: sessions,
+      total: sessions.length
+    });
+  } catch (error) {
+    console.error('Error obteniendo sesiones del usuario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Cerrar todas las sesiones de un usuario, p. ej. cuenta comprometida (solo admin)
+app.delete('/api/admin/users/:userId/sessions', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const userResult = isNaN(userId) 
+      ? { rows: [] } 
+      : await pool.query('SELECT id, email FROM users WHERE id = $1', [userId]);
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    const revoked = await auth.revokeUserSessions(userId, 'cerrada_por_admin');
+    await auditSessionTermination(req, 'ALL_SESSIONS_TERMINATED', userId, {
+      email: userResult.rows[0].email,
+      revoked_count: revoked
+    });
+
+    res.json({
+      success: true,
+      message: `Se cerraron ${revoked} sesiones de ${userResult.rows[0].email}`,
+      revokedCount: revoked
+    });
+  } catch (error) {
+    console.error('Error cerrando sesiones del usuario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Cerrar una sesión cualquiera (solo admin)
+app.delete('/api/admin/sessions/:sessionId', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const session = await auth.getActiveSession(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sesión no encontrada'
+      });
+    }
+
+    await auth.revokeSession(session.id, 'cerrada_por_admin');
+    await auditSessionTermination(req, 'SESSION_TERMINATED', session.user_id, {
+      sessionId: session.id,
+      email: session.email,
+      ip_address: session.ip_address,
+      user_agent: session.user_agent
+    });
+
+    res.json({
+      success: true,
+      message: `Sesión de ${session.email} cerrada`
+    });
+  } catch (error) {
+    console.error('Error cerrando sesión:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// ========== INVITACIONES DE USUARIOS ==========
+
+// Crear un usuario e invitarlo a definir su contraseña (solo admin)
+app.post('/api/admin/users', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const { email, nombre_apellido, telefono, rol = 'consulta', fecha_vencimiento } = req.body;
+
+    if (!email || !nombre_apellido) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email y nombre y apellido son requeridos'
+      });
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Formato de email inválido'
+      });
+    }
+
+    if (!auth.ROLES.includes(rol)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rol inválido'
+      });
+    }
+
+    const vencimiento = new Date(fecha_vencimiento);
+    if (!fecha_vencimiento || isNaN(vencimiento.getTime()) || vencimiento <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Se requiere una fecha de vencimiento futura válida'
+      });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+    const existing = await pool.query('SELECT id FROM users WHERE email = $1', [normalizedEmail]);
+    if (existing.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya existe un usuario con ese email'
+      });
+    }
+
+    // Contraseña aleatoria inutilizable hasta que el invitado defina la suya
+    const placeholderHash = await auth.hashPassword(crypto.randomBytes(32).toString('hex'));
+
+    const result = await pool.query(`
+      INSERT INTO users (
+        nombre_apellido, 
+        telefono, 
+        email, 
+        password_hash, 
+        rol,
+        fecha_vencimiento,
+        activo,
+        estado_registro,
+        email_verificado,
+        fecha_revision,
+        revisado_por
+      ) VALUES ($1, $2, $3, $4, $5, $6, false, 'invitado', false, NOW(), $7)
+      RETURNING id, nombre_apellido, telefono, email, rol, fecha_creacion, fecha_vencimiento, activo, estado_registro
+    `, [
+      nombre_apellido.trim(),
+      telefono?.trim() || null,
+      normalizedEmail,
+      placeholderHash,
+      rol,
+      vencimiento,
+      req.user.id
+    ]);
+    const invitedUser = result.rows[0];
+
+    const expiresAt = await auth.sendInvitation(invitedUser, req, req.user);
+
+    const requestInfo = getRequestInfo(req);
+    await logAuditAction({
+      userEmail: req.user.email,
+      userId: req.user.id,
+      userName: req.user.nombre_apellido,
+      action: 'USER_INVITED',
+      tableName: 'users',
+      recordId: invitedUser.id,
+      oldValues: null,
+      newValues: invitedUser,
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      sessionInfo: requestInfo.sessionInfo
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Invitación enviada a ${invitedUser.email}`,
+      user: invitedUser,
+      invitationExpiresAt: expiresAt
+    });
+  } catch (error) {
+    console.error('Error creando invitación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Listar invitaciones pendientes (solo admin)
+app.get('/api/admin/invitations', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT 
+        u.id, 
+        u.nombre_apellido, 
+        u.telefono, 
+        u.email, 
+        u.rol, 
+        u.fecha_creacion, 
+        u.fecha_vencimiento,
+        inv.email AS invitado_por_email,
+        prt.created_at AS fecha_envio,
+        prt.expires_at AS invitacion_expira,
+        (prt.expires_at IS NOT NULL AND prt.expires_at <= NOW()) AS invitacion_expirada
+      FROM users u
+      LEFT JOIN users inv ON inv.id = u.revisado_por
+      LEFT JOIN password_reset_tokens prt 
+        ON prt.user_id = u.id AND prt.purpose = 'invitation' AND prt.used_at IS NULL
+      WHERE u.estado_registro = 'invitado'
+      ORDER BY u.fecha_creacion DESC
+    `);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      total: result.rows.length
+    });
+  } catch (error) {
+    console.error('Error obteniendo invitaciones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Reenviar una invitación con un link nuevo (solo admin)
+app.post('/api/admin/invitations/:userId/resend', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const userResult = await pool.query(`
+      SELECT id, email, nombre_apellido, rol, fecha_vencimiento 
+      FROM users 
+      WHERE id = $1 AND estado_registro = 'invitado'
+    `, [req.params.userId]);
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitación pendiente no encontrada'
+      });
+    }
+
+    const invitedUser = userResult.rows[0];
+    const expiresAt = await auth.sendInvitation(invitedUser, req, req.user);
+
+    const requestInfo = getRequestInfo(req);
+    await logAuditAction({
+      userEmail: req.user.email,
+      userId: req.user.id,
+      userName: req.user.nombre_apellido,
+      action: 'INVITATION_RESENT',
+      tableName: 'users',
+      recordId: invitedUser.id,
+      oldValues: null,
+      newValues: { email: invitedUser.email, invitacion_expira: expiresAt },
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      sessionInfo: requestInfo.sessionInfo
+    });
+
+    res.json({
+      success: true,
+      message: `Invitación reenviada a ${invitedUser.email}`,
+      invitationExpiresAt: expiresAt
+    });
+  } catch (error) {
+    console.error('Error reenviando invitación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Revocar una invitación pendiente: elimina el usuario que nunca llegó a activarse (solo admin)
+app.delete('/api/admin/invitations/:userId', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const userResult = await pool.query(`
+      SELECT id, email, nombre_apellido, rol, fecha_vencimiento, estado_registro 
+      FROM users 
+      WHERE id = $1 AND estado_registro = 'invitado'
+    `, [userId]);
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitación pendiente no encontrada'
+      });
+    }
+
+    const invitedUser = userResult.rows[0];
+
+    await pool.query('DELETE FROM password_reset_tokens WHERE user_id = $1', [userId]);
+    await pool.query(`DELETE FROM users WHERE id = $1 AND estado_registro = 'invitado'`, [userId]);
+
+    const requestInfo = getRequestInfo(req);
+    await logAuditAction({
+      userEmail: req.user.email,
+      userId: req.user.id,
+      userName: req.user.nombre_apellido,
+      action: 'INVITATION_REVOKED',
+      tableName: 'users',
+      recordId: invitedUser.id,
+      oldValues: invitedUser,
+      newValues: null,
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      sessionInfo: requestInfo.sessionInfo
+    });
+
+    res.json({
+      success: true,
+      message: `Invitación a ${invitedUser.email} revocada`
+    });
+  } catch (error) {
+    console.error('Error revocando invitación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// ========== ADMINISTRACIÓN DE ENUMS ==========
+
+const ENUM_VALUE_MAX_LENGTH = 63; // límite de PostgreSQL para etiquetas de enum (NAMEDATALEN - 1)
+
+// Validar una etiqueta de enum recibida del cliente
+function validateEnumLabel(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return 'El valor no puede estar vacío';
+  }
+  if (Buffer.byteLength(value.trim(), 'utf8') > ENUM_VALUE_MAX_LENGTH) {
+    return `El valor no puede superar los ${ENUM_VALUE_MAX_LENGTH} bytes`;
+  }
+  return null;
+}
+
+// Solo se administran enums usados por tablas registradas
+async function findManagedEnum(enumName) {
+  const enums = await getUsedEnums();
+  return enums[enumName] || null;
+}
+
+// Listar enums con sus valores y las columnas que los usan (solo admin)
+app.get('/api/admin/enums', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const enums = await getUsedEnums();
+
+    res.json({
+      success: true,
+      data: Object.entries(enums).map(([name, info]) => ({ name, ...info })),
+      total: Object.keys(enums).length
+    });
+  } catch (error) {
+    console.error('Error obteniendo enums:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Agregar un valor a un enum: ALTER TYPE ... ADD VALUE (solo admin)
+app.post('/api/admin/enums/:enumName/values', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const { enumName } = req.params;
+    const { value, before, after } = req.body;
+
+    const enumInfo = await findManagedEnum(enumName);
+    if (!enumInfo) {
+      return res.status(404).json({
+        success: false,
+        message: `Enum '${enumName}' no encontrado`
+      });
+    }
+
+    const labelError = validateEnumLabel(value);
+    if (labelError) {
+      return res.status(400).json({
+        success: false,
+        message: labelError
+      });
+    }
+
+    const label = value.trim();
+    if (enumInfo.values.includes(label)) {
+      return res.status(409).json({
+        success: false,
+        message: `El valor '${label}' ya existe en '${enumName}'`
+      });
+    }
+
+    const position = before || after;
+    if (before && after) {
+      return res.status(400).json({
+        success: false,
+        message: 'Indique before o after, no ambos'
+      });
+    }
+    if (position && !enumInfo.values.includes(position)) {
+      return res.status(400).json({
+        success: false,
+        message: `El valor de referencia '${position}' no existe en '${enumName}'`
+      });
+    }
+
+    // ALTER TYPE no admite parámetros: identificador y literales se escapan
+    let sql = `ALTER TYPE ${quoteTable(enumName)} ADD VALUE ${escapeLiteral(label)}`;
+    if (position) {
+      sql += ` ${before ? 'BEFORE' : 'AFTER'} ${escapeLiteral(position)}`;
+    }
+    await pool.query(sql);
+    schemaCache.invalidate(schemaCache.ALL_TABLES, 'enum_value_added');
+
+    const requestInfo = getRequestInfo(req);
+    await logAuditAction({
+      userEmail: req.user.email,
+      userId: req.user.id,
+      userName: req.user.nombre_apellido,
+      action: 'ENUM_VALUE_ADDED',
+      tableName: 'pg_enum',
+      recordId: enumName,
+      oldValues: { values: enumInfo.values },
+      newValues: { value: label, before: before || null, after: after || null },
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      sessionInfo: requestInfo.sessionInfo
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Valor '${label}' agregado a '${enumName}'`,
+      data: await getEnumValues(enumName)
+    });
+  } catch (error) {
+    console.error('Error agregando valor de enum:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Renombrar un valor de un enum: ALTER TYPE ... RENAME VALUE (solo admin).
+// Los registros existentes pasan a mostrar el nuevo nombre.
+app.put('/api/admin/enums/:enumName/values', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const { enumName } = req.params;
+    const { from, to } = req.body;
+
+    const enumInfo = await findManagedEnum(enumName);
+    if (!enumInfo) {
+      return res.status(404).json({
+        success: false,
+        message: `Enum '${enumName}' no encontrado`
+      });
+    }
+
+    if (!enumInfo.values.includes(from)) {
+      return res.status(404).json({
+        success: false,
+        message: `El valor '${from}' no existe en '${enumName}'`
+      });
+    }
+
+    const labelError = validateEnumLabel(to);
+    if (labelError) {
+      return res.status(400).json({
+        success: false,
+        message: labelError
+      });
+    }
+
+    const label = to.trim();
+    if (enumInfo.values.includes(label)) {
+      return res.status(409).json({
+        success: false,
+        message: `El valor '${label}' ya existe en '${enumName}'`
+      });
+    }
+
+    await pool.query(
+      `ALTER TYPE ${quoteTable(enumName)} RENAME VALUE ${escapeLiteral(from)} TO ${escapeLiteral(label)}`
+    );
+    schemaCache.invalidate(schemaCache.ALL_TABLES, 'enum_value_renamed');
+
+    const requestInfo = getRequestInfo(req);
+    await logAuditAction({
+      userEmail: req.user.email,
+      userId: req.user.id,
+      userName: req.user.nombre_apellido,
+      action: 'ENUM_VALUE_RENAMED',
+      tableName: 'pg_enum',
+      recordId: enumName,
+      oldValues: { value: from },
+      newValues: { value: label },
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      sessionInfo: requestInfo.sessionInfo
+    });
+
+    res.json({
+      success: true,
+      message: `Valor '${from}' renombrado a '${label}' en '${enumName}'`,
+      data: await getEnumValues(enumName)
+    });
+  } catch (error) {
+    console.error('Error renombrando valor de enum:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// ========== OPERACIONES POR TABLA ==========
+
+// Tablas registradas con sus operaciones habilitadas (solo admin)
+app.get('/api/admin/table-settings', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const registered = await getRegisteredTables();
+    const data = [...registered.entries()]
+      .map(([tableName, allowedOperations]) => ({ tableName, allowedOperations }))
+      .sort((a, b) => a.tableName.localeCompare(b.tableName));
+
+    res.json({
+      success: true,
+      data: data,
+      operations: auth.TABLE_OPERATIONS,
+      total: data.length
+    });
+  } catch (error) {
+    console.error('Error obteniendo operaciones por tabla:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Definir las operaciones habilitadas de una tabla registrada, p. ej.
+// ['read', 'export'] para solo lectura o todas menos 'delete' (solo admin)
+app.put('/api/admin/table-settings/:tableName', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const { tableName } = req.params;
+    const { allowedOperations } = req.body;
+
+    const registered = await getRegisteredTables();
+    if (!registered.has(tableName)) {
+      return res.status(404).json({
+        success: false,
+        message: `Tabla '${tableName}' no encontrada`
+      });
+    }
+
+    if (!Array.isArray(allowedOperations) || allowedOperations.some(op => !auth.TABLE_OPERATIONS.includes(op))) {
+      return res.status(400).json({
+        success: false,
+        message: `allowedOperations debe ser una lista con valores de: ${auth.TABLE_OPERATIONS.join(', ')}`
+      });
+    }
+
+    const operations = auth.TABLE_OPERATIONS.filter(op => allowedOperations.includes(op));
+    const oldOperations = registered.get(tableName);
+
+    await pool.query(`
+      INSERT INTO table_settings (table_name, allowed_operations, updated_by, updated_at)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+      ON CONFLICT (table_name) DO UPDATE
+      SET allowed_operations = EXCLUDED.allowed_operations,
+          updated_by = EXCLUDED.updated_by,
+          updated_at = CURRENT_TIMESTAMP
+    `, [tableName, operations, req.user.id]);
+    schemaCache.invalidate(schemaCache.ALL_TABLES, 'table_settings_updated');
+
+    const requestInfo = getRequestInfo(req);
+    await logAuditAction({
+      userEmail: req.user.email,
+      userId: req.user.id,
+      userName: req.user.nombre_apellido,
+      action: 'TABLE_OPERATIONS_UPDATED',
+      tableName: 'table_settings',
+      recordId: tableName,
+      oldValues: { allowedOperations: oldOperations },
+      newValues: { allowedOperations: operations },
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      sessionInfo: requestInfo.sessionInfo
+    });
+
+    res.json({
+      success: true,
+      message: `Operaciones de '${tableName}' actualizadas`,
+      data: { tableName, allowedOperations: operations }
+    });
+  } catch (error) {
+    console.error('Error actualizando operaciones de tabla:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Columnas de una tabla registrada con sus metadatos de interfaz (solo admin)
+app.get('/api/admin/tables/:tableName/columns', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const { tableName } = req.params;
+
+    const registered = await getRegisteredTables();
+    if (!registered.has(tableName)) {
+      return res.status(404).json({
+        success: false,
+        message: `Tabla '${tableName}' no encontrada`
+      });
+    }
+
+    const schema = await getTableSchema(tableName);
+
+    res.json({
+      success: true,
+      data: schema.columns,
+      widgets: COLUMN_WIDGETS,
+      total: schema.columns.length
+    });
+  } catch (error) {
+    console.error('Error obteniendo metadatos de columnas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Guardar los metadatos de interfaz de una columna (solo admin).
+// Los campos omitidos quedan sin valor: se reemplaza la configuración completa.
+app.put('/api/admin/tables/:tableName/columns/:columnName', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const { tableName, columnName } = req.params;
+    const {
+      label, helpText, placeholder, hidden, readOnly, displayOrder, widget, pattern, min, max, fkDisplayColumn
+    } = req.body;
+
+    const registered = await getRegisteredTables();
+    if (!registered.has(tableName)) {
+      return res.status(404).json({
+        success: false,
+        message: `Tabla '${tableName}' no encontrada`
+      });
+    }
+
+    const schema = await getTableSchema(tableName);
+    const column = schema.columns.find(col => col.column_name === columnName);
+    if (!column) {
+      return res.status(404).json({
+        success: false,
+        message: `Columna '${columnName}' no encontrada en '${tableName}'`
+      });
+    }
+
+    if (widget && !COLUMN_WIDGETS.includes(widget)) {
+      return res.status(400).json({
+        success: false,
+        message: `Widget inválido. Valores permitidos: ${COLUMN_WIDGETS.join(', ')}`
+      });
+    }
+
+    if (displayOrder !== undefined && displayOrder !== null && !Number.isInteger(displayOrder)) {
+      return res.status(400).json({
+        success: false,
+        message: 'displayOrder debe ser un número entero'
+      });
+    }
+
+    if (pattern) {
+      try {
+        new RegExp(pattern);
+      } catch (regexError) {
+        return res.status(400).json({
+          success: false,
+          message: `Expresión regular inválida: ${regexError.message}`
+        });
+      }
+    }
+
+    for (const limit of [min, max]) {
+      if (limit !== undefined && limit !== null && limit !== '' &&
+          compareWithLimit(column.data_type, limit, limit) === null) {
+        return res.status(400).json({
+          success: false,
+          message: `Rango inválido para una columna de tipo ${column.data_type}`
+        });
+      }
+    }
+
+    if (fkDisplayColumn) {
+      const foreignKey = schema.foreignKeys[columnName];
+      if (!foreignKey) {
+        return res.status(400).json({
+          success: false,
+          message: `La columna '${columnName}' no es una foreign key`
+        });
+      }
+
+      const foreignTable = parseQualifiedName(foreignKey.table);
+      const displayResult = await pool.query(`
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = $1 AND table_name = $2 AND column_name = $3
+      `, [foreignTable.schema, foreignTable.name, fkDisplayColumn]);
+      if (displayResult.rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: `La columna '${fkDisplayColumn}' no existe en '${foreignKey.table}'`
+        });
+      }
+    }
+
+    const emptyToNull = value => (value === undefined || value === '' ? null : value);
+    const result = await pool.query(`
+      INSERT INTO app_column_metadata (
+        table_name, column_name, label, help_text, placeholder, hidden, read_only,
+        display_order, widget, pattern, min_value, max_value, fk_display_column, updated_by, updated_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, CURRENT_TIMESTAMP)
+      ON CONFLICT (table_name, column_name) DO UPDATE
+      SET label = EXCLUDED.label,
+          help_text = EXCLUDED.help_text,
+          placeholder = EXCLUDED.placeholder,
+          hidden = EXCLUDED.hidden,
+          read_only = EXCLUDED.read_only,
+          display_order = EXCLUDED.display_order,
+          widget = EXCLUDED.widget,
+          pattern = EXCLUDED.pattern,
+          min_value = EXCLUDED.min_value,
+          max_value = EXCLUDED.max_value,
+          fk_display_column = EXCLUDED.fk_display_column,
+          updated_by = EXCLUDED.updated_by,
+          updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [
+      tableName,
+      columnName,
+      emptyToNull(label),
+      emptyToNull(helpText),
+      emptyToNull(placeholder),
+      hidden === true,
+      readOnly === true,
+      emptyToNull(displayOrder),
+      emptyToNull(widget),
+      emptyToNull(pattern),
+      emptyToNull(min) === null ? null : String(min),
+      emptyToNull(max) === null ? null : String(max),
+      emptyToNull(fkDisplayColumn),
+      req.user.id
+    ]);
+    schemaCache.invalidate(tableName, 'column_metadata_updated');
+
+    const metadata = formatColumnMetadata(result.rows[0]);
+
+    const requestInfo = getRequestInfo(req);
+    await logAuditAction({
+      userEmail: req.user.email,
+      userId: req.user.id,
+      userName: req.user.nombre_apellido,
+      action: 'COLUMN_METADATA_UPDATED',
+      tableName: 'app_column_metadata',
+      recordId: `${tableName}.${columnName}`,
+      oldValues: column.ui,
+      newValues: metadata,
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      sessionInfo: requestInfo.sessionInfo
+    });
+
+    res.json({
+      success: true,
+      message: `Metadatos de '${columnName}' actualizados`,
+      data: { ...column, ui: metadata }
+    });
+  } catch (error) {
+    console.error('Error actualizando metadatos de columna:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Quitar los metadatos de una columna: vuelve a mostrarse con los valores por defecto
+app.delete('/api/admin/tables/:tableName/columns/:columnName', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const { tableName, columnName } = req.params;
+
+    const result = await pool.query(
+      'DELETE FROM app_column_metadata WHERE table_name = $1 AND column_name = $2 RETURNING *',
+      [tableName, columnName]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `La columna '${columnName}' de '${tableName}' no tiene metadatos`
+      });
+    }
+    schemaCache.invalidate(tableName, 'column_metadata_deleted');
+
+    const requestInfo = getRequestInfo(req);
+    await logAuditAction({
+      userEmail: req.user.email,
+      userId: req.user.id,
+      userName: req.user.nombre_apellido,
+      action: 'COLUMN_METADATA_DELETED',
+      tableName: 'app_column_metadata',
+      recordId: `${tableName}.${columnName}`,
+      oldValues: formatColumnMetadata(result.rows[0]),
+      newValues: null,
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      sessionInfo: requestInfo.sessionInfo
+    });
+
+    res.json({
+      success: true,
+      message: `Metadatos de '${columnName}' eliminados`
+    });
+  } catch (error) {
+    console.error('Error eliminando metadatos de columna:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// ========== ADMINISTRACIÓN DE CATEGORÍAS Y TABLAS ==========
+
+// table_categories tiene una fila por tabla: los datos de la categoría
+// (nombre visible, descripción, icono, orden) se repiten en cada fila.
+const CATEGORY_NAME_PATTERN = /^[a-z0-9_-]+$/i;
+
+// Categorías (incluidas las inactivas) con todas sus tablas
+async function loadAdminCategories() {
+  const result = await pool.query(`
+    SELECT category_name, category_display_name, category_description, category_icon,
+           category_order, table_name, table_display_name, table_description, table_order, is_active
+    FROM table_categories
+    ORDER BY category_order NULLS LAST, category_name, table_order NULLS LAST, table_name
+  `);
+
+  const categories = new Map();
+  result.rows.forEach(row => {
+    if (!categories.has(row.category_name)) {
+      categories.set(row.category_name, {
+        category_name: row.category_name,
+        category_display_name: row.category_display_name,
+        category_description: row.category_description,
+        category_icon: row.category_icon,
+        category_order: row.category_order,
+        is_active: false,
+        tables: []
+      });
+    }
+
+    const category = categories.get(row.category_name);
+    category.is_active = category.is_active || row.is_active;
+    category.tables.push({
+      table_name: row.table_name,
+      table_display_name: row.table_display_name,
+      table_description: row.table_description,
+      table_order: row.table_order,
+      is_active: row.is_active
+    });
+  });
+
+  return [...categories.values()];
+}
+
+// Tablas de la base que pueden agregarse a una categoría (todas menos las del sistema)
+async function getCategorizableTables() {
+  const result = await pool.query(`
+    SELECT table_schema, table_name
+    FROM information_schema.tables
+    WHERE table_schema = ANY($1) AND table_type = 'BASE TABLE'
+    ORDER BY table_schema <> $2, table_schema, table_name
+  `, [DATA_SCHEMAS, DEFAULT_SCHEMA]);
+  return result.rows
+    .map(row => qualifyName(row.table_schema, row.table_name))
+    .filter(table => !SYSTEM_TABLES.has(table));
+}
+
+// Validar los datos de una tabla a agregar a una categoría.
+// Devuelve un mensaje de error o null.
+async function validateCategoryTable(categoryName, table) {
+  if (!table || !table.table_name) {
+    return 'table_name es requerido';
+  }
+
+  const availableTables = await getCategorizableTables();
+  if (!availableTables.includes(table.table_name)) {
+    return `La tabla '${table.table_name}' no existe o no puede agregarse a una categoría`;
+  }
+
+  if (table.table_order !== undefined && table.table_order !== null && !Number.isInteger(table.table_order)) {
+    return 'table_order debe ser un número entero';
+  }
+
+  const existing = await pool.query(
+    'SELECT 1 FROM table_categories WHERE category_name = $1 AND table_name = $2',
+    [categoryName, table.table_name]
+  );
+  if (existing.rows.length > 0) {
+    return `La tabla '${table.table_name}' ya pertenece a la categoría '${categoryName}'`;
+  }
+
+  return null;
+}
+
+async function insertCategoryTable(category, table) {
+  const result = await pool.query(`
+    INSERT INTO table_categories (
+      category_name, category_display_name, category_description, category_icon, category_order,
+      table_name, table_display_name, table_description, table_order, is_active
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, true)
+    RETURNING *
+  `, [
+    category.category_name,
+    category.category_display_name,
+    category.category_description || null,
+    category.category_icon || null,
+    category.category_order ?? null,
+    table.table_name,
+    table.table_display_name || table.table_name,
+    table.table_description || null,
+    table.table_order ?? null
+  ]);
+  return result.rows[0];
+}
+
+async function auditCategoryChange(req, action, recordId, oldValues, newValues) {
+  const requestInfo = getRequestInfo(req);
+  await logAuditAction({
+    userEmail: req.user.email,
+    userId: req.user.id,
+    userName: req.user.nombre_apellido,
+    action: action,
+    tableName: 'table_categories',
+    recordId: recordId,
+    oldValues: oldValues,
+    newValues: newValues,
+    ipAddress: requestInfo.ipAddress,
+    userAgent: requestInfo.userAgent,
+    sessionInfo: requestInfo.sessionInfo
+  });
+}
+
+// Listar categorías con sus tablas y las tablas disponibles (solo admin)
+app.get('/api/admin/categories', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const categories = await loadAdminCategories();
+
+    res.json({
+      success: true,
+      data: categories,
+      availableTables: await getCategorizableTables(),
+      total: categories.length
+    });
+  } catch (error) {
+    console.error('Error obteniendo categorías (admin):', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Crear una categoría con su primera tabla (solo admin)
+app.post('/api/admin/categories', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const {
+      category_name, category_display_name, category_description, category_icon, category_order, table
+    } = req.body;
+
+    if (!category_name || !CATEGORY_NAME_PATTERN.test(category_name) || !category_display_name) {
+      return res.status(400).json({
+        success: false,
+        message: 'category_name (letras, números, "_" o "-") y category_display_name son requeridos'
+      });
+    }
+
+    if (category_order !== undefined && category_order !== null && !Number.isInteger(category_order)) {
+      return res.status(400).json({
+        success: false,
+        message: 'category_order debe ser un número entero'
+      });
+    }
+
+    const existing = await pool.query('SELECT 1 FROM table_categories WHERE category_name = $1 LIMIT 1', [category_name]);
+    if (existing.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `La categoría '${category_name}' ya existe`
+      });
+    }
+
+    const tableError = await validateCategoryTable(category_name, table);
+    if (tableError) {
+      return res.status(400).json({
+        success: false,
+        message: tableError
+      });
+    }
+
+    const category = { category_name, category_display_name, category_description, category_icon, category_order };
+    const row = await insertCategoryTable(category, table);
+    schemaCache.invalidate(schemaCache.ALL_TABLES, 'category_created');
+
+    await auditCategoryChange(req, 'CATEGORY_CREATED', category_name, null, row);
+
+    res.status(201).json({
+      success: true,
+      message: `Categoría '${category_display_name}' creada`,
+      data: row
+    });
+  } catch (error) {
+    console.error('Error creando categoría:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Reordenar categorías: recibe los nombres en el orden deseado (solo admin)
+app.put('/api/admin/category-order', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const { categories } = req.body;
+
+    if (!Array.isArray(categories) || categories.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Se requiere la lista de categorías en orden'
+      });
+    }
+
+    await pool.query(`
+      UPDATE table_categories tc
+      SET category_order = o.position
+      FROM unnest($1::text[]) WITH ORDINALITY AS o(category_name, position)
+      WHERE tc.category_name = o.category_name
+    `, [categories]);
+
+    await auditCategoryChange(req, 'CATEGORIES_REORDERED', null, null, { categories });
+
+    res.json({
+      success: true,
+      message: 'Orden de categorías actualizado',
+      data: await loadAdminCategories()
+    });
+  } catch (error) {
+    console.error('Error reordenando categorías:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Editar o activar/desactivar una categoría completa (solo admin)
+app.put('/api/admin/categories/:categoryName', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const { categoryName } = req.params;
+    const categories = await loadAdminCategories();
+    const current = categories.find(cat => cat.category_name === categoryName);
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: `Categoría '${categoryName}' no encontrada`
+      });
+    }
+
+    const fields = ['category_display_name', 'category_description', 'category_icon', 'category_order', 'is_active'];
+    const updates = fields.filter(field => req.body[field] !== undefined);
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No hay cambios para guardar'
+      });
+    }
+
+    if (req.body.category_display_name === '' || req.body.category_display_name === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'category_display_name no puede quedar vacío'
+      });
+    }
+
+    if (req.body.category_order !== undefined && req.body.category_order !== null &&
+        !Number.isInteger(req.body.category_order)) {
+      return res.status(400).json({
+        success: false,
+        message: 'category_order debe ser un número entero'
+      });
+    }
+
+    const setClause = updates.map((field, index) => `${field} = $${index + 2}`).join(', ');
+    await pool.query(
+      `UPDATE table_categories SET ${setClause} WHERE category_name = $1`,
+      [categoryName, ...updates.map(field => field === 'is_active' ? req.body[field] === true : req.body[field])]
+    );
+    schemaCache.invalidate(schemaCache.ALL_TABLES, 'category_updated');
+
+    const oldValues = Object.fromEntries(updates.map(field => [field, current[field]]));
+    const newValues = Object.fromEntries(updates.map(field => [field, req.body[field]]));
+    await auditCategoryChange(req, 'CATEGORY_UPDATED', categoryName, oldValues, newValues);
+
+    res.json({
+      success: true,
+      message: `Categoría '${categoryName}' actualizada`,
+      data: (await loadAdminCategories()).find(cat => cat.category_name === categoryName)
+    });
+  } catch (error) {
+    console.error('Error actualizando categoría:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Agregar una tabla a una categoría existente (solo admin)
+app.post('/api/admin/categories/:categoryName/tables', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const { categoryName } = req.params;
+    const categories = await loadAdminCategories();
+    const category = categories.find(cat => cat.category_name === categoryName);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: `Categoría '${categoryName}' no encontrada`
+      });
+    }
+
+    const tableError = await validateCategoryTable(categoryName, req.body);
+    if (tableError) {
+      return res.status(400).json({
+        success: false,
+        message: tableError
+      });
+    }
+
+    const row = await insertCategoryTable(category, req.body);
+    schemaCache.invalidate(schemaCache.ALL_TABLES, 'category_table_added');
+
+    await auditCategoryChange(req, 'CATEGORY_TABLE_ADDED', `${categoryName}.${row.table_name}`, null, row);
+
+    res.status(201).json({
+      success: true,
+      message: `Tabla '${row.table_name}' agregada a '${categoryName}'`,
+      data: row
+    });
+  } catch (error) {
+    console.error('Error agregando tabla a categoría:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Reordenar las tablas de una categoría: recibe los nombres en orden (solo admin)
+app.put('/api/admin/categories/:categoryName/table-order', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const { categoryName } = req.params;
+    const { tables } = req.body;
+
+    if (!Array.isArray(tables) || tables.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Se requiere la lista de tablas en orden'
+      });
+    }
+
+    const result = await pool.query(`
+      UPDATE table_categories tc
+      SET table_order = o.position
+      FROM unnest($2::text[]) WITH ORDINALITY AS o(table_name, position)
+      WHERE tc.category_name = $1 AND tc.table_name = o.table_name
+    `, [categoryName, tables]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `Categoría '${categoryName}' no encontrada`
+      });
+    }
+
+    await auditCategoryChange(req, 'CATEGORY_TABLES_REORDERED', categoryName, null, { tables });
+
+    res.json({
+      success: true,
+      message: `Orden de tablas de '${categoryName}' actualizado`,
+      data: (await loadAdminCategories()).find(cat => cat.category_name === categoryName)
+    });
+  } catch (error) {
+    console.error('Error reordenando tablas de categoría:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Editar o activar/desactivar una tabla dentro de una categoría (solo admin)
+app.put('/api/admin/categories/:categoryName/tables/:tableName', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const { categoryName, tableName } = req.params;
+
+    const currentResult = await pool.query(
+      'SELECT * FROM table_categories WHERE category_name = $1 AND table_name = $2',
+      [categoryName, tableName]
+    );
+    const current = currentResult.rows[0];
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: `La tabla '${tableName}' no pertenece a la categoría '${categoryName}'`
+      });
+    }
+
+    const fields = ['table_display_name', 'table_description', 'table_order', 'is_active'];
+    const updates = fields.filter(field => req.body[field] !== undefined);
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No hay cambios para guardar'
+      });
+    }
+
+    if (req.body.table_display_name === '' || req.body.table_display_name === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'table_display_name no puede quedar vacío'
+      });
+    }
+
+    if (req.body.table_order !== undefined && req.body.table_order !== null &&
+        !Number.isInteger(req.body.table_order)) {
+      return res.status(400).json({
+        success: false,
+        message: 'table_order debe ser un número entero'
+      });
+    }
+
+    const setClause = updates.map((field, index) => `${field} = $${index + 3}`).join(', ');
+    const result = await pool.query(
+      `UPDATE table_categories SET ${setClause} WHERE category_name = $1 AND table_name = $2 RETURNING *`,
+      [categoryName, tableName, ...updates.map(field => field === 'is_active' ? req.body[field] === true : req.body[field])]
+    );
+    schemaCache.invalidate(schemaCache.ALL_TABLES, 'category_table_updated');
+
+    const oldValues = Object.fromEntries(updates.map(field => [field, current[field]]));
+    const newValues = Object.fromEntries(updates.map(field => [field, result.rows[0][field]]));
+    await auditCategoryChange(req, 'CATEGORY_TABLE_UPDATED', `${categoryName}.${tableName}`, oldValues, newValues);
+
+    res.json({
+      success: true,
+      message: `Tabla '${tableName}' actualizada`,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error actualizando tabla de categoría:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// ========== API KEYS ==========
+
+// Listar API keys (solo admin). Nunca se devuelve la key ni su hash.
+app.get('/api/admin/api-keys', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const apiKeys = await auth.listApiKeys();
+
+    res.json({
+      success: true,
+      data: apiKeys,
+      total: apiKeys.length
+    });
+  } catch (error) {
+    console.error('Error obteniendo API keys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Crear una API key con alcance limitado a tablas y operaciones (solo admin)
+app.post('/api/admin/api-keys', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const { name, tables, operations, expires_at } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'El nombre de la API key es requerido'
+      });
+    }
+
+    if (!Array.isArray(tables) || tables.length === 0 || tables.some(table => typeof table !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Debe indicar al menos una tabla'
+      });
+    }
+
+    if (!Array.isArray(operations) || operations.length === 0 ||
+        operations.some(op => !auth.TABLE_OPERATIONS.includes(op))) {
+      return res.status(400).json({
+        success: false,
+        message: `Operaciones inválidas. Valores permitidos: ${auth.TABLE_OPERATIONS.join(', ')}`
+      });
+    }
+
+    let expiresAt = null;
+    if (expires_at) {
+      expiresAt = new Date(expires_at);
+      if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'La fecha de expiración debe ser futura'
+        });
+      }
+    }
+
+    // Solo tablas registradas, guardadas en forma canónica ('public.x' -> 'x')
+    const registered = await getRegisteredTables();
+    const tableNames = [...new Set(tables.map(normalizeTableName))];
+    const unknownTables = tableNames.filter(table => !registered.has(table));
+    if (unknownTables.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Tablas no encontradas: ${unknownTables.join(', ')}`
+      });
+    }
+
+    const { apiKey, key } = await auth.createApiKey({
+      name: name.trim(),
+      tables: tableNames,
+      operations: [...new Set(operations)],
+      expiresAt,
+      createdBy: req.user.id
+    });
+
+    const requestInfo = getRequestInfo(req);
+    await logAuditAction({
+      userEmail: req.user.email,
+      userId: req.user.id,
+      userName: req.user.nombre_apellido,
+      action: 'API_KEY_CREATED',
+      tableName: 'api_keys',
+      recordId: apiKey.id,
+      oldValues: null,
+      newValues: apiKey,
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      sessionInfo: requestInfo.sessionInfo
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key creada. Guárdela ahora: no se volverá a mostrar.',
+      data: apiKey,
+      key: key
+    });
+  } catch (error) {
+    console.error('Error creando API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Revocar una API key (solo admin)
+app.delete('/api/admin/api-keys/:keyId', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const keyId = parseInt(req.params.keyId);
+    const revoked = isNaN(keyId) ? null : await auth.revokeApiKey(keyId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key no encontrada o ya revocada'
+      });
+    }
+
+    const requestInfo = getRequestInfo(req);
+    await logAuditAction({
+      userEmail: req.user.email,
+      userId: req.user.id,
+      userName: req.user.nombre_apellido,
+      action: 'API_KEY_REVOKED',
+      tableName: 'api_keys',
+      recordId: revoked.id,
+      oldValues: null,
+      newValues: revoked,
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      sessionInfo: requestInfo.sessionInfo
+    });
+
+    res.json({
+      success: true,
+      message: `API key '${revoked.name}' revocada`
+    });
+  } catch (error) {
+    console.error('Error revocando API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// ========== APROBACIÓN DE REGISTROS ==========
+
+// Listar solicitudes de registro (por defecto las pendientes)
+app.get('/api/admin/registrations', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const { estado } = req.query;
+    const estados = estado 
+      ? [estado] 
+      : ['pendiente_verificacion', 'pendiente_aprobacion'];
+
+    const result = await pool.query(`
+      SELECT 
+        u.id, 
+        u.nombre_apellido, 
+        u.telefono, 
+        u.email, 
+        u.rol, 
+        u.fecha_creacion, 
+        u.estado_registro, 
+        u.email_verificado,
+        u.fecha_revision,
+        u.motivo_rechazo,
+        r.email AS revisado_por_email
+      FROM users u
+      LEFT JOIN users r ON r.id = u.revisado_por
+      WHERE u.estado_registro = ANY($1)
+      ORDER BY u.fecha_creacion ASC
+    `, [estados]);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      total: result.rows.length
+    });
+  } catch (error) {
+    console.error('Error obteniendo solicitudes de registro:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Aprobar una solicitud de registro con fecha de vencimiento
+app.post('/api/admin/registrations/:userId/approve', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { fecha_vencimiento, rol = 'empleado' } = req.body;
+
+    if (!auth.ROLES.includes(rol)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rol inválido'
+      });
+    }
+
+    const vencimiento = new Date(fecha_vencimiento);
+    if (!fecha_vencimiento || isNaN(vencimiento.getTime()) || vencimiento <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Se requiere una fecha de vencimiento futura válida'
+      });
+    }
+
+    const oldResult = await pool.query(
+      'SELECT id, email, nombre_apellido, rol, activo, estado_registro, fecha_vencimiento FROM users WHERE id = $1',
+      [userId]
+    );
+    const oldUser = oldResult.rows[0];
+
+    if (!oldUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    if (oldUser.estado_registro !== 'pendiente_aprobacion') {
+      return res.status(409).json({
+        success: false,
+        message: oldUser.estado_registro === 'pendiente_verificacion'
+          ? 'El usuario todavía no verificó su email'
+          : `La solicitud no está pendiente de aprobación (estado: ${oldUser.estado_registro})`
+      });
+    }
+
+    const result = await pool.query(`
+      UPDATE users 
+      SET estado_registro = 'aprobado',
+          activo = true,
+          rol = $1,
+          fecha_vencimiento = $2,
+          fecha_revision = NOW(),
+          revisado_por = $3,
+          motivo_rechazo = NULL
+      WHERE id = $4
+      RETURNING id, email, nombre_apellido, rol, activo, estado_registro, fecha_vencimiento
+    `, [rol, vencimiento, req.user.id, userId]);
+    const approvedUser = result.rows[0];
+
+    const requestInfo = getRequestInfo(req);
+    await logAuditAction({
+      userEmail: req.user.email,
+      userId: req.user.id,
+      userName: req.user.nombre_apellido,
+      action: 'REGISTRATION_APPROVED',
+      tableName: 'users',
+      recordId: approvedUser.id,
+      oldValues: oldUser,
+      newValues: approvedUser,
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      sessionInfo: requestInfo.sessionInfo
+    });
+
+    await auth.sendNotification({
+      action: 'registration_approved',
+      email: approvedUser.email,
+      nombre: approvedUser.nombre_apellido,
+      fechaVencimiento: approvedUser.fecha_vencimiento,
+      loginLink: `${process.env.FRONTEND_URL || `${req.protocol}://${req.get('host')}`}/login`
+    });
+
+    res.json({
+      success: true,
+      message: `Registro de ${approvedUser.email} aprobado`,
+      user: approvedUser
+    });
+  } catch (error) {
+    console.error('Error aprobando registro:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Rechazar una solicitud de registro
+app.post('/api/admin/registrations/:userId/reject', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { motivo } = req.body;
+
+    const oldResult = await pool.query(
+      'SELECT id, email, nombre_apellido, rol, activo, estado_registro FROM users WHERE id = $1',
+      [userId]
+    );
+    const oldUser = oldResult.rows[0];
+
+    if (!oldUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    if (!['pendiente_verificacion', 'pendiente_aprobacion'].includes(oldUser.estado_registro)) {
+      return res.status(409).json({
+        success: false,
+        message: `La solicitud no está pendiente (estado: ${oldUser.estado_registro})`
+      });
+    }
+
+    const result = await pool.query(`
+      UPDATE users 
+      SET estado_registro = 'rechazado',
+          activo = false,
+          fecha_revision = NOW(),
+          revisado_por = $1,
+          motivo_rechazo = $2
+      WHERE id = $3
+      RETURNING id, email, nombre_apellido, rol, activo, estado_registro, motivo_rechazo
+    `, [req.user.id, motivo?.trim() || null, userId]);
+    const rejectedUser = result.rows[0];
+
+    const requestInfo = getRequestInfo(req);
+    await logAuditAction({
+      userEmail: req.user.email,
+      userId: req.user.id,
+      userName: req.user.nombre_apellido,
+      action: 'REGISTRATION_REJECTED',
+      tableName: 'users',
+      recordId: rejectedUser.id,
+      oldValues: oldUser,
+      newValues: rejectedUser,
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      sessionInfo: requestInfo.sessionInfo
+    });
+
+    await auth.sendNotification({
+      action: 'registration_rejected',
+      email: rejectedUser.email,
+      nombre: rejectedUser.nombre_apellido,
+      motivo: rejectedUser.motivo_rechazo
+    });
+
+    res.json({
+      success: true,
+      message: `Registro de ${rejectedUser.email} rechazado`,
+      user: rejectedUser
+    });
+  } catch (error) {
+    console.error('Error rechazando registro:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Listar bloqueos vigentes por intentos fallidos (solo admin)
+app.get('/api/admin/lockouts', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const lockouts = await auth.getActiveLockouts();
+
+    res.json({
+      success: true,
+      data: lockouts,
+      total: lockouts.length
+    });
+  } catch (error) {
+    console.error('Error obteniendo bloqueos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Desbloquear la cuenta de un usuario (solo admin)
+app.post('/api/admin/users/:userId/unlock', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const userResult = await pool.query('SELECT id, email FROM users WHERE id = $1', [userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    const user = userResult.rows[0];
+    const cleared = await auth.unlockAccount(user.email);
+
+    const requestInfo = getRequestInfo(req);
+    await logAuditAction({
+      userEmail: req.user.email,
+      userId: req.user.id,
+      userName: req.user.nombre_apellido,
+      action: 'ACCOUNT_UNLOCKED',
+      tableName: 'users',
+      recordId: user.id,
+      oldValues: null,
+      newValues: { email: user.email, cleared_entries: cleared },
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      sessionInfo: requestInfo.sessionInfo
+    });
+
+    res.json({
+      success: true,
+      message: `Cuenta ${user.email} desbloqueada`,
+      cleared: cleared
+    });
+  } catch (error) {
+    console.error('Error desbloqueando cuenta:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Desbloquear una IP (solo admin)
+app.post('/api/admin/lockouts/unlock-ip', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const { ip } = req.body;
+
+    if (!ip) {
+      return res.status(400).json({
+        success: false,
+        message: 'IP requerida'
+      });
+    }
+
+    const cleared = await auth.unlockIp(ip);
+
+    const requestInfo = getRequestInfo(req);
+    await logAuditAction({
+      userEmail: req.user.email,
+      userId: req.user.id,
+      userName: req.user.nombre_apellido,
+      action: 'IP_UNLOCKED',
+      tableName: 'auth_throttle',
+      recordId: ip,
+      oldValues: null,
+      newValues: { ip: ip, cleared_entries: cleared },
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      sessionInfo: requestInfo.sessionInfo
+    });
+
+    res.json({
+      success: true,
+      message: `IP ${ip} desbloqueada`,
+      cleared: cleared
+    });
+  } catch (error) {
+    console.error('Error desbloqueando IP:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// ========== VENCIMIENTO DE CUENTAS ==========
+
+// Validar el cuerpo de una solicitud de vencimiento: fecha fija o días a extender
+function parseExpiryRequest(body) {
+  const { fecha_vencimiento, extender_dias, reactivar } = body;
+
+  if (fecha_vencimiento && extender_dias) {
+    return { error: 'Indique fecha_vencimiento o extender_dias, no ambos' };
+  }
+
+  if (fecha_vencimiento) {
+    const vencimiento = new Date(fecha_vencimiento);
+    if (isNaN(vencimiento.getTime()) || vencimiento <= new Date()) {
+      return { error: 'Se requiere una fecha de vencimiento futura válida' };
+    }
+    return { fechaVencimiento: vencimiento, reactivate: reactivar !== false };
+  }
+
+  const dias = parseInt(extender_dias);
+  if (!dias || dias < 1 || dias > 3650) {
+    return { error: 'Indique una fecha_vencimiento futura o extender_dias entre 1 y 3650' };
+  }
+  return { extendDays: dias, reactivate: reactivar !== false };
+}
+
+// Registrar en auditoría cada cambio de vencimiento
+async function auditExpiryChanges(req, changes) {
+  const requestInfo = getRequestInfo(req);
+  for (const { old, user } of changes) {
+    await logAuditAction({
+      userEmail: req.user.email,
+      userId: req.user.id,
+      userName: req.user.nombre_apellido,
+      action: 'USER_EXPIRY_UPDATED',
+      tableName: 'users',
+      recordId: user.id,
+      oldValues: old ? { fecha_vencimiento: old.fecha_vencimiento, activo: old.activo } : null,
+      newValues: { fecha_vencimiento: user.fecha_vencimiento, activo: user.activo },
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      sessionInfo: requestInfo.sessionInfo
+    });
+  }
+}
+
+// Usuarios que vencen en los próximos días (solo admin)
+app.get('/api/admin/users/expiring', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || auth.EXPIRY_WARNING_DAYS;
+    const users = await auth.getExpiringUsers(days);
+
+    res.json({
+      success: true,
+      days: days,
+      data: users,
+      total: users.length
+    });
+  } catch (error) {
+    console.error('Error obteniendo usuarios por vencer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Fijar o extender el vencimiento de varios usuarios (solo admin)
+app.put('/api/admin/users/expiry', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const { userIds } = req.body;
+
+    if (!Array.isArray(userIds) || userIds.length === 0 || userIds.some(id => !Number.isInteger(Number(id)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Se requiere una lista de IDs de usuario (userIds)'
+      });
+    }
+
+    const expiry = parseExpiryRequest(req.body);
+    if (expiry.error) {
+      return res.status(400).json({
+        success: false,
+        message: expiry.error
+      });
+    }
+
+    const changes = await auth.updateUserExpiry(userIds.map(Number), expiry);
+    await auditExpiryChanges(req, changes);
+
+    res.json({
+      success: true,
+      message: `Vencimiento actualizado para ${changes.length} usuarios`,
+      users: changes.map(change => change.user),
+      notFound: userIds.map(Number).filter(id => !changes.some(change => change.user.id === id))
+    });
+  } catch (error) {
+    console.error('Error actualizando vencimientos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Fijar o extender el vencimiento de un usuario (solo admin)
+app.put('/api/admin/users/:userId/expiry', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    if (isNaN(userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    const expiry = parseExpiryRequest(req.body);
+    if (expiry.error) {
+      return res.status(400).json({
+        success: false,
+        message: expiry.error
+      });
+    }
+
+    const changes = await auth.updateUserExpiry([userId], expiry);
+    if (changes.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    await auditExpiryChanges(req, changes);
+
+    res.json({
+      success: true,
+      message: 'Vencimiento actualizado',
+      user: changes[0].user
+    });
+  } catch (error) {
+    console.error('Error actualizando vencimiento:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Enviar manualmente los avisos de vencimiento pendientes (solo admin)
+app.post('/api/admin/expiry-warnings/run', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const sentCount = await auth.sendExpiryWarnings(req);
+
+    res.json({
+      success: true,
+      message: `Se enviaron ${sentCount} avisos de vencimiento`,
+      sentCount: sentCount
+    });
+  } catch (error) {
+    console.error('Error enviando avisos de vencimiento:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Invalidar la caché de esquemas: una tabla (?table=) o todas (solo admin)
+app.post('/api/admin/schema-cache/refresh', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const requested = req.query.table || req.body?.table;
+    // La caché usa la forma canónica del nombre ('public.x' -> 'x')
+    const tableName = requested ? normalizeTableName(String(requested)) : schemaCache.ALL_TABLES;
+
+    if (tableName !== schemaCache.ALL_TABLES && !(await getRegisteredTables()).has(tableName)) {
+      return res.status(404).json({
+        success: false,
+        message: `Tabla '${requested}' no encontrada`
+      });
+    }
+
+    schemaCache.invalidate(tableName, `admin:${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: tableName === schemaCache.ALL_TABLES 
+        ? 'Caché de esquemas vaciada' 
+        : `Caché de esquema de '${tableName}' invalidada`,
+      stats: schemaCache.getStats()
+    });
+  } catch (error) {
+    console.error('Error invalidando la caché de esquemas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Endpoint para limpiar usuarios vencidos manualmente (solo admin)
+app.post('/api/admin/clean-expired-users', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    const cleanedCount = await auth.cleanExpiredUsers();
+    
+    res.json({
+      success: true,
+      message: `Se procesaron ${cleanedCount} usuarios vencidos`,
+      cleanedCount: cleanedCount
+    });
+  } catch (error) {
+    console.error('Error limpiando usuarios vencidos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// Programar limpieza automática de usuarios vencidos cada 24 horas
+setInterval(async () => {
   try {
     const cleanedCount = await auth.cleanExpiredUsers();
     if (cleanedCount > 0) {
       console.log(`🔄 Limpieza automática completada: ${cleanedCount} usuarios desactivados`);
     }
+    await auth.sendExpiryWarnings();
+    await auth.purgeOldSessions();
+    await auth.purgeStaleThrottles();
   } catch (error) {
     console.error('Error en limpieza automática:', error);
   }
 }, 24 * 60 * 60 * 1000); // 24 horas
 
+// ========== DOCUMENTACIÓN DE LA API ==========
+
+// Documento OpenAPI con las rutas fijas y las rutas de cada tabla registrada
+// que el usuario (o la API key) puede leer
+app.get('/api/openapi.json', auth.requireAuth, async (req, res) => {
+  try {
+    const registered = await getRegisteredTables();
+    const readableTables = await auth.getReadableTables(req.user);
+    const [enums, categoriesResult] = await Promise.all([
+      getUsedEnums(),
+      pool.query(`
+        SELECT DISTINCT ON (table_name) table_name, table_display_name, table_description
+        FROM table_categories
+        WHERE is_active = true
+        ORDER BY table_name, category_order NULLS LAST
+      `)
+    ]);
+    const categoryInfo = new Map(categoriesResult.rows.map(row => [normalizeTableName(row.table_name), row]));
+
+    const tableNames = [...registered.keys()]
+      .filter(tableName => !readableTables || readableTables.has(tableName))
+      .sort();
+
+    const tables = [];
+    for (const tableName of tableNames) {
+      try {
+        tables.push({
+          name: tableName,
+          displayName: categoryInfo.get(tableName)?.table_display_name,
+          description: categoryInfo.get(tableName)?.table_description,
+          allowedOperations: registered.get(tableName),
+          schema: await getTableSchema(tableName)
+        });
+      } catch (schemaError) {
+        console.warn(`⚠️ Tabla ${tableName} omitida de la documentación:`, schemaError.message);
+      }
+    }
+
+    res.json(openapi.buildSpec({
+      routes: openapi.listRoutes(app, {
+        authHandlers: [auth.requireAuth, auth.requireAuthOrSetupChallenge],
+        adminHandlers: [auth.requireAdmin, requireAdmin]
+      }),
+      tables,
+      enums,
+      serverUrl: process.env.FRONTEND_URL || `${req.protocol}://${req.get('host')}`,
+      title: 'Rio Data API',
+      version: require('./package.json').version
+    }));
+  } catch (error) {
+    console.error('Error generando documento OpenAPI:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al generar la documentación de la API'
+    });
+  }
+});
+
+// Documentación interactiva (Swagger UI sobre /api/openapi.json)
+app.get('/api-docs', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'api-docs.html'));
+});
+
 // Ruta para servir el registro
 app.get('/register', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'register.html'));
@@ -3194,22 +6883,35 @@ app.get('/login', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'login.html'));
 });
 
-// Iniciar servidor con validación de conexión
-app.listen(PORT, async () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📱 Frontend available at /`);
-  console.log(`🏥 Health check available at /health`);
-  console.log(`🔄 Sistema dinámico activado - usando app_information_schema`);
-  console.log(`🔒 SSL/TLS habilitado para PostgreSQL`);
-  
-  // Probar conexión y mostrar tablas disponibles
+// Iniciar servidor solo si la base de datos tiene todas las migraciones aplicadas
+async function startServer() {
   try {
     console.log('🔄 Probando conexión inicial a PostgreSQL...');
-    
-    const result = await pool.query('SELECT 1');
+    await pool.query('SELECT 1');
     console.log('✅ Conexión a PostgreSQL exitosa');
-    console.log('✅ app_information_schema accesible');
-    
+
+    const pending = await migrations.getPending(pool);
+    if (pending.length > 0) {
+      console.error(`❌ Hay ${pending.length} migraciones pendientes: ${pending.map(m => `${m.version}_${m.name}`).join(', ')}`);
+      console.error('   Ejecutar "npm run migrate" antes de iniciar el servidor');
+      process.exit(1);
+    }
+    console.log('✅ Migraciones de base de datos al día');
+  } catch (error) {
+    console.error('❌ No se pudo verificar la base de datos al iniciar:', error.message);
+    process.exit(1);
+  }
+
+  // Invalidar la caché de esquemas ante cambios de DDL o de metadatos
+  schemaCache.startListening(pool.options);
+
+  app.listen(PORT, async () => {
+    console.log(`🚀 Server running on port ${PORT}`);
+    console.log(`📱 Frontend available at /`);
+    console.log(`🏥 Health check available at /health`);
+    console.log(`🔄 Sistema dinámico activado - usando app_information_schema`);
+    console.log(`🔒 SSL/TLS habilitado para PostgreSQL`);
+
     // Mostrar tablas disponibles
     try {
       const tables = await getDynamicTables();
@@ -3221,7 +6923,7 @@ app.listen(PORT, async () => {
     } catch (tableError) {
       console.log('⚠️ No se pudieron listar las tablas automáticamente:', tableError.message);
     }
-  } catch (error) {
-    console.error('❌ Error al probar conexión inicial:', error.message);
-  }
-});
+  });
+}
+
+startServer();
@@ -0,0 +1,449 @@
+const ExcelJS = require('exceljs');
+const { parseString } = require('fast-csv');
+
+// Lectura de archivos CSV / XLSX para la importación masiva de registros y
+// conversión de sus celdas a los tipos de las columnas de la tabla destino.
+// No toca la base de datos: la inserción y la auditoría están en server.js.
+const MAX_IMPORT_ROWS = 5000;
+const CSV_DELIMITERS = [',', ';', '\t'];
+const INTEGER_DATA_TYPES = ['smallint', 'integer', 'bigint'];
+const DECIMAL_DATA_TYPES = ['numeric', 'decimal', 'real', 'double precision', 'money'];
+const TRUE_VALUES = ['true', 't', 'si', 'sí', 's', 'yes', 'y', '1', 'verdadero', 'x'];
+const FALSE_VALUES = ['false', 'f', 'no', 'n', '0', 'falso'];
+
+exports.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
+
+// "Razón  Social" -> "razon social", para comparar encabezados con columnas
+function normalizeHeader(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[\s_]+/g, ' ')
+    .trim();
+}
+
+// ========== LECTURA DE ARCHIVOS ==========
+
+// Los CSV exportados por Excel en Windows suelen venir en Latin-1
+function decodeText(buffer) {
+  const text = buffer.toString('utf8');
+  const decoded = text.includes('\uFFFD') ? buffer.toString('latin1') : text;
+  return decoded.replace(/^\uFEFF/, '');
+}
+
+// El separador más frecuente en la línea de encabezados
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  let best = ',';
+  let bestCount = 0;
+  CSV_DELIMITERS.forEach(delimiter => {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+// Línea del archivo en la que empieza cada registro: un campo entre comillas
+// puede ocupar varias líneas, así que no alcanza con contar los registros
+function getRecordStartLines(text) {
+  const startLines = [];
+  let line = 1;
+  let inQuotes = false;
+  let atRecordStart = true;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (atRecordStart) {
+      startLines.push(line);
+      atRecordStart = false;
+    }
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      line++;
+      if (!inQuotes) atRecordStart = true;
+    }
+  }
+  return startLines;
+}
+
+function parseCsv(buffer) {
+  const text = decodeText(buffer);
+  const delimiter = detectDelimiter(text);
+  const startLines = getRecordStartLines(text);
+
+  return new Promise((resolve, reject) => {
+    let headers = [];
+    const rows = [];
+    // Los registros vacíos se descartan acá y no en el parser para que el
+    // número de fila siga siendo la línea real del archivo
+    let recordIndex = 0;
+
+    parseString(text, {
+      delimiter,
+      headers: fileHeaders => {
+        headers = fileHeaders.map(header => (header || '').trim());
+        return headers;
+      },
+      trim: true
+    })
+      .on('error', reject)
+      .on('data', values => {
+        // El registro 0 son los encabezados
+        recordIndex++;
+        const isEmpty = Object.values(values).every(value => value === undefined || value === null || value === '');
+        if (isEmpty) return;
+        rows.push({ rowNumber: startLines[recordIndex], values });
+      })
+      .on('end', () => resolve({ headers, rows }));
+  });
+}
+
+// Valor de una celda de ExcelJS: fórmulas, texto enriquecido e hipervínculos
+// se reducen a su valor visible
+function getCellValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if (value.result !== undefined) return getCellValue(value.result);
+  if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+  if (value.text !== undefined) return getCellValue(value.text);
+  if (value.error) return null;
+  return String(value);
+}
+
+// Primera hoja del libro, con los encabezados en la primera fila
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    throw new Error('El archivo no tiene hojas');
+  }
+
+  const headers = [];
+  worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+    const header = getCellValue(cell.value);
+    headers[columnNumber - 1] = header === null ? '' : String(header).trim();
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    let hasValues = false;
+    headers.forEach((header, index) => {
+      if (!header) return;
+      let value = getCellValue(row.getCell(index + 1).value);
+      if (typeof value === 'string') value = value.trim();
+      if (value !== null && value !== '') hasValues = true;
+      values[header] = value;
+    });
+
+    if (hasValues) rows.push({ rowNumber, values });
+  });
+
+  return { headers, rows };
+}
+
+// Leer el archivo según su extensión: { headers, rows: [{ rowNumber, values }] }
+exports.parseFile = async function(fileName, buffer) {
+  const extension = String(fileName || '').toLowerCase().split('.').pop();
+  let parsed;
+
+  if (extension === 'csv' || extension === 'txt') {
+    parsed = await parseCsv(buffer);
+  } else if (extension === 'xlsx') {
+    parsed = await parseXlsx(buffer);
+  } else {
+    throw new Error('Formato no soportado: use un archivo .csv o .xlsx');
+  }
+
+  const headers = parsed.headers.filter(Boolean);
+  if (headers.length === 0) {
+    throw new Error('El archivo no tiene encabezados en la primera fila');
+  }
+
+  const seen = new Set();
+  for (const header of headers) {
+    if (seen.has(header)) {
+      throw new Error(`El encabezado '${header}' está repetido`);
+    }
+    seen.add(header);
+  }
+
+  return { headers, rows: parsed.rows };
+};
+
+// ========== MAPEO DE COLUMNAS ==========
+
+// Asociar encabezados del archivo con columnas de la tabla. Sin mapeo explícito
+// se compara cada encabezado con el nombre y la etiqueta de las columnas
+// (sin distinguir mayúsculas ni acentos). En el mapeo explícito un valor
+// null o '' ignora ese encabezado.
+// Devuelve { mapping: { encabezado: columna }, unmapped, errors }.
+exports.buildColumnMapping = function(headers, tableSchema, requestedMapping) {
+  const mapping = {};
+  const errors = [];
+  const isImportable = column => !(column.ui && (column.ui.readOnly || column.ui.hidden));
+
+  if (requestedMapping && typeof requestedMapping === 'object') {
+    Object.entries(requestedMapping).forEach(([header, columnName]) => {
+      if (!headers.includes(header)) {
+        errors.push(`El encabezado '${header}' no está en el archivo`);
+        return;
+      }
+      if (columnName === null || columnName === '') return;
+
+      const column = tableSchema.columns.find(col => col.column_name === columnName);
+      if (!column) {
+        errors.push(`La columna '${columnName}' no existe`);
+      } else if (!isImportable(column)) {
+        errors.push(`El campo '${column.ui.label || columnName}' no se puede modificar`);
+      } else {
+        mapping[header] = columnName;
+      }
+    });
+  } else {
+    headers.forEach(header => {
+      const normalized = normalizeHeader(header);
+      const column = tableSchema.columns.find(col =>
+        isImportable(col) && (
+          normalizeHeader(col.column_name) === normalized ||
+          (col.ui && col.ui.label && normalizeHeader(col.ui.label) === normalized)
+        )
+      );
+      if (column) mapping[header] = column.column_name;
+    });
+  }
+
+  const mappedColumns = Object.values(mapping);
+  const duplicated = mappedColumns.filter((column, index) => mappedColumns.indexOf(column) !== index);
+  [...new Set(duplicated)].forEach(column => {
+    errors.push(`La columna '${column}' está asociada a más de un encabezado`);
+  });
+
+  if (mappedColumns.length === 0 && errors.length === 0) {
+    errors.push('Ningún encabezado del archivo coincide con las columnas de la tabla');
+  }
+
+  return {
+    mapping,
+    unmapped: headers.filter(header => !mapping[header]),
+    errors
+  };
+};
+
+// Columnas que el INSERT necesita sí o sí: NOT NULL y sin valor por defecto
+exports.getRequiredColumns = function(tableSchema) {
+  return tableSchema.columns
+    .filter(column => column.is_nullable === 'NO' && column.column_default === null)
+    .map(column => column.column_name);
+};
+
+// ========== CONVERSIÓN DE VALORES ==========
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+// YYYY-MM-DD si la fecha existe (descarta 31/02 y similares)
+function buildDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Fechas ISO (2024-03-15) o locales (15/03/2024, 15-03-2024), con hora opcional.
+// Las celdas de fecha de Excel llegan como Date en UTC.
+function parseDateTime(value, withTime) {
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    const date = `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-${pad(value.getUTCDate())}`;
+    return withTime
+      ? `${date} ${pad(value.getUTCHours())}:${pad(value.getUTCMinutes())}:${pad(value.getUTCSeconds())}`
+      : date;
+  }
+
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  let year, month, day;
+  if (match) {
+    [year, month, day] = [match[1], match[2], match[3]].map(Number);
+  } else {
+    match = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (!match) return null;
+    [day, month, year] = [match[1], match[2], match[3]].map(Number);
+  }
+
+  const date = buildDate(year, month, day);
+  if (!date || !withTime) return date;
+
+  // Las marcas ISO completas (con zona horaria) las interpreta PostgreSQL
+  if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/.test(text)) return text;
+  const [hours, minutes, seconds] = [match[4] || 0, match[5] || 0, match[6] || 0].map(Number);
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+  return `${date} ${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+}
+
+// Parte entera agrupada de a tres con el separador de miles: "1.234.567"
+function isThousandsGrouped(text, separator) {
+  return new RegExp(`^[1-9]\\d{0,2}(\\${separator}\\d{3})+$`).test(text);
+}
+
+// Números en formato local ("1.234,56", "1234,56") o inglés ("1,234.56",
+// "1234.56") -> { value: "1234.56" } o { error }. Con los dos separadores el
+// último es el decimal; el de miles solo puede agrupar de a tres dígitos.
+// Un único separador seguido de tres dígitos ("1.234", "1,234") puede ser de
+// miles o decimal según el formato: se rechaza en lugar de adivinar.
+function parseDecimal(value) {
+  const invalid = { error: `'${value}' no es un número` };
+  if (typeof value === 'number') return Number.isFinite(value) ? { value: String(value) } : invalid;
+
+  const text = String(value).replace(/\s/g, '').replace(/^\$/, '');
+  const match = /^(-?)(\d[\d.,]*\d|\d)$/.exec(text);
+  if (!match) return invalid;
+
+  const [, sign, number] = match;
+  const separators = [...new Set(number.replace(/\d/g, ''))];
+  if (separators.length === 0) return { value: sign + number };
+
+  const decimalIndex = Math.max(number.lastIndexOf('.'), number.lastIndexOf(','));
+  const integerPart = number.slice(0, decimalIndex);
+  const fractionPart = number.slice(decimalIndex + 1);
+  const separator = number[decimalIndex];
+
+  if (separators.length === 2) {
+    const thousands = separators.find(char => char !== separator);
+    if (integerPart.includes(separator) || !isThousandsGrouped(integerPart, thousands)) return invalid;
+    return { value: `${sign}${integerPart.split(thousands).join('')}.${fractionPart}` };
+  }
+
+  // Un separador repetido solo puede ser de miles
+  if (integerPart.includes(separator)) {
+    return isThousandsGrouped(number, separator) ? { value: sign + number.split(separator).join('') } : invalid;
+  }
+
+  if (fractionPart.length === 3 && isThousandsGrouped(number, separator)) {
+    return {
+      error: `'${value}' es ambiguo: escriba los miles sin separador o indique los decimales (p. ej. 1234 o 1.234,00)`
+    };
+  }
+  return { value: `${sign}${integerPart}.${fractionPart}` };
+}
+
+function parseInteger(value) {
+  if (typeof value === 'number') return Number.isInteger(value) ? String(value) : null;
+  const text = String(value).replace(/\s/g, '');
+  return /^-?\d+$/.test(text) ? text : null;
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  return null;
+}
+
+// Valor del enum tal como está definido; acepta diferencias de mayúsculas y acentos
+function matchEnumValue(value, enumValues) {
+  const text = String(value).trim();
+  if (enumValues.includes(text)) return text;
+  const normalized = normalizeHeader(text);
+  return enumValues.find(enumValue => normalizeHeader(enumValue) === normalized) || null;
+}
+
+// Convertir una celda al tipo de la columna. Devuelve { value } o { error }.
+// `enumValues` son los valores permitidos si la columna (o su elemento) es un enum.
+function convertValue(column, rawValue, enumValues) {
+  if (rawValue === null || rawValue === undefined || rawValue === '') {
+    return { value: null };
+  }
+
+  const dataType = column.data_type;
+
+  if (dataType === 'ARRAY') {
+    const items = Array.isArray(rawValue)
+      ? rawValue
+      : String(rawValue).replace(/^[{[]|[}\]]$/g, '').split(/[,;]/).map(item => item.trim()).filter(Boolean);
+    if (!enumValues) return { value: items };
+
+    const values = [];
+    for (const item of items) {
+      const value = matchEnumValue(item, enumValues);
+      if (value === null) {
+        return { error: `'${item}' no es un valor permitido (${enumValues.join(', ')})` };
+      }
+      values.push(value);
+    }
+    return { value: values };
+  }
+
+  if (enumValues) {
+    const value = matchEnumValue(rawValue, enumValues);
+    return value === null
+      ? { error: `'${rawValue}' no es un valor permitido (${enumValues.join(', ')})` }
+      : { value };
+  }
+
+  if (INTEGER_DATA_TYPES.includes(dataType)) {
+    const value = parseInteger(rawValue);
+    return value === null ? { error: `'${rawValue}' no es un número entero` } : { value };
+  }
+
+  if (DECIMAL_DATA_TYPES.includes(dataType)) {
+    return parseDecimal(rawValue);
+  }
+
+  if (dataType === 'boolean') {
+    const value = parseBoolean(rawValue);
+    return value === null ? { error: `'${rawValue}' no es un valor sí/no` } : { value };
+  }
+
+  if (dataType === 'date') {
+    const value = parseDateTime(rawValue, false);
+    return value === null ? { error: `'${rawValue}' no es una fecha válida (DD/MM/AAAA)` } : { value };
+  }
+
+  if (dataType.startsWith('timestamp')) {
+    const value = parseDateTime(rawValue, true);
+    return value === null ? { error: `'${rawValue}' no es una fecha y hora válida` } : { value };
+  }
+
+  const value = rawValue instanceof Date ? parseDateTime(rawValue, false) : String(rawValue);
+  if (column.character_maximum_length && value.length > column.character_maximum_length) {
+    return { error: `supera el máximo de ${column.character_maximum_length} caracteres` };
+  }
+  return { value };
+}
+
+// Convertir una fila del archivo a { columna: valor } según el mapeo.
+// `getEnumValues(column)` devuelve los valores del enum de la columna o null.
+// Devuelve { data, errors } con los errores ya redactados para el reporte.
+exports.convertRow = function(row, mapping, tableSchema, getEnumValues) {
+  const data = {};
+  const errors = [];
+
+  Object.entries(mapping).forEach(([header, columnName]) => {
+    const column = tableSchema.columns.find(col => col.column_name === columnName);
+    const label = (column.ui && column.ui.label) || columnName;
+    const result = convertValue(column, row.values[header], getEnumValues(column));
+
+    if (result.error) {
+      errors.push(`${label}: ${result.error}`);
+    } else {
+      data[columnName] = result.value;
+    }
+  });
+
+  return { data, errors };
+};
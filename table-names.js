@@ -0,0 +1,48 @@
+// Identificadores de tabla compartidos por server.js y auth.js.
+// Las tablas de datos pueden estar en varios esquemas (DATA_SCHEMAS, por defecto
+// solo public). Se identifican como "esquema.tabla"; las de public sin prefijo,
+// para que los metadatos, permisos y API keys existentes sigan valiendo.
+// El mismo formato se usa para los tipos enum.
+const DEFAULT_SCHEMA = 'public';
+const DATA_SCHEMAS = (process.env.DATA_SCHEMAS || DEFAULT_SCHEMA)
+  .split(',')
+  .map(schema => schema.trim())
+  .filter(Boolean);
+
+exports.DEFAULT_SCHEMA = DEFAULT_SCHEMA;
+exports.DATA_SCHEMAS = DATA_SCHEMAS;
+
+// "registro.cooperativas" -> { schema: 'registro', name: 'cooperativas' }
+function parseQualifiedName(qualifiedName) {
+  const dot = qualifiedName.indexOf('.');
+  if (dot === -1) {
+    return { schema: DEFAULT_SCHEMA, name: qualifiedName };
+  }
+  return { schema: qualifiedName.slice(0, dot), name: qualifiedName.slice(dot + 1) };
+}
+
+function qualifyName(schema, name) {
+  return schema === DEFAULT_SCHEMA ? name : `${schema}.${name}`;
+}
+
+// Forma canónica de un identificador: "public.tabla" -> "tabla"
+function normalizeTableName(tableName) {
+  const { schema, name } = parseQualifiedName(tableName);
+  return qualifyName(schema, name);
+}
+
+function isDataSchemaTable(tableName) {
+  return DATA_SCHEMAS.includes(parseQualifiedName(tableName).schema);
+}
+
+// Lo mismo que normalizeTableName para una columna en SQL, para comparar
+// nombres guardados como 'public.x' o 'x' contra la forma canónica
+function normalizedTableNameSql(column) {
+  return `regexp_replace(${column}, '^${DEFAULT_SCHEMA}\\.', '')`;
+}
+
+exports.parseQualifiedName = parseQualifiedName;
+exports.qualifyName = qualifyName;
+exports.normalizeTableName = normalizeTableName;
+exports.isDataSchemaTable = isDataSchemaTable;
+exports.normalizedTableNameSql = normalizedTableNameSql;
@@ -0,0 +1,70 @@
+// Verificación de la lectura de números en la importación CSV / XLSX.
+//
+// Uso:
+//   npm run check:import-numbers
+//
+// Recorre los formatos aceptados, los ambiguos y los mal formados a través de
+// convertRow (lo mismo que valida el dry-run de /api/tables/:tableName/import)
+// y termina con error si alguno no da el resultado esperado.
+const assert = require('assert');
+const tableImport = require('../table-import');
+
+const TABLE_SCHEMA = { columns: [{ column_name: 'importe', data_type: 'numeric' }] };
+
+// [valor de la celda, valor esperado o null si debe ser un error de la fila]
+const CASES = [
+  ['1234', '1234'],
+  ['1234,56', '1234.56'],
+  ['1234.56', '1234.56'],
+  ['1.234,56', '1234.56'],
+  ['1,234.56', '1234.56'],
+  ['1.234.567', '1234567'],
+  ['1,234,567', '1234567'],
+  ['1.234.567,8', '1234567.8'],
+  ['0,125', '0.125'],
+  ['1234.567', '1234.567'],
+  ['-1.234,5', '-1234.5'],
+  ['$ 1.234,00', '1234.00'],
+  [1234.5, '1234.5'],
+  // Ambiguos: miles o decimales según el formato
+  ['1.234', null],
+  ['1,234', null],
+  // Mal formados
+  ['1.2,3', null],
+  ['1,23.4', null],
+  ['12,34,56', null],
+  ['1.234.56', null],
+  ['1,234,56.7', null],
+  ['1,', null],
+  [',5', null],
+  ['abc', null]
+];
+
+let failures = 0;
+for (const [input, expected] of CASES) {
+  const { data, errors } = tableImport.convertRow(
+    { rowNumber: 2, values: { importe: input } },
+    { importe: 'importe' },
+    TABLE_SCHEMA,
+    () => null
+  );
+
+  try {
+    if (expected === null) {
+      assert.strictEqual(errors.length, 1, `se esperaba un error y se obtuvo ${data.importe}`);
+    } else {
+      assert.deepStrictEqual(errors, []);
+      assert.strictEqual(data.importe, expected);
+    }
+    console.log(`✅ ${JSON.stringify(input)} -> ${expected === null ? errors[0] : data.importe}`);
+  } catch (error) {
+    failures++;
+    console.error(`❌ ${JSON.stringify(input)}: ${error.message}`);
+  }
+}
+
+if (failures > 0) {
+  console.error(`${failures} de ${CASES.length} casos fallaron`);
+  process.exit(1);
+}
+console.log(`Todos los casos (${CASES.length}) dieron el resultado esperado`);
@@ -0,0 +1,142 @@
+// Proveedor OIDC de prueba para desarrollo local. NO usar en producción.
+//
+// Uso:
+//   npm run mock-oidc
+//   OIDC_ISSUER=http://localhost:9400 OIDC_CLIENT_ID=riodata-local npm start
+//
+// /authorize muestra un formulario para elegir email, nombre y roles del
+// usuario simulado; el resto del flujo (code + PKCE S256, id_token RS256
+// firmado, JWKS) se comporta como un proveedor real.
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 9400;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'riodata-local';
+const KEY_ID = 'mock-key-1';
+const CODE_TTL_MS = 60 * 1000;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const pendingCodes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Formulario de "login" del usuario simulado
+app.get('/authorize', (req, res) => {
+  const { client_id, response_type, code_challenge_method } = req.query;
+
+  if (client_id !== CLIENT_ID || response_type !== 'code' || code_challenge_method !== 'S256') {
+    return res.status(400).send('Solicitud inválida: se requiere client_id conocido, response_type=code y PKCE S256');
+  }
+
+  const hidden = ['redirect_uri', 'state', 'nonce', 'code_challenge']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('');
+
+  res.send(`<!DOCTYPE html>
+<html lang="es"><head><meta charset="UTF-8"><title>Mock OIDC</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 40px auto;">
+  <h2>Proveedor OIDC de prueba</h2>
+  <form method="POST" action="/authorize">
+    ${hidden}
+    <p><label>Sub<br><input name="sub" value="mock-user-1" required></label></p>
+    <p><label>Email<br><input name="email" type="email" value="agente@rionegro.gov.ar" required></label></p>
+    <p><label>Nombre<br><input name="name" value="Agente de Prueba"></label></p>
+    <p><label>Roles (separados por coma)<br><input name="roles" value=""></label></p>
+    <button type="submit">Ingresar</button>
+    <button type="submit" name="deny" value="1">Rechazar</button>
+  </form>
+</body></html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri, state, nonce, code_challenge, sub, email, name, roles, deny } = req.body;
+  const redirect = new URL(redirect_uri);
+  redirect.searchParams.set('state', state);
+
+  if (deny) {
+    redirect.searchParams.set('error', 'access_denied');
+    redirect.searchParams.set('error_description', 'El usuario rechazó el acceso');
+    return res.redirect(redirect.toString());
+  }
+
+  const code = crypto.randomBytes(24).toString('hex');
+  pendingCodes.set(code, {
+    redirectUri: redirect_uri,
+    codeChallenge: code_challenge,
+    expiresAt: Date.now() + CODE_TTL_MS,
+    claims: {
+      sub,
+      nonce,
+      email,
+      email_verified: true,
+      name,
+      roles: (roles || '').split(',').map(role => role.trim()).filter(Boolean)
+    }
+  });
+
+  redirect.searchParams.set('code', code);
+  res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, client_id, code_verifier } = req.body;
+  const pending = pendingCodes.get(code);
+  pendingCodes.delete(code);
+
+  if (grant_type !== 'authorization_code' || !pending || pending.expiresAt < Date.now()) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  if (client_id !== CLIENT_ID || redirect_uri !== pending.redirectUri) {
+    return res.status(400).json({ error: 'invalid_client' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+  if (challenge !== pending.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE inválido' });
+  }
+
+  const idToken = jwt.sign(pending.claims, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: '5m'
+  });
+
+  res.json({
+    access_token: crypto.randomBytes(24).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Proveedor OIDC de prueba en ${ISSUER} (client_id: ${CLIENT_ID})`);
+});